@@ -0,0 +1,400 @@
+// Klotski Graph Analytics
+// Statistics on the loaded state graph: connected components, the diameter, the
+// distance-to-solution histogram, the degree distribution, the positions farthest from
+// a solution and the bottlenecks every solution from the start must pass through.
+// Everything but the diameter takes linear time and is computed at once; the diameter
+// needs a breadth-first search from every node, so the game loop runs a few of them
+// each frame while a progress bar fills.
+
+// --- Analytics Settings ---
+
+// Time each frame may spend on diameter searches, in milliseconds.
+const ANALYTICS_FRAME_BUDGET_MS = 10;
+
+// Longest list shown for farthest positions, components and bottlenecks.
+const ANALYTICS_LIST_LIMIT = 10;
+
+let analyticsState = {
+    analysis: null // The analysis of viewer.graph, while it is computed and after
+};
+
+// --- Computation ---
+
+/**
+ * Labels every node with its connected component.
+ * @param {Object} graph The graph store.
+ * @returns {{componentOf: Int32Array, sizes: number[]}} The component index of every
+ *     node, and the size of every component, in order of discovery.
+ */
+function findComponents(graph) {
+    const n = graph.nodeCount;
+    const componentOf = new Int32Array(n).fill(-1);
+    const sizes = [];
+    const queue = new Int32Array(n);
+    for (let root = 0; root < n; root++) {
+        if (componentOf[root] !== -1) continue;
+        const component = sizes.length;
+        let head = 0, tail = 0;
+        queue[tail++] = root;
+        componentOf[root] = component;
+        while (head < tail) {
+            const current = queue[head++];
+            for (const neighbor of getNeighborIndices(graph, current)) {
+                if (componentOf[neighbor] === -1) {
+                    componentOf[neighbor] = component;
+                    queue[tail++] = neighbor;
+                }
+            }
+        }
+        sizes.push(tail);
+    }
+    return { componentOf, sizes };
+}
+
+/**
+ * Counts how often each value occurs.
+ * @param {ArrayLike<number>} values The values, one per node.
+ * @returns {Array<{value: number, count: number, node: number}>} One bin per value, in
+ *     increasing order, with the first node that has it.
+ */
+function getHistogram(values) {
+    const bins = new Map();
+    for (let i = 0; i < values.length; i++) {
+        const bin = bins.get(values[i]);
+        if (bin) {
+            bin.count++;
+        } else {
+            bins.set(values[i], { value: values[i], count: 1, node: i });
+        }
+    }
+    return [...bins.values()].sort((a, b) => a.value - b.value);
+}
+
+/**
+ * Finds the nodes and edges that lie on every path from a node to the solutions: the
+ * cut vertices and bridges between the start and a virtual node joined to every
+ * solution, from one depth-first search (Tarjan's low-link method).
+ *
+ * @param {Object} graph The graph store.
+ * @param {number} startIndex The node the paths start from.
+ * @returns {{solvable: boolean, nodes: number[], edges: Array<{from: number, to: number}>}}
+ *     Whether a solution can be reached, and the bottleneck nodes (not counting the start
+ *     or a solution) and edges, in the order a path meets them.
+ */
+function findBottlenecks(graph, startIndex) {
+    const n = graph.nodeCount;
+    const sink = n;
+    const solutions = [];
+    for (let i = 0; i < n; i++) {
+        if (graph.solutionDist[i] === 0) solutions.push(i);
+    }
+    // The sink follows a solution's own neighbors; the sink's neighbors are the solutions
+    const neighborCount = v => v === sink ? solutions.length
+        : graph.adjacencyOffsets[v + 1] - graph.adjacencyOffsets[v] + (graph.solutionDist[v] === 0 ? 1 : 0);
+    const neighborAt = (v, k) => {
+        if (v === sink) return solutions[k];
+        const offset = graph.adjacencyOffsets[v] + k;
+        return offset < graph.adjacencyOffsets[v + 1] ? graph.adjacencyTargets[offset] : sink;
+    };
+
+    const discovered = new Int32Array(n + 1).fill(-1);
+    const low = new Int32Array(n + 1);
+    const parent = new Int32Array(n + 1).fill(-1);
+    const nextNeighbor = new Int32Array(n + 1);
+    const reachesSink = new Uint8Array(n + 1);
+    const skippedParent = new Uint8Array(n + 1); // Only the tree edge itself is skipped, not a parallel one
+    const nodes = [];
+    const edges = [];
+
+    let time = 0;
+    const stack = [startIndex];
+    discovered[startIndex] = low[startIndex] = time++;
+    while (stack.length > 0) {
+        const v = stack[stack.length - 1];
+        if (nextNeighbor[v] < neighborCount(v)) {
+            const w = neighborAt(v, nextNeighbor[v]++);
+            if (discovered[w] === -1) {
+                parent[w] = v;
+                discovered[w] = low[w] = time++;
+                stack.push(w);
+            } else if (w === parent[v] && !skippedParent[v]) {
+                skippedParent[v] = 1;
+            } else {
+                low[v] = Math.min(low[v], discovered[w]);
+            }
+            continue;
+        }
+
+        stack.pop();
+        if (v === sink) reachesSink[v] = 1;
+        const p = parent[v];
+        if (p === -1) continue;
+        low[p] = Math.min(low[p], low[v]);
+        if (!reachesSink[v]) continue;
+        reachesSink[p] = 1;
+        // Everything below v, the sink included, hangs from p (or from the edge p-v)
+        if (low[v] >= discovered[p] && p !== startIndex && p !== sink && graph.solutionDist[p] !== 0) nodes.push(p);
+        if (low[v] > discovered[p] && v !== sink && p !== sink) edges.push({ from: p, to: v });
+    }
+
+    const order = (a, b) => discovered[a] - discovered[b];
+    return {
+        solvable: reachesSink[startIndex] === 1,
+        nodes: [...new Set(nodes)].sort(order),
+        edges: edges.sort((a, b) => order(a.to, b.to))
+    };
+}
+
+/**
+ * Runs one breadth-first search and reports the farthest node it reached.
+ * @param {Object} graph The graph store.
+ * @param {number} source The node to search from.
+ * @param {Int32Array} dist Scratch space, one entry per node; filled with -1 between searches.
+ * @param {Int32Array} queue Scratch space, one entry per node.
+ * @returns {{node: number, distance: number}} The last node reached and its distance.
+ */
+function findFarthestNode(graph, source, dist, queue) {
+    let head = 0, tail = 0;
+    queue[tail++] = source;
+    dist[source] = 0;
+    while (head < tail) {
+        const current = queue[head++];
+        for (const neighbor of getNeighborIndices(graph, current)) {
+            if (dist[neighbor] === -1) {
+                dist[neighbor] = dist[current] + 1;
+                queue[tail++] = neighbor;
+            }
+        }
+    }
+    const farthest = queue[tail - 1];
+    const result = { node: farthest, distance: dist[farthest] };
+    for (let i = 0; i < tail; i++) dist[queue[i]] = -1;
+    return result;
+}
+
+// --- Analysis Lifecycle ---
+
+/**
+ * Computes the linear-time statistics of a graph and prepares the diameter searches.
+ * @param {Object} graph The graph store.
+ * @returns {Object} The analysis, to be advanced with stepGraphAnalysis.
+ */
+function createGraphAnalysis(graph) {
+    const n = graph.nodeCount;
+    const { componentOf, sizes } = findComponents(graph);
+    const degrees = new Int32Array(n);
+    for (let i = 0; i < n; i++) degrees[i] = graph.adjacencyOffsets[i + 1] - graph.adjacencyOffsets[i];
+
+    // Every component's first node stands for it
+    const componentNodes = new Array(sizes.length);
+    for (let i = n - 1; i >= 0; i--) componentNodes[componentOf[i]] = i;
+    const components = sizes.map((size, component) => ({ size, node: componentNodes[component] }))
+        .sort((a, b) => b.size - a.size);
+
+    const solutionBins = getHistogram(graph.solutionDist);
+    const farthestDistance = solutionBins.filter(bin => Number.isFinite(bin.value)).reduce((max, bin) => Math.max(max, bin.value), -1);
+    const farthest = [];
+    for (let i = 0; i < n && farthest.length < ANALYTICS_LIST_LIMIT; i++) {
+        if (graph.solutionDist[i] === farthestDistance) farthest.push(i);
+    }
+
+    let startIndex = -1;
+    for (let i = 0; i < n && startIndex === -1; i++) {
+        if (graph.depth[i] === 0) startIndex = i;
+    }
+
+    return {
+        graph,
+        nodeCount: n,
+        components,
+        solutionHistogram: solutionBins,
+        degreeHistogram: getHistogram(degrees),
+        farthest,
+        farthestDistance,
+        startIndex,
+        bottlenecks: startIndex === -1 ? null : findBottlenecks(graph, startIndex),
+        // Diameter searches: one from every node
+        nextSource: 0,
+        diameter: { distance: -1, from: -1, to: -1 },
+        dist: new Int32Array(n).fill(-1),
+        queue: new Int32Array(n),
+        done: n === 0
+    };
+}
+
+/**
+ * Runs diameter searches for up to the given amount of time.
+ * @param {Object} analysis An analysis created by createGraphAnalysis.
+ * @param {number} budgetMs How long to search, in milliseconds.
+ * @returns {boolean} True once every search has run.
+ */
+function stepGraphAnalysis(analysis, budgetMs) {
+    const start = performance.now();
+    while (!analysis.done && performance.now() - start < budgetMs) {
+        const source = analysis.nextSource++;
+        const { node, distance } = findFarthestNode(analysis.graph, source, analysis.dist, analysis.queue);
+        if (distance > analysis.diameter.distance) {
+            analysis.diameter = { distance, from: source, to: node };
+        }
+        if (analysis.nextSource >= analysis.nodeCount) analysis.done = true;
+    }
+    return analysis.done;
+}
+
+// --- Panel ---
+
+function setupAnalytics() {
+    document.getElementById('analyzeGraphBtn').addEventListener('click', startGraphAnalysis);
+    document.getElementById('analyticsResults').addEventListener('click', e => {
+        const item = e.target.closest('[data-node]');
+        if (item) showAnalyticsNode(parseInt(item.dataset.node));
+    });
+}
+
+function startGraphAnalysis() {
+    if (!viewer.graph || viewer.nodes.length === 0) {
+        setStatusMessage('There is no graph to analyze.');
+        return;
+    }
+    analyticsState.analysis = createGraphAnalysis(viewer.graph);
+    renderAnalytics();
+}
+
+/**
+ * Called from the game loop: drops the analysis of a graph that was replaced and
+ * advances the diameter searches.
+ */
+function advanceAnalysis() {
+    const analysis = analyticsState.analysis;
+    if (!analysis) return;
+    if (analysis.graph !== viewer.graph) {
+        analyticsState.analysis = null;
+        renderAnalytics();
+        return;
+    }
+    if (analysis.done) return;
+    stepGraphAnalysis(analysis, ANALYTICS_FRAME_BUDGET_MS);
+    updateAnalyticsProgress();
+    if (analysis.done) renderAnalytics();
+}
+
+/**
+ * Flies the camera to a node of the analyzed graph and puts its position on the board.
+ */
+function showAnalyticsNode(index) {
+    const analysis = analyticsState.analysis;
+    if (!analysis || analysis.graph !== viewer.graph || editorState.active) return;
+    const node = viewer.nodes[index];
+    loadNodeOnBoard(node);
+    flyCameraTo(node); // After the board, so a camera following the board does not cut this flight short
+}
+
+function updateAnalyticsProgress() {
+    const analysis = analyticsState.analysis;
+    const running = !!analysis && !analysis.done;
+    document.getElementById('analyticsProgress').hidden = !running;
+    if (!running) return;
+    document.getElementById('analyticsProgressBar').value = analysis.nextSource / analysis.nodeCount;
+    document.getElementById('analyticsProgressDisplay').textContent =
+        `Diameter: ${analysis.nextSource} / ${analysis.nodeCount} searches`;
+}
+
+/**
+ * Rebuilds the results list from the current analysis.
+ */
+function renderAnalytics() {
+    const container = document.getElementById('analyticsResults');
+    container.replaceChildren();
+    updateAnalyticsProgress();
+    const analysis = analyticsState.analysis;
+    if (!analysis) return;
+    const nodes = analysis.graph.nodes;
+    const describe = index => `${nodes[index].representation} (${formatDistance(nodes[index].moveCount)} to solve)`;
+
+    addAnalyticsSection(container, `Components: ${analysis.components.length}`,
+        analysis.components.slice(0, ANALYTICS_LIST_LIMIT).map((component, i) =>
+            ({ label: `#${i + 1}: ${component.size} states`, node: component.node })));
+
+    if (analysis.done) {
+        const { distance, from, to } = analysis.diameter;
+        addAnalyticsSection(container, `Diameter: ${distance} moves${analysis.components.length > 1 ? ' (within a component)' : ''}`,
+            [{ label: `From ${nodes[from].representation}`, node: from }, { label: `To ${nodes[to].representation}`, node: to }]);
+    } else {
+        addAnalyticsSection(container, 'Diameter: computing...', []);
+    }
+
+    addAnalyticsHistogram(container, 'Distance to Solution', analysis.solutionHistogram,
+        bin => `${formatDistance(bin.value)}: ${bin.count} states`);
+    addAnalyticsHistogram(container, 'Degree Distribution', analysis.degreeHistogram,
+        bin => `${bin.value} neighbors: ${bin.count} states`);
+
+    addAnalyticsSection(container,
+        analysis.farthestDistance === -1 ? 'Farthest from Solution: no solutions' : `Farthest from Solution: ${analysis.farthestDistance} moves`,
+        analysis.farthest.map(index => ({ label: nodes[index].representation, node: index })));
+
+    const bottlenecks = analysis.bottlenecks;
+    if (!bottlenecks || !bottlenecks.solvable) {
+        addAnalyticsSection(container, 'Bottlenecks: no solution from the start', []);
+    } else {
+        addAnalyticsSection(container, `Bottleneck Positions: ${bottlenecks.nodes.length}`,
+            bottlenecks.nodes.slice(0, ANALYTICS_LIST_LIMIT).map(index => ({ label: describe(index), node: index })));
+        addAnalyticsSection(container, `Bottleneck Moves: ${bottlenecks.edges.length}`,
+            bottlenecks.edges.slice(0, ANALYTICS_LIST_LIMIT).map(edge =>
+                ({ label: `${nodes[edge.from].representation} → ${nodes[edge.to].representation}`, node: edge.from })));
+    }
+}
+
+function formatDistance(distance) {
+    return Number.isFinite(distance) ? `${distance} moves` : 'unsolvable';
+}
+
+/**
+ * Adds a heading and a list of clickable items that each show a node.
+ * @param {HTMLElement} container The results element.
+ * @param {string} title The heading.
+ * @param {Array<{label: string, node: number}>} items The items.
+ */
+function addAnalyticsSection(container, title, items) {
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    container.appendChild(heading);
+    for (const { label, node } of items) {
+        const item = document.createElement('button');
+        item.className = 'analytics-item';
+        item.dataset.node = node;
+        item.textContent = label;
+        container.appendChild(item);
+    }
+}
+
+/**
+ * Adds a bar chart with one clickable bar per bin; a bar shows the first node of its bin.
+ * @param {HTMLElement} container The results element.
+ * @param {string} title The heading.
+ * @param {Array<{value: number, count: number, node: number}>} bins The histogram.
+ * @param {function(Object): string} describe The tooltip of a bin.
+ */
+function addAnalyticsHistogram(container, title, bins, describe) {
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    container.appendChild(heading);
+    const chart = document.createElement('div');
+    chart.className = 'analytics-histogram';
+    const maxCount = bins.reduce((max, bin) => Math.max(max, bin.count), 1);
+    for (const bin of bins) {
+        const bar = document.createElement('button');
+        bar.dataset.node = bin.node;
+        bar.title = describe(bin);
+        bar.setAttribute('aria-label', describe(bin));
+        bar.style.height = `${Math.max(4, 100 * bin.count / maxCount)}%`;
+        if (!Number.isFinite(bin.value)) bar.classList.add('unsolvable');
+        chart.appendChild(bar);
+    }
+    container.appendChild(chart);
+}
+
+// --- Module ---
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { findComponents, getHistogram, findBottlenecks, findFarthestNode, createGraphAnalysis, stepGraphAnalysis };
+}
@@ -0,0 +1,317 @@
+// Klotski Background Work
+// Builds the viewer graph in a Web Worker (worker.js), so the board stays playable while
+// it happens: exploring the state space, adapting the precomputed data to the settings,
+// and the layout. Explored nodes show up in the viewer as they are found, next to the
+// node they were found from, and layouts stream their positions as they run. A progress
+// bar gives the node count and the time taken, and a button cancels the work; an
+// exploration that stops at the state limit says so on the page. Pages that
+// cannot start a worker, such as some browsers' pages opened from disk, do the same work
+// on the main thread as before.
+
+// --- Background Settings ---
+
+const BACKGROUND_WORKER_URL = 'worker.js';
+
+// Least time between two rebuilds of the viewer graph from explored nodes, in milliseconds.
+const BACKGROUND_REFRESH_MS = 500;
+
+// What the progress display says the worker is doing, by job phase.
+const BACKGROUND_PHASES = {
+    exploring: 'Exploring',
+    distances: 'Finding distances to the solution',
+    deriving: 'Building the graph',
+    layout: 'Layout'
+};
+
+let backgroundState = {
+    worker: null,
+    available: typeof Worker !== 'undefined', // Cleared when a worker fails to start
+    job: null, // The running job: { message, onGraph, phase, startedAt, received, graph, explored, refreshedAt }
+    partialGraph: null, // The viewer graph while it holds an unfinished exploration
+    truncatedGraph: null // The viewer graph when its exploration stopped at the state limit
+};
+
+// --- Jobs ---
+
+function setupBackground() {
+    document.getElementById('backgroundCancelBtn').addEventListener('click', cancelGraphJob);
+}
+
+/**
+ * Starts building or laying out the viewer graph in the worker, with the current
+ * settings, in place of any job still running. Without a worker, does the work at once.
+ * @param {{type: string}} job An 'explore' job with the `start` position, a 'derive' job
+ *     with the precomputed `states` and whether they are `merged`, or a 'layout' job.
+ * @param {function()} [onGraph] Called once the new graph is in the viewer, or what
+ *     there is of it when the job is cancelled.
+ */
+function runGraphJob(job, onGraph) {
+    // A graph that replaces one still being built is owed that one's callback as well
+    const owed = job.type !== 'layout' && isGraphBuilding() ? backgroundState.job.onGraph : null;
+    if (owed) {
+        const requested = onGraph;
+        onGraph = requested && requested !== owed ? (() => { owed(); requested(); }) : owed;
+    }
+    stopGraphJob();
+    const message = {
+        ...job,
+        puzzle: gameState.puzzle,
+        metric: viewer.settings.moveMetric,
+        mergeEquivalent: viewer.settings.mergeEquivalent,
+        algorithm: viewer.settings.layoutAlgorithm
+    };
+    const worker = getGraphWorker();
+    if (!worker) {
+        runGraphJobHere(message, onGraph);
+        return;
+    }
+
+    const running = {
+        message,
+        onGraph: onGraph || null,
+        phase: { explore: 'exploring', derive: 'deriving', layout: 'layout' }[job.type],
+        startedAt: performance.now(),
+        received: false, // Whether the worker has posted anything, so it surely started
+        graph: null, // The graph the worker's layout positions belong to
+        explored: { states: {}, keys: [] }, // What an exploration found so far
+        refreshedAt: -Infinity
+    };
+    if (job.type === 'layout') {
+        if (!viewer.graph) return;
+        const { positions, depth, solutionDist, adjacencyOffsets, adjacencyTargets } = viewer.graph;
+        running.graph = viewer.graph;
+        viewer.layout = createWorkerLayout(message.algorithm);
+        worker.postMessage({ ...message, graph: { positions, depth, solutionDist, adjacencyOffsets, adjacencyTargets } });
+    } else {
+        // The graph of the old settings goes at once, rather than when the new one is ready
+        backgroundState.partialGraph = null;
+        loadStateGraph({});
+        worker.postMessage(message);
+    }
+    backgroundState.job = running;
+}
+
+/**
+ * Does a job on the main thread, for pages without a worker.
+ */
+function runGraphJobHere(message, onGraph) {
+    if (message.type === 'explore') {
+        const exploration = createExploration(message.start, message);
+        while (!stepExploration(exploration, Infinity));
+        loadStateGraph(getExploredStates(exploration));
+        if (exploration.truncated) showTruncatedGraph();
+        if (onGraph) onGraph();
+    } else if (message.type === 'derive') {
+        loadStateGraph(derivePrecomputedStates(message.states, message));
+        if (onGraph) onGraph();
+    } else if (viewer.graph) {
+        // The game loop advances the layout frame by frame (advanceLayout)
+        viewer.layout = createLayout(message.algorithm, viewer.nodes, viewer.edges);
+        applyLayout(viewer.layout, viewer.nodes);
+    }
+}
+
+/**
+ * @returns {Worker|null} The worker, started if need be, or null when workers cannot run.
+ */
+function getGraphWorker() {
+    if (backgroundState.worker || !backgroundState.available) return backgroundState.worker;
+    let worker;
+    try {
+        worker = new Worker(BACKGROUND_WORKER_URL);
+    } catch (error) {
+        console.warn(`Could not start the graph worker (${error.message}); building graphs on the main thread instead.`);
+        backgroundState.available = false;
+        return null;
+    }
+    worker.onmessage = event => {
+        if (worker === backgroundState.worker) handleWorkerMessage(event.data);
+    };
+    worker.onerror = event => {
+        if (worker === backgroundState.worker) handleWorkerError(event);
+    };
+    backgroundState.worker = worker;
+    return worker;
+}
+
+function handleWorkerMessage(message) {
+    const job = backgroundState.job;
+    if (!job) return;
+    job.received = true;
+    if (message.type === 'explored') {
+        addExploredNodes(job, message);
+    } else if (message.type === 'phase') {
+        job.phase = message.phase;
+        showExploredNodes(job); // Everything found, while the distances are worked out
+    } else if (message.type === 'graph') {
+        backgroundState.partialGraph = null;
+        loadStateGraph(message.states);
+        if (message.truncated) showTruncatedGraph();
+        job.graph = viewer.graph;
+        if (job.onGraph) job.onGraph();
+    } else if (message.type === 'layout') {
+        applyWorkerLayout(job, message);
+    } else if (message.type === 'done') {
+        backgroundState.job = null;
+    }
+}
+
+/**
+ * A worker that fails before it posts anything most likely could not load, as on pages
+ * opened from disk: the job is done on the main thread, and so are the next ones.
+ */
+function handleWorkerError(event) {
+    event.preventDefault();
+    const job = backgroundState.job;
+    stopGraphJob();
+    if (job && !job.received) {
+        console.warn('The graph worker failed to start; building graphs on the main thread instead.');
+        backgroundState.available = false;
+        runGraphJobHere(job.message, job.onGraph);
+    } else {
+        setStatusMessage(`Background work failed: ${event.message}`);
+    }
+}
+
+/**
+ * Adds a batch of explored positions to the ones found so far, and shows them all in
+ * the viewer if it was not refreshed too recently. Until the exploration finishes, the
+ * nodes have no distance to a solution.
+ */
+function addExploredNodes(job, message) {
+    const { states, keys } = job.explored;
+    for (const { key, representation, dist, x, y, z } of message.added) {
+        keys.push(key);
+        states[key] = { representation, dist, solution_dist: Infinity, neighbors: [], x, y, z };
+    }
+    message.expanded.forEach((neighbors, i) => {
+        states[keys[message.expandedFrom + i]].neighbors = neighbors.map(index => keys[index]);
+    });
+    const now = performance.now();
+    if (now - job.refreshedAt >= BACKGROUND_REFRESH_MS) {
+        job.refreshedAt = now;
+        showExploredNodes(job);
+    }
+}
+
+function showExploredNodes(job) {
+    loadStateGraph(job.explored.states);
+    backgroundState.partialGraph = viewer.graph;
+}
+
+/**
+ * Marks the graph just loaded as the incomplete result of an exploration that stopped at
+ * the state limit, where positions beyond it may leave states without a way to a solution.
+ */
+function showTruncatedGraph() {
+    backgroundState.truncatedGraph = viewer.graph;
+    const hint = viewer.settings.mergeEquivalent ? '' : ' The Shape-Equivalent graph is far smaller.';
+    setStatusMessage(`The exploration stopped at ${viewer.nodes.length} states, so the graph is incomplete and distances to the solution may be missing.${hint}`);
+}
+
+/**
+ * Takes on the positions of a layout running in the worker.
+ */
+function applyWorkerLayout(job, message) {
+    if (viewer.graph !== job.graph) return;
+    if (!viewer.layout || !viewer.layout.inWorker) viewer.layout = createWorkerLayout(message.algorithm);
+    viewer.graph.positions.set(message.positions);
+    viewer.layout.iteration = message.iteration; // Tells the WebGL renderer to upload the positions
+    viewer.layout.done = message.done;
+    job.phase = 'layout';
+}
+
+/**
+ * @returns {Object} What the viewer knows of a layout running in the worker: enough
+ *     for the layout status and the renderer.
+ */
+function createWorkerLayout(algorithm) {
+    return { algorithm, iteration: 0, maxIterations: LAYOUT_ALGORITHMS[algorithm].maxIterations, done: false, stopped: false, inWorker: true };
+}
+
+/**
+ * Ends the running job, if any, by terminating the worker. A layout stops where it got to.
+ */
+function stopGraphJob() {
+    if (!backgroundState.job) return;
+    backgroundState.worker.terminate();
+    backgroundState.worker = null;
+    backgroundState.job = null;
+    if (viewer.layout && viewer.layout.inWorker && !viewer.layout.done) {
+        viewer.layout.done = true;
+        viewer.layout.stopped = true;
+    }
+}
+
+/**
+ * Stops the running job at the user's request. An exploration keeps the nodes it found.
+ */
+function cancelGraphJob() {
+    const job = backgroundState.job;
+    if (!job) return;
+    stopGraphJob();
+    if (job.message.type === 'explore' && !job.graph) {
+        showExploredNodes(job);
+        setStatusMessage(`Exploration cancelled after ${job.explored.keys.length} nodes; the graph is incomplete and has no distances to the solution.`);
+    } else if (job.phase === 'layout') {
+        setStatusMessage('Layout cancelled.');
+    } else {
+        setStatusMessage('Cancelled before the graph was built.');
+    }
+    if (job.onGraph && !job.graph) job.onGraph();
+    updateDisplay();
+}
+
+/**
+ * @returns {boolean} Whether the viewer graph is an unfinished exploration, whose nodes
+ *     have no distances to a solution.
+ */
+function isGraphPartial() {
+    return viewer.graph !== null && viewer.graph === backgroundState.partialGraph;
+}
+
+/**
+ * @returns {boolean} Whether the viewer graph is an exploration that stopped at the state
+ *     limit, and so may lack positions and distances to a solution.
+ */
+function isGraphTruncated() {
+    return viewer.graph !== null && viewer.graph === backgroundState.truncatedGraph;
+}
+
+/**
+ * @returns {boolean} Whether the worker is building a new graph, as opposed to laying
+ *     out the one in the viewer.
+ */
+function isGraphBuilding() {
+    return backgroundState.job !== null && backgroundState.job.graph === null;
+}
+
+// --- Display ---
+
+/**
+ * Shows what the worker is doing, with the node count and the time it has taken so far.
+ * Called every frame.
+ */
+function updateBackgroundProgress() {
+    const job = backgroundState.job;
+    document.getElementById('backgroundProgress').hidden = !job;
+    if (!job) return;
+    const bar = document.getElementById('backgroundProgressBar');
+    const seconds = ((performance.now() - job.startedAt) / 1000).toFixed(1);
+    let detail;
+    if (job.phase === 'layout' && viewer.layout) {
+        bar.value = viewer.layout.iteration / viewer.layout.maxIterations;
+        detail = `${viewer.layout.iteration} / ${viewer.layout.maxIterations} iterations over ${viewer.nodes.length} nodes`;
+    } else {
+        bar.removeAttribute('value'); // No telling how far there is to go
+        detail = job.message.type === 'explore' ? `${job.explored.keys.length} nodes` : '';
+    }
+    document.getElementById('backgroundProgressDisplay').textContent =
+        `${BACKGROUND_PHASES[job.phase]}: ${detail ? `${detail}, ` : ''}${seconds} s`;
+}
+
+// --- Module ---
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { backgroundState, runGraphJob, cancelGraphJob, isGraphPartial, isGraphTruncated, isGraphBuilding };
+}
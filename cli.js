@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+// Klotski Command-Line Tools
+// Solves puzzles, reports on their state space and writes data files for the page,
+// with the same rules as the game (engine.js).
+//
+//     node cli.js solve [puzzle] [--metric <metric>]
+//     node cli.js stats [puzzle] [--metric <metric>] [--merge] [--max-states <n>]
+//     node cli.js generate [puzzle] [--merge] [--max-states <n>] [--layout <algorithm>] [--out <file>]
+//     node cli.js bench [puzzle] [--merge] [--max-states <n>]
+//
+// The puzzle is a position on the classic board (e.g. aTTbaTTb.cc.dghedfie) or the
+// path of a puzzle JSON file (see puzzles.js); without one, the classic puzzle is used.
+
+const fs = require('fs');
+
+// The page loads its scripts into one global scope; do the same for the ones used here
+for (const file of ['./engine.js', './explorer.js', './graph.js', './layout.js']) {
+    Object.assign(globalThis, require(file));
+}
+
+// --- Settings ---
+
+// Upper bound on explored states for stats and generate, unless --max-states says otherwise.
+const CLI_MAX_STATES = 200000;
+
+// Decimal places kept of generated coordinates.
+const CLI_COORDINATE_DIGITS = 4;
+
+// Nodes the bench command times its queries from, spread evenly over the graph.
+const CLI_BENCH_SAMPLES = 20;
+
+// The options each command accepts; `value` options take the next argument.
+const CLI_COMMANDS = {
+    solve: { options: { metric: { value: true } } },
+    stats: { options: { metric: { value: true }, merge: { value: false }, 'max-states': { value: true } } },
+    generate: { options: { merge: { value: false }, 'max-states': { value: true }, layout: { value: true }, out: { value: true } } },
+    bench: { options: { merge: { value: false }, 'max-states': { value: true } } }
+};
+
+const CLI_USAGE = `Usage:
+  node cli.js solve [puzzle] [--metric <metric>]
+      Print a shortest solution as a move list the page can import.
+  node cli.js stats [puzzle] [--metric <metric>] [--merge] [--max-states <n>]
+      Count the reachable states and the solution states, and the largest distances.
+  node cli.js generate [puzzle] [--merge] [--max-states <n>] [--layout <algorithm>] [--out <file>]
+      Write a data.json with the solution space laid out in 3D, under straight-line
+      slides (the page derives the other metrics from it). Prints to stdout without --out.
+  node cli.js bench [puzzle] [--merge] [--max-states <n>]
+      Time the viewer's graph queries (finding a position's node, following the optimal
+      path) on the graph store against the linear scans of the node and edge lists.
+
+  puzzle       A position on the classic board, or a puzzle JSON file (default: classic).
+  --metric     ${Object.keys(MOVE_METRICS).join(', ')} (default: ${DEFAULT_MOVE_METRIC}).
+  --merge      Treat positions that differ only by same-shaped pieces or a mirror image
+               as one state, as the page's shape-equivalent graph does. The classic
+               puzzle needs it: told apart, its pieces make millions of positions.
+  --max-states Stop exploring after this many states (default: ${CLI_MAX_STATES}).
+  --layout     ${Object.keys(LAYOUT_ALGORITHMS).join(', ')} (default: force).`;
+
+// --- Arguments ---
+
+/**
+ * Splits the command line into the command, the puzzle argument and the options.
+ * @param {string[]} args The arguments after the script name.
+ * @returns {{command: string, puzzle: string|null, options: Object, error: string|null}}
+ */
+function parseArguments(args) {
+    const [command, ...rest] = args;
+    const result = { command, puzzle: null, options: {}, error: null };
+    if (!CLI_COMMANDS[command]) {
+        result.error = command ? `unknown command "${command}"` : 'no command given';
+        return result;
+    }
+    const accepted = CLI_COMMANDS[command].options;
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (!arg.startsWith('--')) {
+            if (result.puzzle !== null) {
+                result.error = `unexpected argument "${arg}"`;
+                return result;
+            }
+            result.puzzle = arg;
+            continue;
+        }
+        const name = arg.slice(2);
+        if (!accepted[name]) {
+            result.error = `${command} does not take ${arg}`;
+            return result;
+        }
+        if (!accepted[name].value) {
+            result.options[name] = true;
+        } else if (i + 1 < rest.length) {
+            result.options[name] = rest[++i];
+        } else {
+            result.error = `${arg} needs a value`;
+            return result;
+        }
+    }
+
+    const { metric, layout } = result.options;
+    const maxStates = result.options['max-states'];
+    if (metric !== undefined && !MOVE_METRICS[metric]) {
+        result.error = `"${metric}" is not a move metric`;
+    } else if (layout !== undefined && !LAYOUT_ALGORITHMS[layout]) {
+        result.error = `"${layout}" is not a layout algorithm`;
+    } else if (maxStates !== undefined && !(Number.isInteger(Number(maxStates)) && Number(maxStates) > 0)) {
+        result.error = '--max-states must be a positive whole number';
+    }
+    return result;
+}
+
+/**
+ * Reads the puzzle argument.
+ * @param {string|null} arg A position on the classic board or the path of a puzzle JSON file.
+ * @returns {{puzzle: Object|null, error: string|null}} The normalized puzzle, or the reason it was rejected.
+ */
+function readPuzzle(arg) {
+    if (arg === null) {
+        return { puzzle: normalizePuzzleDefinition(CLASSIC_PUZZLE), error: null };
+    }
+    if (fs.existsSync(arg)) {
+        const { puzzle, error } = parsePuzzleJSON(fs.readFileSync(arg, 'utf8'));
+        return { puzzle, error: error && `${arg}: ${error}` };
+    }
+    const definition = { ...CLASSIC_PUZZLE, name: 'Classic Board', start: arg };
+    const error = validatePuzzleDefinition(definition);
+    if (error) {
+        return { puzzle: null, error: `"${arg}" is neither a puzzle file nor a position on the classic board (${error.replace(/\.$/, '')})` };
+    }
+    return { puzzle: normalizePuzzleDefinition(definition), error: null };
+}
+
+// --- Commands ---
+
+function solveCommand(puzzle, options) {
+    const metric = options.metric || DEFAULT_MOVE_METRIC;
+    const solution = solvePuzzle(puzzle, { metric });
+    if (!solution) {
+        throw new Error('the puzzle cannot be solved from its start');
+    }
+    console.log(`# Shortest solution: ${solution.moves.length} moves (${MOVE_METRICS[metric].name})`);
+    console.log(formatMoveList(solution.moves.map(formatMove), puzzle.start, puzzle, metric));
+}
+
+function statsCommand(puzzle, options) {
+    const metric = options.metric || DEFAULT_MOVE_METRIC;
+    const { states, complete } = explore(puzzle, options, metric);
+    const records = Object.values(states);
+    const finiteMax = values => values.filter(Number.isFinite).reduce((max, value) => Math.max(max, value), 0);
+    const start = records[0];
+
+    const lines = [
+        `Puzzle: ${puzzle.name}`,
+        `Metric: ${MOVE_METRICS[metric].name}`,
+        `Reachable states: ${records.length}${complete ? '' : ' or more'}`
+    ];
+    if (options.merge) {
+        lines.push(`Positions they stand for: ${records.reduce((sum, data) => sum + data.rawCount, 0)}`);
+    }
+    lines.push(
+        `Solution states: ${records.filter(data => data.solution_dist === 0).length}`,
+        `States that cannot reach a solution: ${records.filter(data => data.solution_dist === Infinity).length}`,
+        `Max distance from the start: ${finiteMax(records.map(data => data.dist))}`,
+        `Max distance to a solution: ${finiteMax(records.map(data => data.solution_dist))}`,
+        `Shortest solution: ${Number.isFinite(start.solution_dist) ? `${start.solution_dist} moves` : 'none found'}`
+    );
+    if (!complete) {
+        lines.push(`The exploration stopped at ${records.length} states (--max-states); the other figures cover only those.`);
+    }
+    console.log(lines.join('\n'));
+}
+
+function generateCommand(puzzle, options) {
+    const algorithm = options.layout || 'force';
+    const { states, complete } = explore(puzzle, options, DEFAULT_MOVE_METRIC);
+    const keys = Object.keys(states);
+    if (!complete) {
+        throw new Error(`the state space has more than ${keys.length} states; raise --max-states${options.merge ? '' : ' or use --merge'}`);
+    }
+
+    console.error(`Laying out ${keys.length} states (${LAYOUT_ALGORITHMS[algorithm].name})...`);
+    const graph = createStateGraph(states, representation => representation);
+    const layout = createLayout(algorithm, graph.nodes, graph.edges);
+    finishLayout(layout);
+    applyLayout(layout, graph.nodes);
+
+    // Ids are the state indices, which keeps the file small
+    const ids = new Map(keys.map((key, index) => [key, String(index)]));
+    const round = value => Number(value.toFixed(CLI_COORDINATE_DIGITS));
+    const data = {};
+    keys.forEach((key, index) => {
+        const node = graph.nodes[index];
+        const record = states[key];
+        data[index] = {
+            x: round(node.x),
+            y: round(node.y),
+            z: round(node.z),
+            representation: record.representation,
+            dist: record.dist,
+            solution_dist: record.solution_dist,
+            neighbors: record.neighbors.map(neighbor => ids.get(neighbor))
+        };
+        if (record.rawCount) data[index].rawCount = record.rawCount;
+    });
+
+    const text = [
+        `// Solution space of ${puzzle.name} (${keys.length} states), written by \`node cli.js generate\`.`,
+        `const nodes_to_use_puzzle = ${JSON.stringify(puzzle)};`,
+        `const nodes_to_use = ${toScriptLiteral(data)};`,
+        ''
+    ].join('\n');
+    if (options.out) {
+        fs.writeFileSync(options.out, text);
+        console.error(`Wrote ${keys.length} states to ${options.out}.`);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+function benchCommand(puzzle, options) {
+    const { states, complete } = explore(puzzle, options, DEFAULT_MOVE_METRIC);
+    const graph = createStateGraph(states, representation => representation);
+    const { nodes, edges } = graph;
+    const step = Math.max(1, Math.ceil(nodes.length / CLI_BENCH_SAMPLES));
+    const samples = nodes.filter((node, index) => index % step === 0).map(node => node.representation);
+
+    // The viewer's queries as they were before the graph store, over its node and edge lists.
+    // They looked up the node's index again for every edge; that is done once per step
+    // here, or the classic puzzle's graph would take hours, so these times are the least
+    // the old queries took.
+    const scanNode = representation => nodes.find(node => node.representation === representation);
+    const scanPath = start => {
+        const path = [start];
+        let current = start;
+        while (current.moveCount > 0) {
+            const from = nodes.indexOf(current);
+            const next = edges.filter(edge => edge.from === from)
+                .map(edge => nodes[edge.to])
+                .find(neighbor => neighbor.moveCount < current.moveCount);
+            if (!next) break;
+            path.push(next);
+            current = next;
+        }
+        return path;
+    };
+    const storeNode = representation => nodes[graph.indexByKey.get(representation)];
+    const storePath = start => walkOptimalPath(graph, start.index);
+
+    const time = query => {
+        const started = performance.now();
+        samples.forEach(query);
+        return performance.now() - started;
+    };
+    const rows = [
+        ['Find the node of a position', time(scanNode), time(storeNode)],
+        ['Follow the optimal path from it', time(representation => scanPath(scanNode(representation))),
+            time(representation => storePath(storeNode(representation)))]
+    ];
+
+    const lines = [
+        `Puzzle: ${puzzle.name}`,
+        `Graph: ${nodes.length} states${complete ? '' : ' (stopped at --max-states)'}, ${edges.length} edges`,
+        `Times for ${samples.length} positions, in ms: linear scans / graph store`
+    ];
+    for (const [name, before, after] of rows) {
+        const speedup = after > 0 ? `${(before / after).toFixed(0)}x faster` : 'too quick to compare';
+        lines.push(`${name}: ${before.toFixed(2)} / ${after.toFixed(2)} (${speedup})`);
+    }
+    console.log(lines.join('\n'));
+}
+
+/**
+ * Explores the state space of a puzzle from its start.
+ * @returns {{states: Object, complete: boolean}} State records in the `nodes_to_use`
+ *     format, and whether the exploration finished before the state limit.
+ */
+function explore(puzzle, options, metric) {
+    const maxStates = options['max-states'] ? Number(options['max-states']) : CLI_MAX_STATES;
+    const exploration = createExploration(puzzle.start, { puzzle, metric, maxStates, mergeEquivalent: !!options.merge });
+    while (!stepExploration(exploration, Infinity));
+    return { states: getExploredStates(exploration), complete: !exploration.truncated };
+}
+
+/**
+ * Writes a value as JavaScript source. Like JSON, except that Infinity, which marks
+ * states that cannot reach a solution, is kept.
+ */
+function toScriptLiteral(value) {
+    return JSON.stringify(value, (key, item) => item === Infinity ? '\u0000Infinity' : item).replace(/"\\u0000Infinity"/g, 'Infinity');
+}
+
+// --- Main ---
+
+function main(args) {
+    if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+        console.log(CLI_USAGE);
+        return 0;
+    }
+    const { command, puzzle: puzzleArg, options, error } = parseArguments(args);
+    if (error) {
+        console.error(`Error: ${error}.\n\n${CLI_USAGE}`);
+        return 2;
+    }
+    const { puzzle, error: puzzleError } = readPuzzle(puzzleArg);
+    if (puzzleError) {
+        console.error(`Error: ${puzzleError}.`);
+        return 1;
+    }
+    try {
+        ({ solve: solveCommand, stats: statsCommand, generate: generateCommand, bench: benchCommand })[command](puzzle, options);
+    } catch (err) {
+        console.error(`Error: ${err.message}.`);
+        return 1;
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArguments, readPuzzle, main };
@@ -0,0 +1,158 @@
+// Klotski Node Colors
+// The viewer's color modes: each maps a node to a number, and the numbers across the
+// graph onto one continuous, colour-blind-safe gradient (viridis). A legend in the
+// corner of the viewer gives the gradient its range.
+
+// --- Color Modes ---
+
+// Viridis at nine even stops, from the low end of a range to the high end.
+const COLOR_GRADIENT_STOPS = [
+    [68, 1, 84], [71, 45, 123], [59, 82, 139], [44, 114, 142], [33, 145, 140],
+    [40, 174, 128], [94, 201, 98], [173, 220, 48], [253, 231, 37]
+];
+
+// Nodes a mode has no number for, such as the distance to solve an unsolvable one.
+const COLOR_MISSING = [128, 128, 128];
+
+// Legend size and place, in pixels from the bottom left corner of the viewer.
+const COLOR_LEGEND_WIDTH = 180;
+const COLOR_LEGEND_HEIGHT = 10;
+const COLOR_LEGEND_MARGIN = 16;
+
+/**
+ * The color modes by their value in the #colorMode select. Each reads a number off a
+ * node, given the context its scale was made with. Mode 2 is "Off": plain white.
+ */
+const COLOR_MODES = {
+    0: { name: 'Distance from Start', value: node => node.depth },
+    1: { name: 'Distance to Solution', value: node => node.moveCount },
+    3: { name: 'Neighbors', value: node => node.degree },
+    4: { name: 'Component', value: (node, context) => context.componentOf[node.index] + 1 },
+    5: {
+        // How much closer to a solution each move from the start has brought a node:
+        // 1 when every move went straight towards one, -1 when every move led away
+        name: 'Progress per Move',
+        value: (node, context) => node.depth === 0 ? 0 : (context.startDist - node.moveCount) / node.depth
+    }
+};
+
+let colorState = {
+    graph: null, // Graph and mode the scale was made for
+    mode: null,
+    scale: null
+};
+
+/**
+ * Works out the range of a color mode over a graph.
+ * @param {Object} graph The graph store.
+ * @param {number} mode A key of COLOR_MODES.
+ * @returns {{mode: Object, context: Object, min: number, max: number, missing: boolean}|null}
+ *     The scale, with `missing` set when some nodes have no number; null for "Off".
+ */
+function createColorScale(graph, mode) {
+    const colorMode = COLOR_MODES[mode];
+    if (!colorMode) return null;
+
+    const start = graph.nodes.find(node => node.depth === 0);
+    const context = {
+        componentOf: mode === 4 ? findComponents(graph).componentOf : null,
+        startDist: start ? start.moveCount : Infinity
+    };
+    let min = Infinity, max = -Infinity, missing = false;
+    for (const node of graph.nodes) {
+        const value = colorMode.value(node, context);
+        if (!Number.isFinite(value)) {
+            missing = true;
+            continue;
+        }
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    return { mode: colorMode, context, min, max, missing };
+}
+
+/**
+ * Picks the color at a point along the gradient.
+ * @param {number} t From 0 (low end) to 1 (high end).
+ * @returns {number[]} [r, g, b], with channels from 0 to 255.
+ */
+function sampleColorGradient(t) {
+    const position = Math.max(0, Math.min(1, t)) * (COLOR_GRADIENT_STOPS.length - 1);
+    const i = Math.min(Math.floor(position), COLOR_GRADIENT_STOPS.length - 2);
+    const f = position - i;
+    return COLOR_GRADIENT_STOPS[i].map((channel, c) => Math.round(channel + (COLOR_GRADIENT_STOPS[i + 1][c] - channel) * f));
+}
+
+/**
+ * @returns {Object|null} The scale of the current color mode over the viewer graph.
+ */
+function getColorScale() {
+    if (colorState.graph !== viewer.graph || colorState.mode !== viewer.settings.colorMode) {
+        colorState.graph = viewer.graph;
+        colorState.mode = viewer.settings.colorMode;
+        colorState.scale = viewer.graph ? createColorScale(viewer.graph, viewer.settings.colorMode) : null;
+    }
+    return colorState.scale;
+}
+
+/**
+ * The fill of a node in the current color mode, for getNodeStyle.
+ * @returns {number[]} [r, g, b], with channels from 0 to 255.
+ */
+function getNodeColor(node) {
+    const scale = getColorScale();
+    if (!scale) return [255, 255, 255];
+    const value = scale.mode.value(node, scale.context);
+    if (!Number.isFinite(value)) return COLOR_MISSING;
+    return sampleColorGradient(scale.max > scale.min ? (value - scale.min) / (scale.max - scale.min) : 0.5);
+}
+
+// --- Legend ---
+
+/**
+ * Draws the gradient of the current color mode with the mode's name and its range, and
+ * a swatch for the nodes without a number, in the bottom left corner of the viewer.
+ */
+function drawColorLegend(ctx) {
+    const scale = getColorScale();
+    if (!scale || scale.min > scale.max) return;
+    const left = COLOR_LEGEND_MARGIN;
+    const top = viewer.canvas.height - COLOR_LEGEND_MARGIN - COLOR_LEGEND_HEIGHT - 16;
+
+    ctx.save();
+    const gradient = ctx.createLinearGradient(left, 0, left + COLOR_LEGEND_WIDTH, 0);
+    COLOR_GRADIENT_STOPS.forEach((color, i) => gradient.addColorStop(i / (COLOR_GRADIENT_STOPS.length - 1), `rgb(${color.join(',')})`));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(left, top, COLOR_LEGEND_WIDTH, COLOR_LEGEND_HEIGHT);
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '12px Arial';
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    ctx.fillText(scale.mode.name, left, top - 4);
+    ctx.textBaseline = 'top';
+    ctx.fillText(formatLegendValue(scale.min), left, top + COLOR_LEGEND_HEIGHT + 4);
+    ctx.textAlign = 'right';
+    ctx.fillText(formatLegendValue(scale.max), left + COLOR_LEGEND_WIDTH, top + COLOR_LEGEND_HEIGHT + 4);
+
+    if (scale.missing) {
+        const swatch = left + COLOR_LEGEND_WIDTH + 14;
+        ctx.fillStyle = `rgb(${COLOR_MISSING.join(',')})`;
+        ctx.fillRect(swatch, top, COLOR_LEGEND_HEIGHT, COLOR_LEGEND_HEIGHT);
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('none', swatch + COLOR_LEGEND_HEIGHT + 4, top + COLOR_LEGEND_HEIGHT / 2);
+    }
+    ctx.restore();
+}
+
+function formatLegendValue(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+// --- Module ---
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { COLOR_MODES, createColorScale, sampleColorGradient };
+}
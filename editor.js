@@ -0,0 +1,343 @@
+// Klotski Puzzle Editor
+// An edit mode on the game canvas for composing new starting layouts: drag out
+// rectangles to add pieces, delete and resize them, and mark the goal piece.
+
+// --- Editor State ---
+
+// Characters handed out to new pieces, in order. '.' is reserved for empty cells.
+const EDITOR_PIECE_IDS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+const EDITOR_MIN_SIZE = 2;
+const EDITOR_MAX_SIZE = 10;
+
+let editorState = {
+    active: false,
+    tool: 'add', // add, delete, resize, goal or goalArea
+    board: { width: 4, height: 5, pieces: [] },
+    goal: null, // { piece, x, y }: the goal piece and the cell its top-left corner must reach
+    drag: null, // { startX, startY, x, y, piece } while a rectangle is dragged out or a piece is resized
+    message: ''
+};
+
+function setupEditor() {
+    document.getElementById('editModeBtn').addEventListener('click', () => {
+        if (editorState.active) {
+            exitEditMode();
+        } else {
+            enterEditMode();
+        }
+    });
+    document.getElementById('editorTool').addEventListener('change', (e) => editorState.tool = e.target.value);
+    document.getElementById('editorWidth').addEventListener('change', resizeEditorBoardFromInputs);
+    document.getElementById('editorHeight').addEventListener('change', resizeEditorBoardFromInputs);
+    document.getElementById('editorClearBtn').addEventListener('click', () => {
+        editorState.board.pieces = [];
+        editorState.goal = null;
+        setEditorMessage('');
+    });
+    document.getElementById('editorPlayBtn').addEventListener('click', () => playEditedLayout(false));
+    document.getElementById('editorExploreBtn').addEventListener('click', () => playEditedLayout(true));
+}
+
+// --- Entering and Leaving Edit Mode ---
+
+/**
+ * Starts editing from the layout on the board, keeping the active puzzle's first goal.
+ */
+function enterEditMode() {
+    const board = gameState.board;
+    editorState.board = {
+        width: board.width,
+        height: board.height,
+        pieces: board.pieces.map(p => ({ id: p.id, x: p.x, y: p.y, width: p.width, height: p.height }))
+    };
+    const goal = gameState.puzzle.goals[0];
+    editorState.goal = goal ? { piece: goal.piece, x: goal.x, y: goal.y } : null;
+    editorState.drag = null;
+    editorState.active = true;
+
+    dragState.isDragging = false;
+    dragState.piece = null;
+    document.getElementById('editorWidth').value = board.width;
+    document.getElementById('editorHeight').value = board.height;
+    document.getElementById('editor-panel').hidden = false;
+    document.getElementById('editModeBtn').textContent = 'Cancel Editing';
+    setEditorMessage('');
+}
+
+/**
+ * Leaves edit mode; the game board is shown again exactly as it was.
+ */
+function exitEditMode() {
+    editorState.active = false;
+    editorState.drag = null;
+    document.getElementById('editor-panel').hidden = true;
+    document.getElementById('editModeBtn').textContent = 'Edit Layout';
+    updateDisplay();
+}
+
+/**
+ * Turns the edited layout into a puzzle and starts playing it.
+ * @param {boolean} explore Also build the solution space of the new layout.
+ */
+function playEditedLayout(explore) {
+    const definition = getEditorPuzzleDefinition();
+    const error = validatePuzzleDefinition(definition);
+    if (error) {
+        setEditorMessage(error);
+        return;
+    }
+    exitEditMode();
+    loadPuzzle(normalizePuzzleDefinition(definition), { explore });
+}
+
+function getEditorPuzzleDefinition() {
+    const board = editorState.board;
+    const definition = {
+        name: 'Custom Layout',
+        width: board.width,
+        height: board.height,
+        start: boardToString(board),
+        goalPiece: editorState.goal ? editorState.goal.piece : [],
+        goals: editorState.goal ? [{ x: editorState.goal.x, y: editorState.goal.y }] : []
+    };
+    return definition;
+}
+
+// --- Editing Operations ---
+
+function resizeEditorBoardFromInputs() {
+    const clamp = value => Math.max(EDITOR_MIN_SIZE, Math.min(EDITOR_MAX_SIZE, parseInt(value) || EDITOR_MIN_SIZE));
+    const width = clamp(document.getElementById('editorWidth').value);
+    const height = clamp(document.getElementById('editorHeight').value);
+    document.getElementById('editorWidth').value = width;
+    document.getElementById('editorHeight').value = height;
+
+    // Pieces that no longer fit are dropped
+    const board = editorState.board;
+    board.width = width;
+    board.height = height;
+    board.pieces = board.pieces.filter(p => p.x + p.width <= width && p.y + p.height <= height);
+    fixEditorGoal();
+}
+
+/**
+ * Keeps the goal consistent after an edit: it is dropped if its piece is gone and
+ * moved back onto the board if the piece no longer fits at the goal placement.
+ */
+function fixEditorGoal() {
+    const goal = editorState.goal;
+    if (!goal) return;
+    const piece = editorState.board.pieces.find(p => p.id === goal.piece);
+    if (!piece) {
+        editorState.goal = null;
+        return;
+    }
+    const board = editorState.board;
+    if (goal.x + piece.width > board.width || goal.y + piece.height > board.height) {
+        editorState.goal = { piece: piece.id, ...getDefaultGoalPlacement(piece) };
+    }
+}
+
+/**
+ * The classic exit: centred on the bottom edge.
+ */
+function getDefaultGoalPlacement(piece) {
+    const board = editorState.board;
+    return { x: Math.floor((board.width - piece.width) / 2), y: board.height - piece.height };
+}
+
+function getNextPieceId() {
+    const used = new Set(editorState.board.pieces.map(p => p.id));
+    return [...EDITOR_PIECE_IDS].find(id => !used.has(id)) || null;
+}
+
+function getEditorPieceAt(x, y) {
+    return editorState.board.pieces.find(p => x >= p.x && x < p.x + p.width && y >= p.y && y < p.y + p.height) || null;
+}
+
+function setEditorMessage(message) {
+    editorState.message = message;
+}
+
+// --- Editor Mouse Handlers ---
+
+/**
+ * Converts a mouse event on the game canvas into the editor board cell under it,
+ * clamped to the board.
+ */
+function getEditorCell(e) {
+    const rect = e.target.getBoundingClientRect();
+    const board = editorState.board;
+    const { cellSize, offsetX, offsetY } = getBoardMetrics(e.target, board);
+    const x = Math.floor((e.clientX - rect.left - offsetX) / cellSize);
+    const y = Math.floor((e.clientY - rect.top - offsetY) / cellSize);
+    return {
+        x: Math.max(0, Math.min(board.width - 1, x)),
+        y: Math.max(0, Math.min(board.height - 1, y)),
+        inside: x >= 0 && y >= 0 && x < board.width && y < board.height
+    };
+}
+
+function handleEditorMouseDown(e) {
+    const cell = getEditorCell(e);
+    if (!cell.inside) return;
+    const piece = getEditorPieceAt(cell.x, cell.y);
+    setEditorMessage('');
+
+    switch (editorState.tool) {
+        case 'add':
+            if (piece) {
+                setEditorMessage('Start a new piece on an empty cell.');
+                return;
+            }
+            editorState.drag = { startX: cell.x, startY: cell.y, x: cell.x, y: cell.y, piece: null };
+            break;
+        case 'resize':
+            if (piece) {
+                editorState.drag = { startX: piece.x, startY: piece.y, x: cell.x, y: cell.y, piece };
+            }
+            break;
+        case 'delete':
+            if (piece) {
+                editorState.board.pieces = editorState.board.pieces.filter(p => p !== piece);
+                fixEditorGoal();
+            }
+            break;
+        case 'goal':
+            if (piece) {
+                const keepPlacement = editorState.goal && editorState.goal.piece === piece.id;
+                editorState.goal = keepPlacement ? editorState.goal : { piece: piece.id, ...getDefaultGoalPlacement(piece) };
+            }
+            break;
+        case 'goalArea':
+            placeEditorGoal(cell.x, cell.y);
+            break;
+    }
+}
+
+function handleEditorMouseMove(e) {
+    if (!editorState.drag) return;
+    const cell = getEditorCell(e);
+    editorState.drag.x = cell.x;
+    editorState.drag.y = cell.y;
+}
+
+function handleEditorMouseUp() {
+    const drag = editorState.drag;
+    if (!drag) return;
+    editorState.drag = null;
+
+    const candidate = getDragCandidate(drag);
+    if (!candidate) return;
+    if (!canPlacePiece(candidate, candidate.x, candidate.y, editorState.board)) {
+        setEditorMessage('Pieces cannot overlap.');
+        return;
+    }
+
+    if (drag.piece) {
+        drag.piece.width = candidate.width;
+        drag.piece.height = candidate.height;
+        fixEditorGoal();
+    } else {
+        editorState.board.pieces.push(candidate);
+    }
+}
+
+/**
+ * The piece a drag would produce: a new piece spanning the dragged rectangle, or the
+ * resized piece with its top-left corner fixed.
+ * @returns {{id: string, x: number, y: number, width: number, height: number}|null}
+ */
+function getDragCandidate(drag) {
+    if (drag.piece) {
+        return {
+            id: drag.piece.id,
+            x: drag.piece.x,
+            y: drag.piece.y,
+            width: Math.max(1, drag.x - drag.piece.x + 1),
+            height: Math.max(1, drag.y - drag.piece.y + 1)
+        };
+    }
+    const id = getNextPieceId();
+    if (!id) {
+        setEditorMessage('No piece characters left.');
+        return null;
+    }
+    const x = Math.min(drag.startX, drag.x);
+    const y = Math.min(drag.startY, drag.y);
+    return { id, x, y, width: Math.abs(drag.x - drag.startX) + 1, height: Math.abs(drag.y - drag.startY) + 1 };
+}
+
+function placeEditorGoal(x, y) {
+    if (!editorState.goal) {
+        setEditorMessage('Mark a goal piece first.');
+        return;
+    }
+    const piece = editorState.board.pieces.find(p => p.id === editorState.goal.piece);
+    const board = editorState.board;
+    editorState.goal = {
+        piece: piece.id,
+        x: Math.min(x, board.width - piece.width),
+        y: Math.min(y, board.height - piece.height)
+    };
+}
+
+// --- Editor Drawing ---
+
+function drawEditor(ctx, canvas) {
+    const board = editorState.board;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const { cellSize, offsetX, offsetY } = getBoardMetrics(canvas, board);
+    drawBoardGrid(ctx, board, cellSize, offsetX, offsetY);
+
+    // Goal placement
+    const goal = editorState.goal;
+    const goalPiece = goal && board.pieces.find(p => p.id === goal.piece);
+    if (goalPiece) {
+        ctx.fillStyle = 'rgba(0,255,0,0.3)';
+        ctx.fillRect(offsetX + goal.x * cellSize, offsetY + goal.y * cellSize, goalPiece.width * cellSize, goalPiece.height * cellSize);
+        ctx.fillStyle = '#0f0';
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('GOAL', offsetX + (goal.x + goalPiece.width / 2) * cellSize, offsetY + (goal.y + goalPiece.height / 2) * cellSize + 5);
+    }
+
+    // Pieces, with the one being resized shown at its new size
+    const drag = editorState.drag;
+    const candidate = drag ? getDragCandidate(drag) : null;
+    for (const piece of board.pieces) {
+        const shown = drag && drag.piece === piece ? candidate : piece;
+        const color = goal && goal.piece === piece.id ? '#ff4444' : generateColorFromChar(piece.id);
+        drawPiece(ctx, { ...shown, color }, cellSize, offsetX, offsetY, false, drag && drag.piece === piece);
+        ctx.fillStyle = '#fff';
+        ctx.font = '16px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(piece.id, offsetX + (shown.x + shown.width / 2) * cellSize, offsetY + (shown.y + shown.height / 2) * cellSize);
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    // Rubber band for a new piece: green if it fits, red if it overlaps
+    if (drag && !drag.piece && candidate) {
+        const fits = canPlacePiece(candidate, candidate.x, candidate.y, board);
+        ctx.fillStyle = fits ? 'rgba(0,255,0,0.25)' : 'rgba(255,0,0,0.25)';
+        ctx.strokeStyle = fits ? '#0f0' : '#f00';
+        ctx.lineWidth = 2;
+        const x = offsetX + candidate.x * cellSize;
+        const y = offsetY + candidate.y * cellSize;
+        ctx.fillRect(x, y, candidate.width * cellSize, candidate.height * cellSize);
+        ctx.strokeRect(x, y, candidate.width * cellSize, candidate.height * cellSize);
+    }
+
+    updateEditorInfo();
+}
+
+/**
+ * Shows the live representation string and any problem with the layout.
+ */
+function updateEditorInfo() {
+    const definition = getEditorPuzzleDefinition();
+    document.getElementById('editorRepresentationDisplay').textContent = definition.start;
+    document.getElementById('editorMessageDisplay').textContent = editorState.message || validatePuzzleDefinition(definition) || '';
+}
@@ -0,0 +1,764 @@
+// Klotski Puzzle Engine
+// The rules of the game, without the page: parsing and writing positions, puzzle
+// definitions, move generation under each move metric, making moves, move notation,
+// win checks and a breadth-first solver. Boards made here are frozen values; a move
+// returns a new board. Nothing in this file touches the DOM or the global game state,
+// so it runs as a classic script in the page and as a CommonJS module under Node
+// (see tests/engine.test.js).
+
+// --- Positions ---
+
+// The representation for the classic Klotski starting position.
+const CLASSIC_REPRESENTATION = "aTTbaTTb.cc.dghedfie";
+
+/**
+ * Parses a compact string representation into plain piece records.
+ * Each character represents a part of a piece on a grid; '.' marks an empty cell.
+ *
+ * @param {string} representationString The string representing the board state (e.g., "aTTbaTTb.cc.dghedfie").
+ * @param {number} width The board width in cells.
+ * @param {number} height The board height in cells.
+ * @returns {Array<{id: string, x: number, y: number, width: number, height: number}>} The pieces on the board.
+ */
+function parseRepresentation(representationString, width, height) {
+    const grid = [];
+    let charIndex = 0;
+
+    // 1. Chunk the string into a 2D grid
+    for (let y = 0; y < height; y++) {
+        const row = representationString.substring(charIndex, charIndex + width);
+        grid.push(row.split(''));
+        charIndex += width;
+    }
+
+    const processedChars = new Set();
+    const pieces = [];
+
+    // 2. Identify all pieces and their dimensions
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const char = grid[y][x];
+            if (char === '.' || processedChars.has(char)) {
+                continue;
+            }
+
+            let pieceWidth = 0;
+            let pieceHeight = 0;
+
+            // Determine width
+            for (let i = x; i < width && grid[y][i] === char; i++) {
+                pieceWidth++;
+            }
+            // Determine height
+            for (let j = y; j < height && grid[j][x] === char; j++) {
+                pieceHeight++;
+            }
+
+            pieces.push({ id: char, x, y, width: pieceWidth, height: pieceHeight });
+            processedChars.add(char);
+        }
+    }
+
+    return pieces;
+}
+
+/**
+ * Checks that a string describes a well-formed board: the right length, and every
+ * piece character covering exactly one solid rectangle.
+ *
+ * @param {string} representationString The string to check.
+ * @param {number} width The board width in cells.
+ * @param {number} height The board height in cells.
+ * @returns {string|null} A description of the problem, or null if the string is valid.
+ */
+function validateRepresentation(representationString, width, height) {
+    if (typeof representationString !== 'string' || representationString.length !== width * height) {
+        return `Expected ${width * height} characters for a ${width}x${height} board.`;
+    }
+    const pieces = parseRepresentation(representationString, width, height);
+    let covered = 0;
+    for (const piece of pieces) {
+        for (let y = piece.y; y < piece.y + piece.height; y++) {
+            for (let x = piece.x; x < piece.x + piece.width; x++) {
+                if (representationString[y * width + x] !== piece.id) {
+                    return `Piece '${piece.id}' is not a rectangle.`;
+                }
+            }
+        }
+        covered += piece.width * piece.height;
+    }
+    const occupied = representationString.split('').filter(c => c !== '.').length;
+    if (covered !== occupied) {
+        return 'Some piece characters appear in more than one place.';
+    }
+    return null;
+}
+
+/**
+ * Builds a board value from a representation. The board, its piece list and every
+ * piece are frozen; moves produce new boards.
+ * @param {string} representationString A valid representation (see validateRepresentation).
+ * @param {number} width The board width in cells.
+ * @param {number} height The board height in cells.
+ * @returns {{width: number, height: number, pieces: ReadonlyArray<{id: string, x: number, y: number, width: number, height: number}>}}
+ */
+function createBoard(representationString, width, height) {
+    return freezeBoard(width, height, parseRepresentation(representationString, width, height));
+}
+
+function freezeBoard(width, height, pieces) {
+    return Object.freeze({ width, height, pieces: Object.freeze(pieces.map(piece => Object.freeze({ ...piece }))) });
+}
+
+/**
+ * Converts any board back into its string representation.
+ * @param {{width: number, height: number, pieces: Array<{id: string, x: number, y: number, width: number, height: number}>}} board
+ * @returns {string} The compact string for the board layout.
+ */
+function boardToString(board) {
+    const grid = Array(board.height).fill(null).map(() => Array(board.width).fill('.'));
+
+    for (const piece of board.pieces) {
+        for (let y = 0; y < piece.height; y++) {
+            for (let x = 0; x < piece.width; x++) {
+                grid[piece.y + y][piece.x + x] = piece.id;
+            }
+        }
+    }
+
+    return grid.map(row => row.join('')).join('');
+}
+
+// --- Puzzle Definitions ---
+//
+// The definition format is described in puzzles.js.
+
+const CLASSIC_PUZZLE = {
+    name: 'Classic',
+    width: 4,
+    height: 5,
+    start: CLASSIC_REPRESENTATION,
+    goalPiece: 'T',
+    goals: [{ x: 1, y: 3 }]
+};
+
+const EXIT_SIDES = ['top', 'bottom', 'left', 'right'];
+
+/**
+ * Checks a puzzle definition for everything the game relies on.
+ * @param {Object} definition The puzzle definition to check.
+ * @returns {string|null} A description of the problem, or null if the definition is valid.
+ */
+function validatePuzzleDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+        return 'A puzzle definition must be an object.';
+    }
+    const { width, height, start, goals } = definition;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+        return 'Width and height must be positive integers.';
+    }
+    const representationError = validateRepresentation(start, width, height);
+    if (representationError) {
+        return `Invalid start: ${representationError}`;
+    }
+
+    const goalPieces = getGoalPieces(definition);
+    if (goalPieces.length === 0) {
+        return 'At least one goal piece is required.';
+    }
+    const pieces = parseRepresentation(start, width, height);
+    for (const id of goalPieces) {
+        if (!pieces.some(p => p.id === id)) {
+            return `Goal piece '${id}' does not appear in the start.`;
+        }
+    }
+
+    if (!Array.isArray(goals) || goals.length === 0) {
+        return 'At least one goal placement is required.';
+    }
+    for (const goal of goals) {
+        if (!goal || typeof goal !== 'object') {
+            return 'Each goal placement must be an object with x and y.';
+        }
+        const id = goal.piece || goalPieces[0];
+        const piece = pieces.find(p => p.id === id);
+        if (!piece || !goalPieces.includes(id)) {
+            return `Goal placement refers to '${id}', which is not a goal piece.`;
+        }
+        if (!Number.isInteger(goal.x) || !Number.isInteger(goal.y) ||
+            goal.x < 0 || goal.y < 0 || goal.x + piece.width > width || goal.y + piece.height > height) {
+            return `Goal placement (${goal.x}, ${goal.y}) for '${id}' is off the board.`;
+        }
+    }
+    for (const id of goalPieces) {
+        if (!goals.some(goal => (goal.piece || goalPieces[0]) === id)) {
+            return `Goal piece '${id}' has no goal placement.`;
+        }
+    }
+
+    const exits = definition.exits || [];
+    if (!Array.isArray(exits)) {
+        return 'Exits must be an array.';
+    }
+    for (const exit of exits) {
+        if (!exit || typeof exit !== 'object' || !EXIT_SIDES.includes(exit.side) || !Number.isInteger(exit.offset) || !Number.isInteger(exit.length)) {
+            return 'Each exit needs a side (top, bottom, left or right), an offset and a length.';
+        }
+    }
+    return null;
+}
+
+/**
+ * Fills in the optional parts of a valid puzzle definition: goal pieces as an array,
+ * an explicit piece on every goal placement and the exits.
+ * @param {Object} definition A definition that passed validatePuzzleDefinition.
+ * @returns {Object} A new, normalized definition.
+ */
+function normalizePuzzleDefinition(definition) {
+    const goalPieces = getGoalPieces(definition);
+    const goals = definition.goals.map(goal => ({ piece: goal.piece || goalPieces[0], x: goal.x, y: goal.y }));
+    const puzzle = {
+        name: definition.name || 'Custom Puzzle',
+        width: definition.width,
+        height: definition.height,
+        start: definition.start,
+        goalPieces,
+        goals
+    };
+    puzzle.exits = definition.exits ? definition.exits.map(exit => ({ ...exit })) : deriveExits(puzzle);
+    return puzzle;
+}
+
+function getGoalPieces(definition) {
+    const goalPiece = definition.goalPieces || definition.goalPiece;
+    if (Array.isArray(goalPiece)) return goalPiece.filter(id => typeof id === 'string' && id.length === 1);
+    return typeof goalPiece === 'string' && goalPiece.length === 1 ? [goalPiece] : [];
+}
+
+/**
+ * Places an exit on the border wherever a goal placement touches it.
+ * @param {Object} puzzle A normalized puzzle without exits.
+ * @returns {Array<{side: string, offset: number, length: number}>} The exits.
+ */
+function deriveExits(puzzle) {
+    const pieces = parseRepresentation(puzzle.start, puzzle.width, puzzle.height);
+    const exits = [];
+    for (const goal of puzzle.goals) {
+        const piece = pieces.find(p => p.id === goal.piece);
+        if (goal.y + piece.height === puzzle.height) exits.push({ side: 'bottom', offset: goal.x, length: piece.width });
+        if (goal.y === 0) exits.push({ side: 'top', offset: goal.x, length: piece.width });
+        if (goal.x === 0) exits.push({ side: 'left', offset: goal.y, length: piece.height });
+        if (goal.x + piece.width === puzzle.width) exits.push({ side: 'right', offset: goal.y, length: piece.height });
+    }
+    return exits;
+}
+
+/**
+ * Parses and validates puzzle JSON text.
+ * @param {string} text The JSON source.
+ * @returns {{puzzle: Object|null, error: string|null}} The normalized puzzle, or the reason it was rejected.
+ */
+function parsePuzzleJSON(text) {
+    let definition;
+    try {
+        definition = JSON.parse(text);
+    } catch (err) {
+        return { puzzle: null, error: `Not valid JSON: ${err.message}` };
+    }
+    const error = validatePuzzleDefinition(definition);
+    return error ? { puzzle: null, error } : { puzzle: normalizePuzzleDefinition(definition), error: null };
+}
+
+/**
+ * Checks whether every goal piece sits on one of its goal placements.
+ * @param {Array<{id: string, x: number, y: number}>} pieces The pieces on the board.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @returns {boolean} True if the layout is a solution.
+ */
+function isWinningLayout(pieces, puzzle) {
+    return puzzle.goalPieces.every(id => {
+        const piece = pieces.find(p => p.id === id);
+        return !!piece && puzzle.goals.some(goal => goal.piece === id && goal.x === piece.x && goal.y === piece.y);
+    });
+}
+
+/**
+ * @param {{pieces: Object[]}} board The board.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @returns {boolean} True if the board is solved.
+ */
+function isSolved(board, puzzle) {
+    return isWinningLayout(board.pieces, puzzle);
+}
+
+// --- Shape Keys ---
+//
+// Swapping two pieces of the same shape, neither of them a goal piece, changes neither
+// the moves available nor the distance to a solution. A position's shape key replaces
+// every non-goal piece character with a code for its shape; goal pieces keep their
+// own characters because the win condition depends on them. This is unambiguous: the
+// first cell of a region covered by one shape must be the top-left of a piece.
+
+/**
+ * Builds the shape key of a position: goal pieces keep their character, every other
+ * piece is written as a code for its width and height.
+ * @param {string} representation The position.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @returns {string} The shape key.
+ */
+function getShapeKey(representation, puzzle) {
+    const { width, height } = puzzle;
+    const cells = new Array(width * height).fill('.');
+    for (const piece of parseRepresentation(representation, width, height)) {
+        const code = puzzle.goalPieces.includes(piece.id) ? piece.id : String.fromCharCode(0xC0 + piece.width * 16 + piece.height);
+        for (let y = piece.y; y < piece.y + piece.height; y++) {
+            for (let x = piece.x; x < piece.x + piece.width; x++) {
+                cells[y * width + x] = code;
+            }
+        }
+    }
+    return cells.join('');
+}
+
+// --- Move Generation ---
+
+// Ways of counting moves. Each one decides which drags the game canvas accepts as a
+// single move and which positions are joined by an edge in the solution graph.
+const MOVE_METRICS = {
+    cell: { name: 'Single-Cell Steps' },      // One piece, one cell
+    slide: { name: 'Straight-Line Slides' },  // One piece, any distance in one direction
+    piece: { name: 'Any-Path Piece Moves' }   // One piece, any path through free cells (e.g. L-shaped)
+};
+
+// The metric of the precomputed `nodes_to_use` data.
+const DEFAULT_MOVE_METRIC = 'slide';
+
+const SLIDE_DIRECTIONS = [
+    { dx: 0, dy: -1 },
+    { dx: 0, dy: 1 },
+    { dx: -1, dy: 0 },
+    { dx: 1, dy: 0 }
+];
+
+/**
+ * Checks whether a piece fits at a place on a board, ignoring where it is now.
+ * @param {{id: string, width: number, height: number}} piece The piece.
+ * @param {number} x The column of the piece's top-left cell.
+ * @param {number} y The row of the piece's top-left cell.
+ * @param {{width: number, height: number, pieces: Object[]}} board The board.
+ * @returns {boolean} True if the place is on the board and no other piece covers it.
+ */
+function canPlacePiece(piece, x, y, board) {
+    if (x < 0 || y < 0 || x + piece.width > board.width || y + piece.height > board.height) {
+        return false;
+    }
+    for (let other of board.pieces) {
+        if (other.id === piece.id) continue;
+        if (!(x + piece.width <= other.x || x >= other.x + other.width || y + piece.height <= other.y || y >= other.y + other.height)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Lists where a piece can go in one move. Each destination comes with the legs of the
+ * move, the straight runs it is made of; a move under the `piece` metric uses as few
+ * legs as possible. Every cell passed through must be free according to canPlacePiece.
+ *
+ * @param {{width: number, height: number, pieces: Object[]}} board The board.
+ * @param {{id: string, x: number, y: number, width: number, height: number}} piece The piece to move.
+ * @param {string} metric One of the keys of MOVE_METRICS.
+ * @returns {Array<{x: number, y: number, legs: Array<{direction: number, distance: number}>}>}
+ *     The destinations; `direction` indexes SLIDE_DIRECTIONS.
+ */
+function getPieceDestinations(board, piece, metric) {
+    const maxDistance = metric === 'cell' ? 1 : Infinity;
+    const slidesFrom = (x, y) => {
+        const slides = [];
+        SLIDE_DIRECTIONS.forEach(({ dx, dy }, direction) => {
+            for (let distance = 1; distance <= maxDistance; distance++) {
+                if (!canPlacePiece(piece, x + dx * distance, y + dy * distance, board)) break;
+                slides.push({ x: x + dx * distance, y: y + dy * distance, direction, distance });
+            }
+        });
+        return slides;
+    };
+
+    if (metric !== 'piece') {
+        return slidesFrom(piece.x, piece.y).map(({ x, y, direction, distance }) => ({ x, y, legs: [{ direction, distance }] }));
+    }
+
+    // Breadth-first search over the piece's own slides: the first visit uses the fewest legs
+    const destinations = [];
+    const visited = new Set([`${piece.x},${piece.y}`]);
+    const queue = [{ x: piece.x, y: piece.y, legs: [] }];
+    for (let head = 0; head < queue.length; head++) {
+        const from = queue[head];
+        for (const { x, y, direction, distance } of slidesFrom(from.x, from.y)) {
+            if (visited.has(`${x},${y}`)) continue;
+            visited.add(`${x},${y}`);
+            const destination = { x, y, legs: [...from.legs, { direction, distance }] };
+            destinations.push(destination);
+            queue.push(destination);
+        }
+    }
+    return destinations;
+}
+
+/**
+ * Lists every legal move on a board.
+ * @param {{width: number, height: number, pieces: Object[]}} board The board.
+ * @param {string} [metric] One of the keys of MOVE_METRICS.
+ * @returns {Array<{piece: string, legs: Array<{direction: number, distance: number}>}>} The moves, piece by piece.
+ */
+function getLegalMoves(board, metric = DEFAULT_MOVE_METRIC) {
+    return board.pieces.flatMap(piece =>
+        getPieceDestinations(board, piece, metric).map(({ legs }) => ({ piece: piece.id, legs })));
+}
+
+/**
+ * Lists the representations reachable from a position with a single move.
+ *
+ * @param {string} representation The position to expand.
+ * @param {number} width The board width in cells.
+ * @param {number} height The board height in cells.
+ * @param {string} [metric] One of the keys of MOVE_METRICS.
+ * @returns {string[]} The representations of all neighboring positions.
+ */
+function getNeighborRepresentations(representation, width, height, metric = DEFAULT_MOVE_METRIC) {
+    const board = { width, height, pieces: parseRepresentation(representation, width, height) };
+    const neighbors = [];
+
+    for (const piece of board.pieces) {
+        for (const { x, y } of getPieceDestinations(board, piece, metric)) {
+            neighbors.push(moveInRepresentation(representation, width, piece, x, y));
+        }
+    }
+
+    return neighbors;
+}
+
+/**
+ * Produces the representation that results from moving one piece.
+ * @param {string} representation The position before the move.
+ * @param {number} width The board width in cells.
+ * @param {{id: string, x: number, y: number, width: number, height: number}} piece The piece to move.
+ * @param {number} x The new column of the piece's top-left cell.
+ * @param {number} y The new row of the piece's top-left cell.
+ * @returns {string} The position after the move.
+ */
+function moveInRepresentation(representation, width, piece, x, y) {
+    const cells = representation.split('');
+    for (let j = 0; j < piece.height; j++) {
+        for (let i = 0; i < piece.width; i++) {
+            cells[(piece.y + j) * width + piece.x + i] = '.';
+        }
+    }
+    for (let j = 0; j < piece.height; j++) {
+        for (let i = 0; i < piece.width; i++) {
+            cells[(y + j) * width + x + i] = piece.id;
+        }
+    }
+    return cells.join('');
+}
+
+// --- Making Moves ---
+
+/**
+ * Makes a move, one cell at a time, so no piece is jumped over.
+ * @param {{width: number, height: number, pieces: Object[]}} board The board; left unchanged.
+ * @param {{piece: string, legs: Array<{direction: number, distance: number}>}} move The move to make.
+ * @param {string} metric The move metric the move must be a single move under.
+ * @returns {{board: Object|null, error: string|null}} The new, frozen board, or why the move is illegal.
+ */
+function applyMove(board, move, metric) {
+    const piece = board.pieces.find(p => p.id === move.piece);
+    const reject = error => ({ board: null, error });
+    if (!piece) {
+        return reject(`there is no piece '${move.piece}'`);
+    }
+    if (move.legs.length > 1 && metric !== 'piece') {
+        return reject(`a move cannot turn under ${MOVE_METRICS[metric].name}`);
+    }
+    if (move.legs.some(leg => leg.distance < 1)) {
+        return reject('a move goes at least one cell');
+    }
+    if (metric === 'cell' && move.legs[0].distance > 1) {
+        return reject(`a move goes one cell under ${MOVE_METRICS[metric].name}`);
+    }
+    let { x, y } = piece;
+    for (const leg of move.legs) {
+        const { dx, dy } = SLIDE_DIRECTIONS[leg.direction];
+        for (let step = 0; step < leg.distance; step++) {
+            x += dx;
+            y += dy;
+            if (!canPlacePiece(piece, x, y, board)) {
+                return reject(`piece '${move.piece}' is blocked`);
+            }
+        }
+    }
+    const pieces = board.pieces.map(p => p === piece ? { ...p, x, y } : p);
+    return { board: freezeBoard(board.width, board.height, pieces), error: null };
+}
+
+// --- Notation ---
+//
+// A move is written as the piece character followed by its legs: a direction (U, D, L
+// or R) and the number of cells, which is left out when it is 1. "bR2" slides piece b
+// two cells right, "TD" slides T one cell down and "aRD" moves a right, then down (an
+// L-shaped move, one move under the any-path metric). A move list is moves separated by
+// spaces; lines starting with # are comments, except "# Start: <representation>", which
+// names the position the moves start from (the puzzle's start when it is missing), and
+// "# Metric: <metric>", which names the move metric the list was written under.
+
+// Direction letters, in the order of SLIDE_DIRECTIONS.
+const MOVE_DIRECTION_LETTERS = 'UDLR';
+
+// Moves per line in written move lists.
+const MOVES_PER_LINE = 10;
+
+/**
+ * @param {{piece: string, legs: Array<{direction: number, distance: number}>}} move
+ *     A move; `direction` indexes SLIDE_DIRECTIONS, as in getPieceDestinations.
+ * @returns {string} The move in notation, e.g. "bR2".
+ */
+function formatMove(move) {
+    return move.piece + move.legs
+        .map(leg => MOVE_DIRECTION_LETTERS[leg.direction] + (leg.distance === 1 ? '' : leg.distance))
+        .join('');
+}
+
+/**
+ * @param {string} token One move in notation.
+ * @returns {{piece: string, legs: Array<{direction: number, distance: number}>}|null} The move, or null if the token is not a move.
+ */
+function parseMove(token) {
+    const match = /^(.)((?:[UDLR]\d*)+)$/.exec(token);
+    if (!match) return null;
+    const legs = [...match[2].matchAll(/([UDLR])(\d*)/g)].map(leg => ({
+        direction: MOVE_DIRECTION_LETTERS.indexOf(leg[1]),
+        distance: leg[2] ? parseInt(leg[2]) : 1
+    }));
+    return { piece: match[1], legs };
+}
+
+/**
+ * Names the moves that lead from one position to the next: usually one, but a position
+ * reached under another metric can take several moves of one piece under this one.
+ * @param {string} from The position before.
+ * @param {string} to The position after.
+ * @param {number} width Board width.
+ * @param {number} height Board height.
+ * @param {string} metric One of the keys of MOVE_METRICS.
+ * @returns {string|null} The moves in notation, separated by spaces, or null if more than
+ *     one piece moved, as after a jump through the graph viewer.
+ */
+function getMoveNotation(from, to, width, height, metric) {
+    const before = parseRepresentation(from, width, height);
+    const after = new Map(parseRepresentation(to, width, height).map(piece => [piece.id, piece]));
+    if (after.size !== before.length) return null;
+
+    let movedPiece = null;
+    for (const piece of before) {
+        const moved = after.get(piece.id);
+        if (!moved || moved.width !== piece.width || moved.height !== piece.height) return null;
+        if (moved.x === piece.x && moved.y === piece.y) continue;
+        if (movedPiece) return null;
+        movedPiece = piece;
+    }
+    if (!movedPiece) return null;
+
+    const target = after.get(movedPiece.id);
+    const moves = findPieceMoves({ width, height, pieces: before }, movedPiece, target.x, target.y, metric);
+    return moves ? moves.map(formatMove).join(' ') : null;
+}
+
+/**
+ * Finds the fewest moves that bring one piece to a new place while the others stay put.
+ * @returns {Array<{piece: string, legs: Object[]}>|null} The moves, or null if the place cannot be reached.
+ */
+function findPieceMoves(board, piece, x, y, metric) {
+    const key = (px, py) => `${px},${py}`;
+    const previous = new Map([[key(piece.x, piece.y), null]]);
+    const queue = [{ x: piece.x, y: piece.y }];
+    for (let head = 0; head < queue.length && !previous.has(key(x, y)); head++) {
+        const from = queue[head];
+        for (const destination of getPieceDestinations(board, { ...piece, x: from.x, y: from.y }, metric)) {
+            if (previous.has(key(destination.x, destination.y))) continue;
+            previous.set(key(destination.x, destination.y), { from, legs: destination.legs });
+            queue.push(destination);
+        }
+    }
+    if (!previous.has(key(x, y))) return null;
+
+    const moves = [];
+    for (let step = previous.get(key(x, y)); step; step = previous.get(key(step.from.x, step.from.y))) {
+        moves.unshift({ piece: piece.id, legs: step.legs });
+    }
+    return moves;
+}
+
+/**
+ * Writes a move list with a header naming the puzzle and the starting position.
+ * @param {string[]} moves Moves in notation.
+ * @param {string} start The position the moves start from.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @param {string} metric The move metric the moves are counted under.
+ * @returns {string} The move list text.
+ */
+function formatMoveList(moves, start, puzzle, metric) {
+    const lines = [`# Puzzle: ${puzzle.name}`, `# Start: ${start}`, `# Metric: ${metric}`, `# Moves: ${moves.length}`];
+    for (let i = 0; i < moves.length; i += MOVES_PER_LINE) {
+        lines.push(moves.slice(i, i + MOVES_PER_LINE).join(' '));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Reads a move list.
+ * @param {string} text The move list text.
+ * @returns {{start: string|null, metric: string|null, moves: Object[], error: string|null}}
+ *     The start and metric named in the header (or null) and the moves, or the reason the text was rejected.
+ */
+function parseMoveList(text) {
+    let start = null;
+    let metric = null;
+    const moves = [];
+    for (const line of text.split('\n')) {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('#')) {
+            const header = /^#\s*(Start|Metric):\s*(\S+)/i.exec(trimmed);
+            if (header && header[1].toLowerCase() === 'start') start = header[2];
+            if (header && header[1].toLowerCase() === 'metric') metric = header[2];
+            continue;
+        }
+        for (const token of trimmed.split(/[\s,]+/).filter(Boolean)) {
+            const move = parseMove(token);
+            if (!move) {
+                return { start, metric, moves: [], error: `"${token}" is not a move (expected piece, U/D/L/R and an optional distance, e.g. bR2)` };
+            }
+            moves.push(move);
+        }
+    }
+    if (metric !== null && !MOVE_METRICS[metric]) {
+        return { start, metric, moves: [], error: `"${metric}" is not a move metric` };
+    }
+    return { start, metric, moves, error: null };
+}
+
+/**
+ * Plays a move list from a starting position, checking every move with applyMove.
+ * @param {string} start The starting position.
+ * @param {Array<{piece: string, legs: Object[]}>} moves The moves.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @param {string} metric The move metric every move must be a single move under.
+ * @returns {{positions: string[], error: string|null}} The position after each move, or why a move failed.
+ */
+function replayMoveList(start, moves, puzzle, metric) {
+    let board = createBoard(start, puzzle.width, puzzle.height);
+    const positions = [];
+    for (let i = 0; i < moves.length; i++) {
+        const result = applyMove(board, moves[i], metric);
+        if (result.error) {
+            return { positions, error: `move ${i + 1} (${formatMove(moves[i])}): ${result.error}` };
+        }
+        board = result.board;
+        positions.push(boardToString(board));
+    }
+    return { positions, error: null };
+}
+
+// --- Solving ---
+
+/**
+ * Finds a shortest solution by breadth-first search. Positions with the same shape key
+ * are searched once, which keeps the search to the shape states (about 24,000 for the
+ * classic layout, against millions of positions with every piece told apart).
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @param {Object} [options]
+ * @param {string} [options.start] The position to solve from; defaults to the puzzle's start.
+ * @param {string} [options.metric] What counts as one move; one of the keys of MOVE_METRICS.
+ * @param {number} [options.maxStates] Give up once this many shape states are known.
+ * @returns {{moves: Array<{piece: string, legs: Object[]}>, positions: string[], explored: number}|null}
+ *     The moves, the position after each one and how many shape states were reached,
+ *     or null if no solution was found.
+ */
+function solvePuzzle(puzzle, options = {}) {
+    const { width, height } = puzzle;
+    const start = options.start || puzzle.start;
+    const metric = options.metric || DEFAULT_MOVE_METRIC;
+    const maxStates = options.maxStates || Infinity;
+
+    // Each shape key maps to the first position found with it, and the key and the move it was reached by
+    const reached = new Map([[getShapeKey(start, puzzle), { representation: start, from: null, move: null }]]);
+    const queue = [start];
+    for (let head = 0; head < queue.length; head++) {
+        const representation = queue[head];
+        const pieces = parseRepresentation(representation, width, height);
+        if (isWinningLayout(pieces, puzzle)) {
+            const moves = [];
+            const positions = [];
+            for (let step = reached.get(getShapeKey(representation, puzzle)); step.from; step = reached.get(step.from)) {
+                moves.unshift(step.move);
+                positions.unshift(step.representation);
+            }
+            return { moves, positions, explored: reached.size };
+        }
+
+        const key = getShapeKey(representation, puzzle);
+        const board = { width, height, pieces };
+        for (const piece of pieces) {
+            for (const { x, y, legs } of getPieceDestinations(board, piece, metric)) {
+                const next = moveInRepresentation(representation, width, piece, x, y);
+                const nextKey = getShapeKey(next, puzzle);
+                if (reached.has(nextKey)) continue;
+                if (reached.size >= maxStates) return null;
+                reached.set(nextKey, { representation: next, from: key, move: { piece: piece.id, legs } });
+                queue.push(next);
+            }
+        }
+    }
+    return null;
+}
+
+// --- Module ---
+
+// In the page every declaration above is a global; under Node they are exported.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CLASSIC_REPRESENTATION,
+        CLASSIC_PUZZLE,
+        EXIT_SIDES,
+        MOVE_METRICS,
+        DEFAULT_MOVE_METRIC,
+        SLIDE_DIRECTIONS,
+        MOVE_DIRECTION_LETTERS,
+        parseRepresentation,
+        validateRepresentation,
+        createBoard,
+        boardToString,
+        validatePuzzleDefinition,
+        normalizePuzzleDefinition,
+        getGoalPieces,
+        deriveExits,
+        parsePuzzleJSON,
+        isWinningLayout,
+        isSolved,
+        canPlacePiece,
+        getPieceDestinations,
+        getLegalMoves,
+        getNeighborRepresentations,
+        moveInRepresentation,
+        getShapeKey,
+        applyMove,
+        formatMove,
+        parseMove,
+        getMoveNotation,
+        findPieceMoves,
+        formatMoveList,
+        parseMoveList,
+        replayMoveList,
+        solvePuzzle
+    };
+}
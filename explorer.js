@@ -0,0 +1,489 @@
+// Klotski State Space Explorer
+// Builds the solution space in the browser by breadth-first search over legal moves,
+// producing state records in the same format as the precomputed `nodes_to_use` data.
+// What counts as one move is set by the move metric.
+
+// --- Explorer Settings ---
+
+// Upper bound on explored states, so an unexpectedly large puzzle cannot freeze the page.
+const EXPLORER_MAX_STATES = 20000;
+
+// --- Canonicalization ---
+//
+// In the shape-equivalent graph, positions that differ only by swapping pieces of the
+// same shape, or by mirroring left to right, are one state. A position's key is its
+// shape key (getShapeKey in engine.js), or that of its mirror image if it sorts first.
+
+/**
+ * Reverses every row of a position.
+ */
+function mirrorRepresentation(representation, width) {
+    let mirrored = '';
+    for (let i = 0; i < representation.length; i += width) {
+        mirrored += representation.substring(i, i + width).split('').reverse().join('');
+    }
+    return mirrored;
+}
+
+/**
+ * Checks whether mirroring left to right maps the puzzle's goals onto themselves, in
+ * which case a position and its mirror image are equally far from a solution.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @returns {boolean}
+ */
+function isMirrorSymmetricPuzzle(puzzle) {
+    const pieces = parseRepresentation(puzzle.start, puzzle.width, puzzle.height);
+    return puzzle.goals.every(goal => {
+        const piece = pieces.find(p => p.id === goal.piece);
+        const mirroredX = puzzle.width - piece.width - goal.x;
+        return puzzle.goals.some(other => other.piece === goal.piece && other.x === mirroredX && other.y === goal.y);
+    });
+}
+
+/**
+ * Gives the key shared by all positions that are equivalent up to swapping same-shaped
+ * pieces and, for symmetric puzzles, mirroring.
+ * @param {string} representation The position.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @param {boolean} [mirror] Whether mirror images are merged; worked out from the puzzle if omitted.
+ * @returns {string} The canonical key.
+ */
+function getCanonicalKey(representation, puzzle, mirror = isMirrorSymmetricPuzzle(puzzle)) {
+    const key = getShapeKey(representation, puzzle);
+    if (!mirror) return key;
+    const mirroredKey = getShapeKey(mirrorRepresentation(representation, puzzle.width), puzzle);
+    return mirroredKey < key ? mirroredKey : key;
+}
+
+/**
+ * Finds the relabeling of same-shaped pieces, after mirroring if `mirrored` is set, that
+ * turns one position into another with the same shape key.
+ * @param {string} from The position to relabel.
+ * @param {string} to The position it turns into.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @param {boolean} mirrored Whether the relabeling mirrors the position first.
+ * @returns {string|null} The relabeling, as 'm' or '-' for the mirroring followed by the
+ *     new label of each piece in the order of getPieceIds; null if there is none.
+ */
+function getRelabeling(from, to, puzzle, mirrored) {
+    const source = mirrored ? mirrorRepresentation(from, puzzle.width) : from;
+    if (getShapeKey(source, puzzle) !== getShapeKey(to, puzzle)) return null;
+    const labels = new Map();
+    for (let i = 0; i < source.length; i++) labels.set(source[i], to[i]);
+    return (mirrored ? 'm' : '-') + getPieceIds(puzzle).map(id => labels.get(id)).join('');
+}
+
+/**
+ * Finds the relabeling that mirrors a position onto itself, if its mirror image has the
+ * same shape key.
+ * @param {string} representation The position.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @param {boolean} mirror Whether mirror images are merged.
+ * @returns {string|null} The relabeling (see getRelabeling), or null.
+ */
+function getMirrorRelabeling(representation, puzzle, mirror) {
+    return mirror ? getRelabeling(representation, representation, puzzle, true) : null;
+}
+
+/**
+ * Relabels, and maybe mirrors, a position.
+ * @param {string} relabeling A relabeling from getRelabeling.
+ * @param {string} representation The position.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @returns {string} The relabeled position.
+ */
+function applyRelabeling(relabeling, representation, puzzle) {
+    const ids = getPieceIds(puzzle);
+    const source = relabeling[0] === 'm' ? mirrorRepresentation(representation, puzzle.width) : representation;
+    let result = '';
+    for (const cell of source) result += cell === '.' ? cell : relabeling[ids.indexOf(cell) + 1];
+    return result;
+}
+
+/**
+ * Combines two relabelings into one that applies `second` after `first`.
+ */
+function composeRelabelings(second, first, puzzle) {
+    const ids = getPieceIds(puzzle);
+    let result = first[0] === second[0] ? '-' : 'm';
+    for (let i = 1; i < first.length; i++) result += second[ids.indexOf(first[i]) + 1];
+    return result;
+}
+
+/**
+ * Lists the piece characters of a puzzle in sorted order.
+ */
+function getPieceIds(puzzle) {
+    return [...new Set(puzzle.start)].filter(cell => cell !== '.').sort();
+}
+
+/**
+ * Merges the equivalent states of an existing graph, such as the precomputed data.
+ * Each merged state takes the smallest distances and the mean position of its members,
+ * and records how many raw states it stands for (members that are merged states
+ * already bring their own `rawCount`).
+ *
+ * @param {Object<string, {x: number, y: number, z: number, representation: string, dist: number, solution_dist: number, neighbors: string[]}>} states
+ *     State records keyed by id, in the `nodes_to_use` format.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @returns {Object} Merged state records keyed by canonical key, each with a `rawCount`.
+ */
+function mergeEquivalentStates(states, puzzle) {
+    const mirror = isMirrorSymmetricPuzzle(puzzle);
+    const keyOf = new Map();
+    for (const id in states) {
+        keyOf.set(id, getCanonicalKey(states[id].representation, puzzle, mirror));
+    }
+
+    const merged = {};
+    const neighborSets = new Map();
+    const memberCounts = new Map();
+    for (const id in states) {
+        const data = states[id];
+        const key = keyOf.get(id);
+        let target = merged[key];
+        if (!target) {
+            target = merged[key] = { x: 0, y: 0, z: 0, representation: data.representation, dist: Infinity, solution_dist: Infinity, neighbors: [], rawCount: 0 };
+            neighborSets.set(key, new Set());
+            memberCounts.set(key, 0);
+        }
+        memberCounts.set(key, memberCounts.get(key) + 1);
+        target.x += data.x;
+        target.y += data.y;
+        target.z += data.z;
+        target.dist = Math.min(target.dist, data.dist);
+        target.solution_dist = Math.min(target.solution_dist, data.solution_dist);
+        target.rawCount += data.rawCount || 1;
+        for (const neighborId of data.neighbors || []) {
+            const neighborKey = keyOf.get(neighborId);
+            if (neighborKey !== undefined && neighborKey !== key) neighborSets.get(key).add(neighborKey);
+        }
+    }
+
+    for (const key in merged) {
+        const target = merged[key];
+        const members = memberCounts.get(key);
+        target.x /= members;
+        target.y /= members;
+        target.z /= members;
+        target.neighbors = [...neighborSets.get(key)];
+    }
+    return merged;
+}
+
+/**
+ * Finds the raw position one slide away that belongs to a given state. Used to walk
+ * a path through the graph without relabeling or mirroring the pieces on the board.
+ * @param {string} representation The position on the board.
+ * @param {string} key The key of the neighboring state.
+ * @param {function(string): string} keyOf The key function of the graph.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @returns {string|null} The neighboring raw position, or null if no slide reaches the state.
+ */
+function findNeighborWithKey(representation, key, keyOf, puzzle, metric = DEFAULT_MOVE_METRIC) {
+    return getNeighborRepresentations(representation, puzzle.width, puzzle.height, metric).find(next => keyOf(next) === key) || null;
+}
+
+// --- Exploration ---
+
+/**
+ * Explores every position reachable from a starting representation.
+ * Distances from the start come from the breadth-first search itself; distances to the
+ * nearest solution come from a second search seeded with all solved positions.
+ * Positions that cannot reach a solution get a `solution_dist` of Infinity.
+ *
+ * @param {string} startRepresentation The starting position (e.g., CLASSIC_REPRESENTATION).
+ * @param {Object} [options] See createExploration.
+ * @returns {Object<string, {representation: string, dist: number, solution_dist: number, neighbors: string[]}>}
+ *     State records keyed by representation (or canonical key), in the `nodes_to_use` format but without coordinates.
+ */
+function exploreStateSpace(startRepresentation, options = {}) {
+    const exploration = createExploration(startRepresentation, options);
+    while (!stepExploration(exploration, Infinity));
+    return getExploredStates(exploration);
+}
+
+/**
+ * Prepares a breadth-first exploration from a starting representation, to be advanced
+ * with stepExploration, so that a caller with an animation loop or a worker can explore
+ * a little at a time and look at the positions found so far.
+ *
+ * @param {string} startRepresentation The starting position.
+ * @param {Object} [options]
+ * @param {Object} [options.puzzle] The normalized puzzle that defines the board and its goals. Defaults to the active puzzle.
+ * @param {number} [options.maxStates] Stop expanding once this many states are known.
+ * @param {string} [options.metric] What counts as one move; one of the keys of MOVE_METRICS.
+ * @param {boolean} [options.mergeEquivalent] Explore the shape-equivalent graph: states are keyed by
+ *     canonical key, each represented by the first raw position found, and record a `rawCount`.
+ * @returns {Object} The exploration: the positions found so far in `representations`, their
+ *     `keys` and distances from the start (`dist`), and the neighbor indices of the first
+ *     `head` of them, which have been expanded, in `adjacency`.
+ */
+function createExploration(startRepresentation, options = {}) {
+    const puzzle = options.puzzle || gameState.puzzle;
+    const mergeEquivalent = !!options.mergeEquivalent;
+    const mirror = mergeEquivalent && isMirrorSymmetricPuzzle(puzzle);
+    const keyOf = mergeEquivalent ? (representation => getCanonicalKey(representation, puzzle, mirror)) : (representation => representation);
+    const startKey = keyOf(startRepresentation);
+    return {
+        puzzle,
+        maxStates: options.maxStates || EXPLORER_MAX_STATES,
+        metric: options.metric || DEFAULT_MOVE_METRIC,
+        mergeEquivalent,
+        mirror,
+        keyOf,
+        relabelings: new Set(), // Relabelings by which moves reached known states, for countReachablePositions
+        representations: [startRepresentation],
+        keys: [startKey],
+        indexOf: new Map([[startKey, 0]]),
+        dist: [0],
+        adjacency: [],
+        head: 0, // Positions before this one have been expanded
+        truncated: false,
+        done: false
+    };
+}
+
+/**
+ * Expands positions in breadth-first order for up to the given amount of time.
+ * @param {Object} exploration An exploration created by createExploration.
+ * @param {number} budgetMs How long to explore, in milliseconds.
+ * @returns {boolean} True once every reachable position, or maxStates of them, is known.
+ */
+function stepExploration(exploration, budgetMs) {
+    const start = performance.now();
+    const { puzzle, metric, keyOf, representations, keys, indexOf, dist, adjacency } = exploration;
+    while (exploration.head < representations.length) {
+        const head = exploration.head;
+        const neighbors = [];
+        for (const next of getNeighborRepresentations(representations[head], puzzle.width, puzzle.height, metric)) {
+            const key = keyOf(next);
+            let index = indexOf.get(key);
+            if (index === undefined) {
+                if (representations.length >= exploration.maxStates) {
+                    exploration.truncated = true;
+                    continue;
+                }
+                index = representations.length;
+                representations.push(next);
+                keys.push(key);
+                indexOf.set(key, index);
+                dist.push(dist[head] + 1);
+            } else if (exploration.mergeEquivalent && next !== representations[index]) {
+                recordRelabeling(exploration, representations[index], next);
+            }
+            if (index !== head && !neighbors.includes(index)) neighbors.push(index);
+        }
+        adjacency.push(neighbors);
+        exploration.head++;
+        // Checking the clock after every position would cost more than the expansion
+        if (exploration.head % 64 === 0 && performance.now() - start >= budgetMs) break;
+    }
+    exploration.done = exploration.head === representations.length;
+    return exploration.done;
+}
+
+/**
+ * Records the relabeling that turns a state's representative into another position of
+ * the same state.
+ */
+function recordRelabeling(exploration, representation, next) {
+    const { puzzle, mirror } = exploration;
+    const relabeling = getRelabeling(representation, next, puzzle, false) || (mirror && getRelabeling(representation, next, puzzle, true));
+    if (relabeling) exploration.relabelings.add(relabeling);
+}
+
+/**
+ * Finishes an exploration: finds the distances to the nearest solution and assembles
+ * the state records.
+ * @param {Object} exploration An exploration that stepExploration has finished.
+ * @returns {Object<string, {representation: string, dist: number, solution_dist: number, neighbors: string[]}>}
+ *     State records keyed by representation (or canonical key), in the `nodes_to_use` format but without coordinates.
+ */
+function getExploredStates(exploration) {
+    const { puzzle, representations, keys, dist, adjacency } = exploration;
+
+    // Multi-source breadth-first search from every solved position
+    const solutionDist = getSolutionDistances(representations, adjacency, puzzle);
+
+    // Records in the `nodes_to_use` format, leaving coordinates to the layout engine
+    const states = {};
+    representations.forEach((representation, index) => {
+        states[keys[index]] = {
+            representation,
+            dist: dist[index],
+            solution_dist: solutionDist[index],
+            neighbors: adjacency[index].map(i => keys[i])
+        };
+    });
+    if (exploration.mergeEquivalent) {
+        countReachablePositions(exploration).forEach((count, index) => states[keys[index]].rawCount = count);
+    }
+    return states;
+}
+
+/**
+ * Counts the raw positions reachable from the start that each state of a shape-equivalent
+ * exploration stands for, the way mergeEquivalentStates counts the members of a raw graph.
+ * Same-shaped pieces cannot always trade places, so a state may stand for fewer positions
+ * than there are ways of relabeling it. The relabelings that lead back into the reachable
+ * positions form a group, found from the moves that reach a state as a relabeling of its
+ * representative; each state stands for the images of its representative under the group.
+ * @param {Object} exploration A finished exploration with `mergeEquivalent` set.
+ * @returns {number[]} The count of each state, by index.
+ */
+function countReachablePositions(exploration) {
+    const { puzzle, mirror, representations, relabelings } = exploration;
+    const start = representations[0];
+    // A relabeling that maps a state's representative onto itself leads back into it too
+    const symmetries = representations.map(representation => getMirrorRelabeling(representation, puzzle, mirror));
+
+    // The images of the start under the group are the reachable positions of its state;
+    // each is kept with a relabeling that takes the start there
+    const images = new Map([[start, getRelabeling(start, start, puzzle, false)]]);
+    let startFixed = false; // Whether the group holds a relabeling other than none that fixes the start
+    const generators = [];
+    const addImage = (image, relabeling, queue) => {
+        const known = images.get(image);
+        if (known === undefined) {
+            images.set(image, relabeling);
+            queue.push(image);
+        } else if (known !== relabeling) {
+            startFixed = true;
+        }
+    };
+    for (const relabeling of new Set([...relabelings, ...symmetries.filter(Boolean)])) {
+        // Relabelings already in the group leave the images as they are
+        const known = images.get(applyRelabeling(relabeling, start, puzzle));
+        if (known === relabeling || (known !== undefined && startFixed)) continue;
+        generators.push(relabeling);
+        const queue = [];
+        for (const [image, reached] of [...images]) {
+            addImage(applyRelabeling(relabeling, image, puzzle), composeRelabelings(relabeling, reached, puzzle), queue);
+        }
+        for (let head = 0; head < queue.length; head++) {
+            const reached = images.get(queue[head]);
+            for (const generator of generators) {
+                addImage(applyRelabeling(generator, queue[head], puzzle), composeRelabelings(generator, reached, puzzle), queue);
+            }
+        }
+    }
+    // A relabeling belongs to the group when it takes the start to one of those images
+    const fixedBy = index => symmetries[index] && images.has(applyRelabeling(symmetries[index], start, puzzle)) ? 2 : 1;
+    const groupSize = images.size * (startFixed ? 2 : 1);
+    return representations.map((representation, index) => groupSize / fixedBy(index));
+}
+
+/**
+ * Finds every position's distance to the nearest solved position, by breadth-first
+ * search seeded with all of them.
+ * @param {string[]} representations The positions.
+ * @param {number[][]} adjacency Neighbor indices of each position.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @returns {number[]} The distances; Infinity where no solution can be reached.
+ */
+function getSolutionDistances(representations, adjacency, puzzle) {
+    const sources = [];
+    representations.forEach((representation, index) => {
+        if (isWinningLayout(parseRepresentation(representation, puzzle.width, puzzle.height), puzzle)) {
+            sources.push(index);
+        }
+    });
+    return getDistances(adjacency, sources);
+}
+
+function getDistances(adjacency, sources) {
+    const dist = new Array(adjacency.length).fill(Infinity);
+    const queue = [...sources];
+    sources.forEach(index => dist[index] = 0);
+    for (let head = 0; head < queue.length; head++) {
+        const current = queue[head];
+        for (const neighbor of adjacency[current]) {
+            if (dist[neighbor] === Infinity) {
+                dist[neighbor] = dist[current] + 1;
+                queue.push(neighbor);
+            }
+        }
+    }
+    return dist;
+}
+
+/**
+ * Re-derives the edges and distances of a set of states under another move metric,
+ * keeping the states and their coordinates. Every metric reaches the same positions,
+ * so a precomputed graph can be reused for all of them.
+ *
+ * @param {Object<string, Object>} states State records in the `nodes_to_use` format.
+ * @param {Object} puzzle The normalized puzzle definition; distances are measured from its start.
+ * @param {string} metric One of the keys of MOVE_METRICS.
+ * @param {function(string): string} [keyOf] Maps a position to its state; by default
+ *     every position is its own state. Shape-equivalent states pass their canonical key.
+ * @returns {Object<string, Object>} New state records under the same ids.
+ */
+function applyMoveMetric(states, puzzle, metric, keyOf = representation => representation) {
+    const ids = Object.keys(states);
+    const indexByKey = new Map(ids.map((id, index) => [keyOf(states[id].representation), index]));
+    const representations = ids.map(id => states[id].representation);
+    const adjacency = representations.map((representation, index) =>
+        [...new Set(getNeighborRepresentations(representation, puzzle.width, puzzle.height, metric)
+            .map(next => indexByKey.get(keyOf(next)))
+            .filter(next => next !== undefined && next !== index))]);
+
+    const startIndex = indexByKey.get(keyOf(puzzle.start));
+    const dist = getDistances(adjacency, startIndex === undefined ? [] : [startIndex]);
+    const solutionDist = getSolutionDistances(representations, adjacency, puzzle);
+
+    const result = {};
+    ids.forEach((id, index) => {
+        result[id] = {
+            ...states[id],
+            dist: dist[index],
+            solution_dist: solutionDist[index],
+            neighbors: adjacency[index].map(i => ids[i])
+        };
+    });
+    return result;
+}
+
+/**
+ * Adapts precomputed states to the settings of the viewer: re-derives them under another
+ * move metric, and merges equivalent states for the shape-equivalent graph.
+ * @param {Object<string, Object>} states State records in the `nodes_to_use` format.
+ * @param {Object} options
+ * @param {Object} options.puzzle The normalized puzzle the states belong to.
+ * @param {string} options.metric One of the keys of MOVE_METRICS.
+ * @param {boolean} options.merged Whether the states are shape-equivalent states already.
+ * @param {boolean} options.mergeEquivalent Whether to merge equivalent states.
+ * @returns {Object<string, Object>} The state records for the viewer.
+ */
+function derivePrecomputedStates(states, { puzzle, metric, merged, mergeEquivalent }) {
+    // Shape-equivalent data finds its neighbors by canonical key rather than by exact position
+    const keyOf = merged ? (representation => getCanonicalKey(representation, puzzle)) : undefined;
+    const derived = metric === DEFAULT_MOVE_METRIC ? states : applyMoveMetric(states, puzzle, metric, keyOf);
+    return mergeEquivalent ? mergeEquivalentStates(derived, puzzle) : derived;
+}
+
+// --- Module ---
+
+// Under Node (see cli.js) this file expects the engine's exports as globals, as in the page.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXPLORER_MAX_STATES,
+        mirrorRepresentation,
+        isMirrorSymmetricPuzzle,
+        getCanonicalKey,
+        getRelabeling,
+        applyRelabeling,
+        countReachablePositions,
+        mergeEquivalentStates,
+        findNeighborWithKey,
+        exploreStateSpace,
+        createExploration,
+        stepExploration,
+        getExploredStates,
+        getSolutionDistances,
+        getDistances,
+        applyMoveMetric,
+        derivePrecomputedStates
+    };
+}
@@ -0,0 +1,418 @@
+// Klotski Graph Export
+// Saves the viewer graph for other tools: GraphML, GEXF, CSV node and edge lists, or
+// JSON. Every node carries its position, its distances from the start and to a
+// solution, whether it is a solution, and its coordinates in the layout. The view
+// itself can be saved too, as a high-resolution PNG or an SVG: draw3DViewer draws it
+// again, with the camera, color mode, filters and highlights on screen.
+
+// --- Export Settings ---
+
+const GRAPH_EXPORT_FORMAT = 'klotski-graph';
+const GRAPH_EXPORT_VERSION = 1;
+
+// Decimal places kept of exported coordinates.
+const GRAPH_EXPORT_COORDINATE_DIGITS = 4;
+
+// How many times the size of the viewer a PNG snapshot is.
+const SNAPSHOT_PNG_SCALE = 3;
+
+// The viewer background, which the canvas gets from the page rather than drawing it.
+const SNAPSHOT_BACKGROUND = '#000';
+
+// The node attributes every format carries, with their GraphML and GEXF types.
+const GRAPH_EXPORT_ATTRIBUTES = [
+    { name: 'representation', type: 'string', value: (graph, i) => graph.nodes[i].representation },
+    { name: 'depth', type: 'double', value: (graph, i) => graph.depth[i] },
+    { name: 'solutionDist', type: 'double', value: (graph, i) => graph.solutionDist[i] },
+    { name: 'isSolution', type: 'boolean', value: (graph, i) => graph.solutionDist[i] === 0 },
+    { name: 'x', type: 'double', value: (graph, i) => roundExportCoordinate(graph.positions[i * 3]) },
+    { name: 'y', type: 'double', value: (graph, i) => roundExportCoordinate(graph.positions[i * 3 + 1]) },
+    { name: 'z', type: 'double', value: (graph, i) => roundExportCoordinate(graph.positions[i * 3 + 2]) }
+];
+
+// The graph formats by their value in the #graphExportFormat select.
+const GRAPH_EXPORT_FORMATS = {
+    graphml: { extension: 'graphml', type: 'application/graphml+xml', serialize: serializeGraphML },
+    gexf: { extension: 'gexf', type: 'application/gexf+xml', serialize: serializeGEXF },
+    nodes: { extension: 'nodes.csv', type: 'text/csv', serialize: serializeNodeCSV },
+    edges: { extension: 'edges.csv', type: 'text/csv', serialize: serializeEdgeCSV },
+    json: { extension: 'json', type: 'application/json', serialize: serializeGraphJSON }
+};
+
+// --- Controls ---
+
+function setupExport() {
+    document.getElementById('exportGraphBtn').addEventListener('click', () => {
+        exportGraph(document.getElementById('graphExportFormat').value);
+    });
+    document.getElementById('saveSnapshotBtn').addEventListener('click', () => {
+        saveSnapshot(document.getElementById('snapshotFormat').value);
+    });
+}
+
+/**
+ * Saves the viewer graph in one of GRAPH_EXPORT_FORMATS.
+ * @param {string} format A key of GRAPH_EXPORT_FORMATS.
+ */
+function exportGraph(format) {
+    const status = document.getElementById('exportStatusDisplay');
+    if (!viewer.graph) {
+        status.textContent = 'There is no graph to export yet.';
+        return;
+    }
+    const { extension, type, serialize } = GRAPH_EXPORT_FORMATS[format];
+    const details = { puzzle: gameState.puzzle, metric: viewer.settings.moveMetric };
+    downloadFile(`${getExportFileStem()}.${extension}`, serialize(viewer.graph, details), type);
+    status.textContent = `Exported ${viewer.graph.nodeCount} nodes and ${getUndirectedEdges(viewer.graph).length} edges.`;
+}
+
+/**
+ * Saves what the viewer shows, drawn again by draw3DViewer at the viewer's size.
+ * @param {string} format 'png' for a bitmap SNAPSHOT_PNG_SCALE times the size, 'svg' for vectors.
+ */
+function saveSnapshot(format) {
+    const status = document.getElementById('exportStatusDisplay');
+    if (!viewer.graph) {
+        status.textContent = 'There is nothing to take a snapshot of yet.';
+        return;
+    }
+    const { width, height } = viewer.canvas;
+    const name = `${getExportFileStem()}-view`;
+    if (format === 'svg') {
+        const ctx = createSvgContext(width, height, SNAPSHOT_BACKGROUND);
+        draw3DViewer(ctx);
+        downloadFile(`${name}.svg`, ctx.serialize(), 'image/svg+xml');
+    } else {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * SNAPSHOT_PNG_SCALE;
+        canvas.height = height * SNAPSHOT_PNG_SCALE;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(SNAPSHOT_PNG_SCALE, SNAPSHOT_PNG_SCALE);
+        draw3DViewer(ctx);
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = SNAPSHOT_BACKGROUND;
+        ctx.fillRect(0, 0, width, height);
+        canvas.toBlob(blob => downloadFile(`${name}.png`, blob, 'image/png'));
+    }
+    status.textContent = `Saved a snapshot of the view as ${format.toUpperCase()}.`;
+}
+
+/**
+ * @returns {string} The start of the names of exported files, from the puzzle's name.
+ */
+function getExportFileStem() {
+    const name = gameState.puzzle ? gameState.puzzle.name : '';
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return slug ? `klotski-${slug}` : 'klotski';
+}
+
+// --- Graph Formats ---
+
+/**
+ * Lists every edge of a graph once; the store holds each in both directions.
+ * @param {Object} graph The graph store.
+ * @returns {Array<number[]>} [from, to] pairs of node indices, with from < to.
+ */
+function getUndirectedEdges(graph) {
+    const edges = [];
+    for (let from = 0; from < graph.nodeCount; from++) {
+        for (const to of getNeighborIndices(graph, from)) {
+            if (from < to) edges.push([from, to]);
+        }
+    }
+    return edges;
+}
+
+function roundExportCoordinate(value) {
+    const factor = 10 ** GRAPH_EXPORT_COORDINATE_DIGITS;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * @param {{puzzle: Object|null, metric: string}} details The puzzle and move metric the graph is of.
+ * @returns {string} A line describing the graph, for the formats that hold one.
+ */
+function describeExportedGraph(details) {
+    const puzzle = details.puzzle ? `"${details.puzzle.name}"` : 'a Klotski puzzle';
+    return `State graph of ${puzzle} under ${details.metric} moves`;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+/**
+ * Writes an attribute value the way XML Schema types want it: doubles that are not
+ * finite as INF, -INF or NaN.
+ */
+function formatXmlValue(value) {
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) return 'NaN';
+        if (!Number.isFinite(value)) return value > 0 ? 'INF' : '-INF';
+    }
+    return escapeXml(value);
+}
+
+/**
+ * @param {Object} graph The graph store.
+ * @param {{puzzle: Object|null, metric: string}} details The puzzle and move metric the graph is of.
+ * @returns {string} The graph as GraphML, undirected, with nodes n0, n1, ...
+ */
+function serializeGraphML(graph, details) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        `  <desc>${escapeXml(describeExportedGraph(details))}</desc>`
+    ];
+    for (const attribute of GRAPH_EXPORT_ATTRIBUTES) {
+        lines.push(`  <key id="${attribute.name}" for="node" attr.name="${attribute.name}" attr.type="${attribute.type}"/>`);
+    }
+    lines.push('  <graph id="G" edgedefault="undirected">');
+    for (let i = 0; i < graph.nodeCount; i++) {
+        lines.push(`    <node id="n${i}">`);
+        for (const attribute of GRAPH_EXPORT_ATTRIBUTES) {
+            lines.push(`      <data key="${attribute.name}">${formatXmlValue(attribute.value(graph, i))}</data>`);
+        }
+        lines.push('    </node>');
+    }
+    for (const [from, to] of getUndirectedEdges(graph)) {
+        lines.push(`    <edge source="n${from}" target="n${to}"/>`);
+    }
+    lines.push('  </graph>', '</graphml>', '');
+    return lines.join('\n');
+}
+
+/**
+ * @param {Object} graph The graph store.
+ * @param {{puzzle: Object|null, metric: string}} details The puzzle and move metric the graph is of.
+ * @returns {string} The graph as GEXF 1.3, undirected, with the coordinates also given
+ *     as viz positions where the layout has them.
+ */
+function serializeGEXF(graph, details) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+        '  <meta>',
+        '    <creator>Klotski Solution Space Viewer</creator>',
+        `    <description>${escapeXml(describeExportedGraph(details))}</description>`,
+        '  </meta>',
+        '  <graph defaultedgetype="undirected" mode="static">',
+        '    <attributes class="node">'
+    ];
+    GRAPH_EXPORT_ATTRIBUTES.forEach((attribute, id) => {
+        lines.push(`      <attribute id="${id}" title="${attribute.name}" type="${attribute.type}"/>`);
+    });
+    lines.push('    </attributes>', '    <nodes>');
+    for (let i = 0; i < graph.nodeCount; i++) {
+        lines.push(`      <node id="${i}" label="${escapeXml(graph.nodes[i].representation)}">`, '        <attvalues>');
+        GRAPH_EXPORT_ATTRIBUTES.forEach((attribute, id) => {
+            lines.push(`          <attvalue for="${id}" value="${formatXmlValue(attribute.value(graph, i))}"/>`);
+        });
+        lines.push('        </attvalues>');
+        const [x, y, z] = [0, 1, 2].map(axis => roundExportCoordinate(graph.positions[i * 3 + axis]));
+        if ([x, y, z].every(Number.isFinite)) lines.push(`        <viz:position x="${x}" y="${y}" z="${z}"/>`);
+        lines.push('      </node>');
+    }
+    lines.push('    </nodes>', '    <edges>');
+    getUndirectedEdges(graph).forEach(([from, to], id) => {
+        lines.push(`      <edge id="${id}" source="${from}" target="${to}"/>`);
+    });
+    lines.push('    </edges>', '  </graph>', '</gexf>', '');
+    return lines.join('\n');
+}
+
+/**
+ * Writes a CSV cell: numbers that are not finite, such as the distance to solve an
+ * unsolvable position, as an empty cell, and text quoted when it needs to be.
+ */
+function formatCsvValue(value) {
+    if (typeof value === 'number' && !Number.isFinite(value)) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Object} graph The graph store.
+ * @returns {string} The nodes as CSV: an id (the node index) and the attributes.
+ */
+function serializeNodeCSV(graph) {
+    const lines = [['id', ...GRAPH_EXPORT_ATTRIBUTES.map(attribute => attribute.name)].join(',')];
+    for (let i = 0; i < graph.nodeCount; i++) {
+        lines.push([i, ...GRAPH_EXPORT_ATTRIBUTES.map(attribute => formatCsvValue(attribute.value(graph, i)))].join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {Object} graph The graph store.
+ * @returns {string} The edges as CSV, by the node ids of serializeNodeCSV.
+ */
+function serializeEdgeCSV(graph) {
+    const lines = ['source,target'];
+    for (const [from, to] of getUndirectedEdges(graph)) lines.push(`${from},${to}`);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {Object} graph The graph store.
+ * @param {{puzzle: Object|null, metric: string}} details The puzzle and move metric the graph is of.
+ * @returns {string} The graph as JSON: the puzzle and metric, the nodes with their
+ *     attributes (null for numbers that are not finite) and the edges as [from, to] pairs
+ *     of node ids.
+ */
+function serializeGraphJSON(graph, details) {
+    const nodes = [];
+    for (let i = 0; i < graph.nodeCount; i++) {
+        const node = { id: i };
+        for (const attribute of GRAPH_EXPORT_ATTRIBUTES) {
+            const value = attribute.value(graph, i);
+            node[attribute.name] = typeof value === 'number' && !Number.isFinite(value) ? null : value;
+        }
+        nodes.push(node);
+    }
+    return JSON.stringify({
+        format: GRAPH_EXPORT_FORMAT,
+        version: GRAPH_EXPORT_VERSION,
+        puzzle: details.puzzle,
+        metric: details.metric,
+        nodes,
+        edges: getUndirectedEdges(graph)
+    });
+}
+
+// --- SVG Snapshots ---
+
+// SVG's text-anchor and dominant-baseline for the canvas textAlign and textBaseline.
+const SVG_TEXT_ANCHORS = { start: 'start', left: 'start', center: 'middle', right: 'end', end: 'end' };
+const SVG_TEXT_BASELINES = { top: 'text-before-edge', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge' };
+
+/**
+ * A stand-in for a 2D canvas context that keeps what is drawn on it as SVG. It takes the
+ * calls the viewer drawing makes: paths of lines and clockwise arcs, filled or stroked,
+ * rectangles, text, linear gradients, and save and restore.
+ * @param {number} width The width of the picture, in pixels.
+ * @param {number} height Its height.
+ * @param {string} background The color filling the picture behind the drawing.
+ * @returns {Object} The context; its serialize() returns the SVG document.
+ */
+function createSvgContext(width, height, background) {
+    const elements = []; // [tag, attributes, text]
+    const gradients = [];
+    const saved = [];
+    let path = '';
+    let lastFill = null; // Attributes of the last fill, which a stroke of the same path joins
+
+    const n = value => Math.round(value * 100) / 100;
+    // Colors with alpha go in separate opacity attributes, which more tools read than rgba()
+    const paint = (style, attribute) => {
+        if (typeof style === 'object') return { [attribute]: `url(#${style.id})` };
+        const rgba = /^rgba\(([^,]+),([^,]+),([^,]+),([^)]+)\)$/.exec(style.replace(/\s/g, ''));
+        if (!rgba) return { [attribute]: style };
+        const opacity = attribute === 'stop-color' ? 'stop-opacity' : `${attribute}-opacity`;
+        return { [attribute]: `rgb(${rgba.slice(1, 4).join(',')})`, [opacity]: rgba[4] };
+    };
+
+    const ctx = {
+        fillStyle: '#000',
+        strokeStyle: '#000',
+        lineWidth: 1,
+        lineJoin: 'miter',
+        font: '10px sans-serif',
+        textAlign: 'start',
+        textBaseline: 'alphabetic',
+
+        save() {
+            const { fillStyle, strokeStyle, lineWidth, lineJoin, font, textAlign, textBaseline } = ctx;
+            saved.push({ fillStyle, strokeStyle, lineWidth, lineJoin, font, textAlign, textBaseline });
+        },
+        restore() {
+            if (saved.length > 0) Object.assign(ctx, saved.pop());
+        },
+        clearRect() {}, // The picture starts out as the background
+        beginPath() {
+            path = '';
+            lastFill = null;
+        },
+        moveTo(x, y) {
+            path += `M${n(x)} ${n(y)}`;
+        },
+        lineTo(x, y) {
+            path += `L${n(x)} ${n(y)}`;
+        },
+        arc(x, y, radius, startAngle, endAngle) {
+            const r = n(radius);
+            const point = angle => `${n(x + radius * Math.cos(angle))} ${n(y + radius * Math.sin(angle))}`;
+            path += `${path ? 'L' : 'M'}${point(startAngle)}`;
+            if (endAngle - startAngle >= Math.PI * 2) {
+                // One arc cannot end where it starts, so a circle is two halves
+                path += `A${r} ${r} 0 1 1 ${point(startAngle + Math.PI)}A${r} ${r} 0 1 1 ${point(startAngle)}Z`;
+            } else {
+                path += `A${r} ${r} 0 ${endAngle - startAngle > Math.PI ? 1 : 0} 1 ${point(endAngle)}`;
+            }
+        },
+        fill() {
+            if (!path) return;
+            lastFill = { d: path, ...paint(ctx.fillStyle, 'fill') };
+            elements.push(['path', lastFill]);
+        },
+        stroke() {
+            if (!path) return;
+            const stroke = { ...paint(ctx.strokeStyle, 'stroke'), 'stroke-width': n(ctx.lineWidth) };
+            if (ctx.lineJoin !== 'miter') stroke['stroke-linejoin'] = ctx.lineJoin;
+            if (lastFill && lastFill.d === path) {
+                Object.assign(lastFill, stroke);
+            } else {
+                elements.push(['path', { d: path, fill: 'none', ...stroke }]);
+            }
+        },
+        fillRect(x, y, w, h) {
+            elements.push(['rect', { x: n(x), y: n(y), width: n(w), height: n(h), ...paint(ctx.fillStyle, 'fill') }]);
+        },
+        fillText(text, x, y) {
+            const attributes = { x: n(x), y: n(y), style: `font: ${ctx.font}`, 'text-anchor': SVG_TEXT_ANCHORS[ctx.textAlign] || 'start' };
+            if (SVG_TEXT_BASELINES[ctx.textBaseline]) attributes['dominant-baseline'] = SVG_TEXT_BASELINES[ctx.textBaseline];
+            elements.push(['text', { ...attributes, ...paint(ctx.fillStyle, 'fill') }, String(text)]);
+        },
+        createLinearGradient(x0, y0, x1, y1) {
+            const gradient = {
+                id: `gradient${gradients.length}`, x0, y0, x1, y1, stops: [],
+                addColorStop(offset, color) { gradient.stops.push({ offset, color }); }
+            };
+            gradients.push(gradient);
+            return gradient;
+        },
+
+        serialize() {
+            const attributesOf = attributes => Object.entries(attributes).map(([name, value]) => ` ${name}="${escapeXml(value)}"`).join('');
+            const lines = [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+            ];
+            if (gradients.length > 0) {
+                lines.push('<defs>');
+                for (const { id, x0, y0, x1, y1, stops } of gradients) {
+                    lines.push(`<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${n(x0)}" y1="${n(y0)}" x2="${n(x1)}" y2="${n(y1)}">`);
+                    for (const stop of stops) lines.push(`<stop${attributesOf({ offset: stop.offset, ...paint(stop.color, 'stop-color') })}/>`);
+                    lines.push('</linearGradient>');
+                }
+                lines.push('</defs>');
+            }
+            lines.push(`<rect width="${width}" height="${height}" fill="${escapeXml(background)}"/>`);
+            for (const [tag, attributes, text] of elements) {
+                lines.push(text === undefined ? `<${tag}${attributesOf(attributes)}/>` : `<${tag}${attributesOf(attributes)}>${escapeXml(text)}</${tag}>`);
+            }
+            lines.push('</svg>', '');
+            return lines.join('\n');
+        }
+    };
+    return ctx;
+}
+
+// --- Module ---
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getUndirectedEdges, serializeGraphML, serializeGEXF, serializeNodeCSV, serializeEdgeCSV, serializeGraphJSON,
+        createSvgContext
+    };
+}
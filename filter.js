@@ -0,0 +1,270 @@
+// Klotski Viewer Filters
+// Narrows the 3D viewer down to part of the graph: the nodes within some moves of the
+// current node, a band of distances to the solution, or the component of the current
+// node. The rest is either dimmed or collapsed into summary clusters, one per component
+// and distance to the solution, which open up when clicked. Hidden nodes cannot be
+// picked. The current node is always shown.
+
+// --- Filter Settings ---
+
+// How much of their color dimmed nodes and edges keep.
+const FILTER_DIM_FACTOR = 0.2;
+
+// Radius in pixels of a summary cluster: a base plus a term that grows with its size.
+const FILTER_CLUSTER_RADIUS_PX = 6;
+const FILTER_CLUSTER_GROWTH_PX = 4;
+
+let filterState = {
+    visible: null, // Uint8Array with 1 for every shown node, or null when nothing is filtered
+    shownCount: 0,
+    clusters: [], // Collapsed hidden nodes: { key, members, solutionDist }
+    expanded: new Set(), // Keys of the clusters opened by a click
+    clusterHits: [], // Where the clusters were drawn last frame, for picking: { cluster, x, y, radius }
+    key: null, // Settings and current node the visibility was computed for
+    graph: null,
+    componentOf: null, // Component of every node of `graph`, once a cluster needed it
+    version: 0 // Bumped with every change, so the WebGL renderer re-uploads
+};
+
+// --- Controls ---
+
+function setupFilters() {
+    const settings = viewer.settings;
+    const changed = () => filterState.expanded.clear();
+    document.getElementById('filterRadius').addEventListener('change', e => {
+        settings.filterRadius = parseInt(e.target.value);
+        changed();
+    });
+    document.getElementById('filterComponent').addEventListener('change', e => {
+        settings.filterComponent = e.target.value === '1';
+        changed();
+    });
+    document.getElementById('filterHidden').addEventListener('change', e => {
+        settings.filterHidden = e.target.value;
+        changed();
+    });
+    for (const [id, key] of [['filterBandMin', 'filterBandMin'], ['filterBandMax', 'filterBandMax']]) {
+        document.getElementById(id).addEventListener('input', e => {
+            const value = parseInt(e.target.value);
+            settings[key] = Number.isInteger(value) && value >= 0 ? value : null;
+            changed();
+        });
+    }
+}
+
+// --- Visibility ---
+
+/**
+ * Brings the visibility up to date with the settings, the current node and the graph.
+ * Called before every frame is drawn; recomputes only when one of them changed.
+ */
+function updateViewerFilter() {
+    const settings = viewer.settings;
+    const key = [viewer.currentIndex, settings.filterRadius, settings.filterBandMin, settings.filterBandMax,
+        settings.filterComponent, settings.filterHidden, filterState.expanded.size].join(' ');
+    if (key === filterState.key && filterState.graph === viewer.graph) return;
+    if (filterState.graph !== viewer.graph) {
+        filterState.graph = viewer.graph;
+        filterState.componentOf = null;
+        filterState.expanded.clear();
+    }
+    filterState.key = key;
+
+    const graph = viewer.graph;
+    const wasFiltered = filterState.visible !== null;
+    filterState.visible = graph ? computeVisibleNodes(graph, viewer.currentIndex, settings) : null;
+    // Moving with no filter on leaves nothing for the renderer to re-upload
+    if (wasFiltered || filterState.visible) filterState.version++;
+    filterState.clusters = [];
+    if (filterState.visible && settings.filterHidden === 'collapse') {
+        filterState.clusters = collapseHiddenNodes(graph, filterState.visible);
+    }
+    filterState.shownCount = filterState.visible ? filterState.visible.reduce((sum, shown) => sum + shown, 0) : 0;
+    updateFilterStatus();
+}
+
+/**
+ * Works out which nodes the filters let through.
+ * @param {Object} graph The graph store.
+ * @param {number} currentIndex The current node, or -1 when the board is not in the graph.
+ * @param {Object} settings The viewer settings with the filters.
+ * @returns {Uint8Array|null} 1 for every shown node, or null when no filter is on.
+ */
+function computeVisibleNodes(graph, currentIndex, settings) {
+    const { filterRadius, filterBandMin, filterBandMax, filterComponent } = settings;
+    const aroundCurrent = currentIndex !== -1 && (filterRadius > 0 || filterComponent);
+    const band = filterBandMin !== null || filterBandMax !== null;
+    if (!aroundCurrent && !band) return null;
+
+    const n = graph.nodeCount;
+    const visible = new Uint8Array(n).fill(1);
+    if (aroundCurrent) {
+        // Breadth-first from the current node, as far as the radius allows
+        const limit = filterRadius > 0 ? filterRadius : Infinity;
+        const distance = new Float64Array(n).fill(Infinity);
+        const queue = new Int32Array(n);
+        let head = 0, tail = 0;
+        queue[tail++] = currentIndex;
+        distance[currentIndex] = 0;
+        while (head < tail) {
+            const node = queue[head++];
+            if (distance[node] >= limit) continue;
+            for (const neighbor of getNeighborIndices(graph, node)) {
+                if (distance[neighbor] === Infinity) {
+                    distance[neighbor] = distance[node] + 1;
+                    queue[tail++] = neighbor;
+                }
+            }
+        }
+        for (let i = 0; i < n; i++) {
+            if (distance[i] === Infinity) visible[i] = 0;
+        }
+    }
+    if (band) {
+        const min = filterBandMin ?? 0;
+        const max = filterBandMax ?? Infinity;
+        for (let i = 0; i < n; i++) {
+            if (graph.solutionDist[i] < min || graph.solutionDist[i] > max) visible[i] = 0;
+        }
+    }
+    if (currentIndex !== -1) visible[currentIndex] = 1;
+    return visible;
+}
+
+/**
+ * Groups the hidden nodes into clusters by component and distance to the solution, and
+ * shows the members of the clusters that were opened.
+ * @param {Object} graph The graph store.
+ * @param {Uint8Array} visible The visibility, updated for the opened clusters.
+ * @returns {Array<{key: string, members: number[], solutionDist: number}>} The closed clusters.
+ */
+function collapseHiddenNodes(graph, visible) {
+    if (!filterState.componentOf) filterState.componentOf = findComponents(graph).componentOf;
+    const groups = new Map();
+    for (let i = 0; i < graph.nodeCount; i++) {
+        if (visible[i]) continue;
+        const key = `${filterState.componentOf[i]}:${graph.solutionDist[i]}`;
+        if (!groups.has(key)) groups.set(key, { key, members: [], solutionDist: graph.solutionDist[i] });
+        groups.get(key).members.push(i);
+    }
+    const clusters = [];
+    for (const cluster of groups.values()) {
+        if (filterState.expanded.has(cluster.key)) {
+            for (const index of cluster.members) visible[index] = 1;
+        } else {
+            clusters.push(cluster);
+        }
+    }
+    return clusters;
+}
+
+/**
+ * @returns {boolean} Whether the filters let a node through.
+ */
+function isNodeShown(index) {
+    return !filterState.visible || filterState.visible[index] === 1;
+}
+
+/**
+ * Fades a node the filters hide, or leaves nothing of it when it is collapsed into a
+ * cluster. Applied by getNodeStyle, so both renderers and the highlights follow.
+ * @param {Object} node The graph node.
+ * @param {Object} style Its style as getNodeStyle worked it out.
+ * @returns {Object} The style to draw it with.
+ */
+function applyFilterStyle(node, style) {
+    if (isNodeShown(node.index)) return style;
+    if (viewer.settings.filterHidden === 'collapse') {
+        return { fill: style.fill, stroke: [0, 0, 0, 0], lineWidth: 0, radius: 0 };
+    }
+    return {
+        fill: style.fill.map(channel => Math.round(channel * FILTER_DIM_FACTOR)),
+        stroke: [...style.stroke.slice(0, 3), style.stroke[3] * FILTER_DIM_FACTOR],
+        lineWidth: style.lineWidth,
+        radius: style.radius
+    };
+}
+
+function updateFilterStatus() {
+    const status = document.getElementById('filterStatusDisplay');
+    const settings = viewer.settings;
+    if (viewer.currentIndex === -1 && viewer.graph && (settings.filterRadius > 0 || settings.filterComponent)) {
+        status.textContent = 'The board position is not in the graph, so the neighborhood and component filters are off.';
+    } else if (filterState.visible) {
+        const clusters = filterState.clusters.length ? ` and ${filterState.clusters.length} clusters` : '';
+        status.textContent = `Showing ${filterState.shownCount} of ${viewer.nodes.length} nodes${clusters}.`;
+    } else {
+        status.textContent = '';
+    }
+}
+
+// --- Clusters ---
+
+/**
+ * Draws the closed clusters at the middle of their members, sized by how many they
+ * hold, and remembers where for pickClusterAt.
+ */
+function drawFilterClusters(ctx) {
+    filterState.clusterHits = [];
+    if (filterState.clusters.length === 0 || filterState.graph !== viewer.graph) return;
+    const positions = viewer.graph.positions;
+
+    ctx.save();
+    ctx.font = '11px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const cluster of filterState.clusters) {
+        const center = { x: 0, y: 0, z: 0 };
+        for (const index of cluster.members) {
+            center.x += positions[index * 3];
+            center.y += positions[index * 3 + 1];
+            center.z += positions[index * 3 + 2];
+        }
+        center.x /= cluster.members.length;
+        center.y /= cluster.members.length;
+        center.z /= cluster.members.length;
+        const p = project3D(center, viewer.canvas);
+        if (!p) continue;
+
+        const radius = FILTER_CLUSTER_RADIUS_PX + FILTER_CLUSTER_GROWTH_PX * Math.log10(cluster.members.length);
+        ctx.fillStyle = 'rgba(120,160,255,0.25)';
+        ctx.strokeStyle = 'rgba(160,190,255,0.7)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.fillStyle = '#fff';
+        ctx.fillText(cluster.members.length, p.x, p.y);
+        filterState.clusterHits.push({ cluster, x: p.x, y: p.y, radius, z: p.z });
+    }
+    ctx.restore();
+}
+
+/**
+ * Finds the cluster drawn at a point of the viewer canvas, nearest the camera first.
+ * @returns {Object|null} The cluster, or null.
+ */
+function pickClusterAt(x, y) {
+    let hit = null;
+    for (const candidate of filterState.clusterHits) {
+        if (Math.hypot(x - candidate.x, y - candidate.y) <= candidate.radius && (!hit || candidate.z < hit.z)) {
+            hit = candidate;
+        }
+    }
+    return hit ? hit.cluster : null;
+}
+
+/**
+ * Opens a cluster: its members are shown until the filter settings change.
+ */
+function expandCluster(cluster) {
+    filterState.expanded.add(cluster.key);
+    updateViewerFilter();
+}
+
+// --- Module ---
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { computeVisibleNodes };
+}
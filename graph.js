@@ -0,0 +1,135 @@
+// Klotski State Graph Store
+// Indexed storage for the solution space: adjacency in compressed rows, a key to
+// index map, and typed arrays for coordinates and distances. The node objects the
+// viewer works with are thin views onto these arrays.
+
+// --- Node Views ---
+
+// Shared by every node: coordinates and distances live in the graph's typed arrays.
+const GRAPH_NODE_PROTOTYPE = {
+    get x() { return this.graph.positions[this.index * 3]; },
+    set x(value) { this.graph.positions[this.index * 3] = value; },
+    get y() { return this.graph.positions[this.index * 3 + 1]; },
+    set y(value) { this.graph.positions[this.index * 3 + 1] = value; },
+    get z() { return this.graph.positions[this.index * 3 + 2]; },
+    set z(value) { this.graph.positions[this.index * 3 + 2] = value; },
+    get depth() { return this.graph.depth[this.index]; },
+    get difficulty() { return this.graph.solutionDist[this.index]; },
+    get moveCount() { return this.graph.solutionDist[this.index]; },
+    get isSolution() { return this.graph.solutionDist[this.index] === 0; },
+    get degree() { return this.graph.adjacencyOffsets[this.index + 1] - this.graph.adjacencyOffsets[this.index]; }
+};
+
+// --- Building ---
+
+/**
+ * Builds the graph store from state records.
+ * Coordinates that are missing come out as NaN, for the layout engine to fill in.
+ *
+ * @param {Object<string, {x: number, y: number, z: number, representation: string, dist: number, solution_dist: number, neighbors: string[], rawCount: number}>} states
+ *     State records keyed by id, in the `nodes_to_use` format.
+ * @param {function(string): string} keyOf Maps a representation to its key in this graph.
+ * @returns {Object} The graph: `nodes`, `edges`, `positions`, `depth`, `solutionDist`,
+ *     `adjacencyOffsets`, `adjacencyTargets`, `indexByKey` and `rawStateCount`.
+ */
+function createStateGraph(states, keyOf) {
+    const ids = Object.keys(states);
+    const n = ids.length;
+    const indexById = new Map(ids.map((id, index) => [id, index]));
+
+    const graph = {
+        nodeCount: n,
+        nodes: new Array(n),
+        edges: [],
+        positions: new Float32Array(n * 3),
+        depth: new Float64Array(n),
+        solutionDist: new Float64Array(n),
+        adjacencyOffsets: new Int32Array(n + 1),
+        adjacencyTargets: null,
+        indexByKey: new Map(),
+        rawStateCount: 0
+    };
+
+    // Per-node records and the adjacency in compressed sparse rows
+    const targets = [];
+    ids.forEach((id, index) => {
+        const data = states[id];
+        const node = Object.create(GRAPH_NODE_PROTOTYPE);
+        node.graph = graph;
+        node.index = index;
+        node.id = id;
+        node.key = keyOf(data.representation);
+        node.representation = data.representation;
+        node.rawCount = data.rawCount || 1; // How many raw states this node stands for
+        node.isOptimal = false;
+        node.isCurrent = false;
+        graph.nodes[index] = node;
+
+        graph.positions[index * 3] = Number.isFinite(data.x) ? data.x : NaN;
+        graph.positions[index * 3 + 1] = Number.isFinite(data.y) ? data.y : NaN;
+        graph.positions[index * 3 + 2] = Number.isFinite(data.z) ? data.z : NaN;
+        graph.depth[index] = data.dist;
+        graph.solutionDist[index] = data.solution_dist;
+        graph.indexByKey.set(node.key, index);
+        graph.rawStateCount += node.rawCount;
+
+        graph.adjacencyOffsets[index] = targets.length;
+        if (Array.isArray(data.neighbors)) {
+            for (const neighborId of data.neighbors) {
+                const neighbor = indexById.get(neighborId);
+                if (neighbor !== undefined) {
+                    targets.push(neighbor);
+                    graph.edges.push({ from: index, to: neighbor });
+                }
+            }
+        }
+    });
+    graph.adjacencyOffsets[n] = targets.length;
+    graph.adjacencyTargets = Int32Array.from(targets);
+
+    return graph;
+}
+
+// --- Queries ---
+
+/**
+ * Lists the neighbors of a node.
+ * @param {Object} graph The graph store.
+ * @param {number} index The node index.
+ * @returns {Int32Array} The neighbor indices (a view; do not modify).
+ */
+function getNeighborIndices(graph, index) {
+    return graph.adjacencyTargets.subarray(graph.adjacencyOffsets[index], graph.adjacencyOffsets[index + 1]);
+}
+
+/**
+ * Follows the distance to the nearest solution downhill from a node: at each step the
+ * first neighbor that is one move closer. Stops at a solution, or where no neighbor is closer.
+ * @param {Object} graph The graph store.
+ * @param {number} startIndex The node to start from.
+ * @returns {number[]} The node indices along the path, including both ends.
+ */
+function walkOptimalPath(graph, startIndex) {
+    const dist = graph.solutionDist;
+    const path = [startIndex];
+    let current = startIndex;
+    while (dist[current] > 0) {
+        let next = -1;
+        for (const neighbor of getNeighborIndices(graph, current)) {
+            if (dist[neighbor] < dist[current]) {
+                next = neighbor;
+                break;
+            }
+        }
+        if (next === -1) break;
+        path.push(next);
+        current = next;
+    }
+    return path;
+}
+
+// --- Module ---
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GRAPH_NODE_PROTOTYPE, createStateGraph, getNeighborIndices, walkOptimalPath };
+}
@@ -0,0 +1,178 @@
+// Klotski Move Hints
+// Lists every legal move of the board position with where it leads: closer to a
+// solution, just as far, or farther, going by the distances in the graph (moveCount).
+// The moves are drawn as arrows on the game board and listed under it. Every position
+// whose hints were shown adds one to the hint counter, however often the board comes
+// back to it; the counter starts over with the game.
+
+// --- Hint Settings ---
+
+// How each verdict is drawn and listed, best first.
+const HINT_VERDICTS = {
+    closer: { color: '#44ff88', label: 'closer' },
+    same: { color: '#ffd54a', label: 'same distance' },
+    farther: { color: '#ff6b6b', label: 'farther' },
+    unknown: { color: 'rgba(255,255,255,0.6)', label: 'not in the graph' }
+};
+
+let hintState = {
+    active: false,
+    used: 0, // Positions whose hints were shown this game
+    countedPositions: new Set(), // Those positions, so that coming back to one does not count it again
+    key: null, // Position, metric and graph the hints below were computed for
+    graph: null,
+    hints: []
+};
+
+// --- Hint Mode ---
+
+function setupHints() {
+    document.getElementById('hintBtn').addEventListener('click', toggleHints);
+}
+
+function toggleHints() {
+    if (editorState.active) return;
+    hintState.active = !hintState.active;
+    document.getElementById('hintBtn').textContent = hintState.active ? 'Hide Hints' : 'Show Hints';
+    updateHints();
+}
+
+/**
+ * Starts the hint counter over; called when a new game starts.
+ */
+function resetHintCount() {
+    hintState.used = 0;
+    hintState.countedPositions.clear();
+}
+
+/**
+ * Rates every legal move of a board by the distance to a solution of the position it leads to.
+ * @param {Object} board The board value.
+ * @param {string} metric The move metric (MOVE_METRICS).
+ * @returns {Array<{move: Object, notation: string, distance: number|null, verdict: string}>}
+ *     One hint per move, best first; distance is null when the position is not in the graph.
+ */
+function computeMoveHints(board, metric) {
+    const current = viewer.nodes[viewer.currentIndex];
+    const verdictOrder = Object.keys(HINT_VERDICTS);
+    return getLegalMoves(board, metric).map(move => {
+        const node = findNodeByRepresentation(boardToString(applyMove(board, move, metric).board));
+        let verdict = 'unknown';
+        if (node && current) {
+            verdict = node.moveCount < current.moveCount ? 'closer'
+                : node.moveCount > current.moveCount ? 'farther' : 'same';
+        }
+        return { move, notation: formatMove(move), distance: node ? node.moveCount : null, verdict };
+    }).sort((a, b) => verdictOrder.indexOf(a.verdict) - verdictOrder.indexOf(b.verdict)
+        || (a.distance ?? Infinity) - (b.distance ?? Infinity));
+}
+
+/**
+ * Brings the hints up to date with the board, counts the position if its hints are
+ * shown for the first time, and refreshes the hint list. Called every frame.
+ */
+function updateHints() {
+    const panelHidden = editorState.active;
+    document.getElementById('hint-panel').hidden = panelHidden;
+    if (!hintState.active || panelHidden) {
+        if (hintState.key !== null) {
+            hintState.key = null;
+            renderHintList();
+        }
+        return;
+    }
+
+    const representation = gameStateToString();
+    const key = `${representation} ${viewer.settings.moveMetric} ${viewer.currentIndex}`;
+    if (key === hintState.key && hintState.graph === viewer.graph) return;
+    hintState.key = key;
+    hintState.graph = viewer.graph;
+    // An unfinished exploration has no distances to rate the moves by
+    hintState.hints = isGraphPartial() ? [] : computeMoveHints(gameState.board, viewer.settings.moveMetric);
+    if (!hintState.countedPositions.has(representation) && !isGraphPartial()) {
+        hintState.countedPositions.add(representation);
+        hintState.used++;
+    }
+    renderHintList();
+}
+
+// --- Display ---
+
+function renderHintList() {
+    document.getElementById('hintCountDisplay').textContent = hintState.used;
+    const list = document.getElementById('hintList');
+    list.replaceChildren();
+    if (hintState.key === null) return;
+    if (isGraphPartial()) {
+        const item = document.createElement('li');
+        item.textContent = 'Hints need the finished graph; the exploration is not done.';
+        list.appendChild(item);
+        return;
+    }
+    if (hintState.hints.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'No legal moves.';
+        list.appendChild(item);
+        return;
+    }
+    for (const hint of hintState.hints) {
+        const item = document.createElement('li');
+        const notation = document.createElement('code');
+        notation.textContent = hint.notation;
+        notation.style.color = HINT_VERDICTS[hint.verdict].color;
+        const distance = hint.distance === null ? '' : `, ${Number.isFinite(hint.distance) ? hint.distance : 'no'} moves to solve`;
+        item.append(notation, ` ${HINT_VERDICTS[hint.verdict].label}${distance}`);
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Draws an arrow for every hint from the center of its piece along the legs of the move,
+ * worst first so the best moves end up on top. Called from drawGame.
+ */
+function drawMoveHints(ctx, cellSize, offsetX, offsetY) {
+    if (hintState.key === null || dragState.isDragging) return;
+    ctx.save();
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = Math.max(2, cellSize * 0.06);
+    for (const hint of [...hintState.hints].reverse()) {
+        const piece = gameState.board.pieces.find(p => p.id === hint.move.piece);
+        if (!piece) continue;
+        let x = offsetX + (piece.x + piece.width / 2) * cellSize;
+        let y = offsetY + (piece.y + piece.height / 2) * cellSize;
+        const color = HINT_VERDICTS[hint.verdict].color;
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+
+        ctx.beginPath();
+        ctx.arc(x, y, ctx.lineWidth * 1.5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        let direction = null;
+        for (const leg of hint.move.legs) {
+            direction = SLIDE_DIRECTIONS[leg.direction];
+            x += direction.dx * leg.distance * cellSize;
+            y += direction.dy * leg.distance * cellSize;
+            ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+
+        // Arrowhead along the last leg
+        const head = cellSize * 0.18;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x - direction.dx * head - direction.dy * head * 0.6, y - direction.dy * head - direction.dx * head * 0.6);
+        ctx.lineTo(x - direction.dx * head + direction.dy * head * 0.6, y - direction.dy * head + direction.dx * head * 0.6);
+        ctx.closePath();
+        ctx.fill();
+    }
+    ctx.restore();
+}
+
+// --- Module ---
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HINT_VERDICTS, hintState, resetHintCount, computeMoveHints, updateHints };
+}
@@ -0,0 +1,350 @@
+// Klotski Solution Space Layout
+// Places graph nodes in 3D from the graph structure alone. Every algorithm runs
+// incrementally: the game loop advances it a little each frame so the graph visibly settles.
+
+// --- Layout Settings ---
+
+// Time each frame may spend on layout iterations, in milliseconds.
+const LAYOUT_FRAME_BUDGET_MS = 12;
+
+// Layouts are scaled so that every node fits in a sphere of this radius around the origin.
+const LAYOUT_DISPLAY_RADIUS = 3;
+
+// Barnes-Hut opening angle: cells smaller than this ratio of size to distance are treated as one body.
+const LAYOUT_THETA = 0.9;
+
+const LAYOUT_ALGORITHMS = {
+    force: { name: 'Force-Directed', maxIterations: 400 },
+    spectral: { name: 'Spectral', maxIterations: 600 },
+    depth: { name: 'Layered by Depth', maxIterations: 300 },
+    solution: { name: 'Layered by Distance to Solution', maxIterations: 300 }
+};
+
+// --- Layout Lifecycle ---
+
+/**
+ * Prepares a layout run over a graph.
+ * Nodes that already have finite coordinates start from them, so re-running a layout
+ * continues from the current picture; the others start at random positions.
+ *
+ * @param {string} algorithm One of the keys of LAYOUT_ALGORITHMS.
+ * @param {Array<{x: number, y: number, z: number, depth: number, moveCount: number}>} nodes The graph nodes.
+ * @param {Array<{from: number, to: number}>} edges The graph edges; both directions may be listed.
+ * @returns {Object} The layout state, to be advanced with stepLayout.
+ */
+function createLayout(algorithm, nodes, edges) {
+    const n = nodes.length;
+    const neighbors = Array.from({ length: n }, () => []);
+    const springs = [];
+    for (const edge of edges) {
+        if (edge.from === edge.to) continue;
+        if (!neighbors[edge.from].includes(edge.to)) {
+            neighbors[edge.from].push(edge.to);
+            neighbors[edge.to].push(edge.from);
+            springs.push(edge.from, edge.to);
+        }
+    }
+
+    // The natural spacing grows with the cube root of the node count so the volume per node stays constant.
+    const extent = 2 * Math.cbrt(Math.max(n, 1));
+    const positions = new Float64Array(n * 3);
+    nodes.forEach((node, i) => {
+        const placed = Number.isFinite(node.x) && Number.isFinite(node.y) && Number.isFinite(node.z);
+        positions[i * 3] = placed ? node.x * extent / (2 * LAYOUT_DISPLAY_RADIUS) : (Math.random() - 0.5) * extent;
+        positions[i * 3 + 1] = placed ? node.y * extent / (2 * LAYOUT_DISPLAY_RADIUS) : (Math.random() - 0.5) * extent;
+        positions[i * 3 + 2] = placed ? node.z * extent / (2 * LAYOUT_DISPLAY_RADIUS) : (Math.random() - 0.5) * extent;
+    });
+
+    const layout = {
+        algorithm,
+        nodeCount: n,
+        positions,
+        neighbors,
+        springs: Int32Array.from(springs),
+        iteration: 0,
+        maxIterations: LAYOUT_ALGORITHMS[algorithm].maxIterations,
+        temperature: extent / 10,
+        layers: null,
+        vectors: null,
+        done: n === 0
+    };
+
+    if (algorithm === 'depth' || algorithm === 'solution') {
+        layout.layers = computeLayers(nodes, algorithm === 'depth' ? 'depth' : 'moveCount', extent);
+        for (let i = 0; i < n; i++) positions[i * 3 + 1] = layout.layers[i];
+    } else if (algorithm === 'spectral') {
+        layout.vectors = [0, 1, 2].map(() => Float64Array.from({ length: n }, () => Math.random() - 0.5));
+    }
+
+    return layout;
+}
+
+/**
+ * Advances a layout for up to the given amount of time.
+ * @param {Object} layout A layout created by createLayout.
+ * @param {number} budgetMs How long to iterate, in milliseconds.
+ * @returns {boolean} True once the layout has finished.
+ */
+function stepLayout(layout, budgetMs) {
+    const start = performance.now();
+    while (!layout.done && performance.now() - start < budgetMs) {
+        if (layout.algorithm === 'spectral') {
+            spectralIteration(layout);
+        } else {
+            forceIteration(layout);
+            layout.temperature *= 0.985;
+        }
+        layout.iteration++;
+        if (layout.iteration >= layout.maxIterations) layout.done = true;
+    }
+    return layout.done;
+}
+
+/**
+ * Runs a layout to completion in one go, for callers that have no animation loop.
+ * @param {Object} layout A layout created by createLayout.
+ */
+function finishLayout(layout) {
+    while (!stepLayout(layout, Infinity));
+}
+
+/**
+ * Copies the layout positions onto the nodes, centered on the origin and scaled to
+ * fit within LAYOUT_DISPLAY_RADIUS.
+ * @param {Object} layout A layout created by createLayout.
+ * @param {Array<{x: number, y: number, z: number}>} nodes The nodes the layout was created from.
+ */
+function applyLayout(layout, nodes) {
+    const n = layout.nodeCount;
+    const coords = layout.algorithm === 'spectral' ? spectralCoordinates(layout) : layout.positions;
+    if (n === 0) return;
+
+    let cx = 0, cy = 0, cz = 0;
+    for (let i = 0; i < n; i++) {
+        cx += coords[i * 3];
+        cy += coords[i * 3 + 1];
+        cz += coords[i * 3 + 2];
+    }
+    cx /= n; cy /= n; cz /= n;
+
+    let maxRadius = 0;
+    for (let i = 0; i < n; i++) {
+        const dx = coords[i * 3] - cx, dy = coords[i * 3 + 1] - cy, dz = coords[i * 3 + 2] - cz;
+        maxRadius = Math.max(maxRadius, Math.sqrt(dx * dx + dy * dy + dz * dz));
+    }
+    const scale = maxRadius > 0 ? LAYOUT_DISPLAY_RADIUS / maxRadius : 1;
+
+    for (let i = 0; i < n; i++) {
+        nodes[i].x = (coords[i * 3] - cx) * scale;
+        nodes[i].y = (coords[i * 3 + 1] - cy) * scale;
+        nodes[i].z = (coords[i * 3 + 2] - cz) * scale;
+    }
+}
+
+// --- Force-Directed (Spring-Electric) ---
+
+/**
+ * Fixed heights for the layered layouts: the start (or the solutions) on top and one
+ * level per move below it. Unreachable values go one level below the deepest node.
+ */
+function computeLayers(nodes, field, extent) {
+    const values = nodes.map(node => node[field]);
+    // Not Math.max(...values): one argument per node can overflow the call stack
+    const maxValue = values.reduce((max, value) => Number.isFinite(value) ? Math.max(max, value) : max, 0);
+    const spacing = maxValue > 0 ? extent / maxValue : 0;
+    return Float64Array.from(values, v => (maxValue / 2 - (Number.isFinite(v) ? v : maxValue + 1)) * spacing);
+}
+
+/**
+ * One Fruchterman-Reingold iteration: every pair of nodes repels (approximated with a
+ * Barnes-Hut octree), every edge pulls its ends together, and each node moves at most
+ * the current temperature. Layered layouts keep their heights fixed.
+ */
+function forceIteration(layout) {
+    const n = layout.nodeCount;
+    const pos = layout.positions;
+    const disp = new Float64Array(n * 3);
+    const k = 1; // Ideal edge length
+
+    // Repulsion between all nodes
+    const tree = buildOctree(pos, n);
+    for (let i = 0; i < n; i++) {
+        accumulateRepulsion(tree, i, pos, disp, k * k);
+    }
+
+    // Attraction along edges
+    const springs = layout.springs;
+    for (let s = 0; s < springs.length; s += 2) {
+        const a = springs[s] * 3, b = springs[s + 1] * 3;
+        const dx = pos[a] - pos[b], dy = pos[a + 1] - pos[b + 1], dz = pos[a + 2] - pos[b + 2];
+        const d = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1e-6;
+        const f = d / k; // d^2 / k, divided by d to normalize the direction
+        disp[a] -= dx * f; disp[a + 1] -= dy * f; disp[a + 2] -= dz * f;
+        disp[b] += dx * f; disp[b + 1] += dy * f; disp[b + 2] += dz * f;
+    }
+
+    // Move each node, limited by the temperature
+    const pinned = layout.layers !== null;
+    for (let i = 0; i < n; i++) {
+        const o = i * 3;
+        if (pinned) disp[o + 1] = 0;
+        const length = Math.sqrt(disp[o] * disp[o] + disp[o + 1] * disp[o + 1] + disp[o + 2] * disp[o + 2]);
+        if (length === 0) continue;
+        const step = Math.min(length, layout.temperature) / length;
+        pos[o] += disp[o] * step;
+        pos[o + 1] += disp[o + 1] * step;
+        pos[o + 2] += disp[o + 2] * step;
+    }
+}
+
+/**
+ * Builds an octree over the node positions. Each cell records its total mass
+ * (node count) and the sum of its nodes' positions for the centre of mass.
+ */
+function buildOctree(pos, n) {
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    for (let i = 0; i < n; i++) {
+        const o = i * 3;
+        minX = Math.min(minX, pos[o]); maxX = Math.max(maxX, pos[o]);
+        minY = Math.min(minY, pos[o + 1]); maxY = Math.max(maxY, pos[o + 1]);
+        minZ = Math.min(minZ, pos[o + 2]); maxZ = Math.max(maxZ, pos[o + 2]);
+    }
+    const half = Math.max(maxX - minX, maxY - minY, maxZ - minZ) / 2 + 1e-6;
+    const root = createOctreeCell((minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2, half);
+    for (let i = 0; i < n; i++) {
+        insertIntoOctree(root, i, pos, 0);
+    }
+    return root;
+}
+
+function createOctreeCell(cx, cy, cz, half) {
+    return { cx, cy, cz, half, mass: 0, sx: 0, sy: 0, sz: 0, body: -1, children: null };
+}
+
+function insertIntoOctree(cell, i, pos, level) {
+    const o = i * 3;
+    if (cell.mass === 0) {
+        cell.body = i;
+    } else if (cell.children === null && level < 24) {
+        // Split the leaf and push its body down alongside the new one
+        cell.children = new Array(8).fill(null);
+        insertIntoChild(cell, cell.body, pos, level);
+        cell.body = -1;
+    }
+    if (cell.children !== null && cell.mass > 0) {
+        insertIntoChild(cell, i, pos, level);
+    }
+    cell.mass++;
+    cell.sx += pos[o];
+    cell.sy += pos[o + 1];
+    cell.sz += pos[o + 2];
+}
+
+function insertIntoChild(cell, i, pos, level) {
+    const o = i * 3;
+    const octant = (pos[o] > cell.cx ? 1 : 0) | (pos[o + 1] > cell.cy ? 2 : 0) | (pos[o + 2] > cell.cz ? 4 : 0);
+    if (cell.children[octant] === null) {
+        const h = cell.half / 2;
+        cell.children[octant] = createOctreeCell(
+            cell.cx + (octant & 1 ? h : -h),
+            cell.cy + (octant & 2 ? h : -h),
+            cell.cz + (octant & 4 ? h : -h),
+            h
+        );
+    }
+    insertIntoOctree(cell.children[octant], i, pos, level + 1);
+}
+
+function accumulateRepulsion(cell, i, pos, disp, strength) {
+    if (cell.mass === 0 || cell.body === i) return;
+    const o = i * 3;
+    const dx = pos[o] - cell.sx / cell.mass;
+    const dy = pos[o + 1] - cell.sy / cell.mass;
+    const dz = pos[o + 2] - cell.sz / cell.mass;
+    const distSq = dx * dx + dy * dy + dz * dz;
+
+    if (cell.children === null || (2 * cell.half) * (2 * cell.half) < LAYOUT_THETA * LAYOUT_THETA * distSq) {
+        if (distSq === 0) {
+            // Coincident nodes: nudge apart in a random direction
+            disp[o] += (Math.random() - 0.5) * 0.1;
+            disp[o + 1] += (Math.random() - 0.5) * 0.1;
+            disp[o + 2] += (Math.random() - 0.5) * 0.1;
+            return;
+        }
+        const f = strength * cell.mass / distSq; // k^2 / d, divided by d to normalize the direction
+        disp[o] += dx * f;
+        disp[o + 1] += dy * f;
+        disp[o + 2] += dz * f;
+        return;
+    }
+    for (const child of cell.children) {
+        if (child !== null) accumulateRepulsion(child, i, pos, disp, strength);
+    }
+}
+
+// --- Spectral Embedding ---
+
+/**
+ * One step of orthogonal iteration on the lazy random-walk matrix (I + D^-1 A) / 2.
+ * The three vectors converge to its leading non-trivial eigenvectors, which place
+ * strongly connected nodes close together.
+ */
+function spectralIteration(layout) {
+    const n = layout.nodeCount;
+    const neighbors = layout.neighbors;
+    let totalDegree = 0;
+    for (let i = 0; i < n; i++) totalDegree += neighbors[i].length;
+
+    const next = [];
+    for (const v of layout.vectors) {
+        const w = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            const list = neighbors[i];
+            if (list.length === 0) {
+                w[i] = v[i];
+                continue;
+            }
+            let sum = 0;
+            for (const j of list) sum += v[j];
+            w[i] = 0.5 * (v[i] + sum / list.length);
+        }
+
+        // Remove the trivial constant eigenvector and the vectors already found (degree-weighted Gram-Schmidt)
+        if (totalDegree > 0) {
+            let mean = 0;
+            for (let i = 0; i < n; i++) mean += neighbors[i].length * w[i];
+            mean /= totalDegree;
+            for (let i = 0; i < n; i++) w[i] -= mean;
+        }
+        for (const u of next) {
+            let dot = 0;
+            for (let i = 0; i < n; i++) dot += (neighbors[i].length || 1) * w[i] * u[i];
+            for (let i = 0; i < n; i++) w[i] -= dot * u[i];
+        }
+        let norm = 0;
+        for (let i = 0; i < n; i++) norm += (neighbors[i].length || 1) * w[i] * w[i];
+        norm = Math.sqrt(norm) || 1;
+        for (let i = 0; i < n; i++) w[i] /= norm;
+        next.push(w);
+    }
+    layout.vectors = next;
+}
+
+function spectralCoordinates(layout) {
+    const n = layout.nodeCount;
+    const [a, b, c] = layout.vectors;
+    const coords = new Float64Array(n * 3);
+    for (let i = 0; i < n; i++) {
+        coords[i * 3] = a[i];
+        coords[i * 3 + 1] = b[i];
+        coords[i * 3 + 2] = c[i];
+    }
+    return coords;
+}
+
+// --- Module ---
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LAYOUT_ALGORITHMS, LAYOUT_DISPLAY_RADIUS, createLayout, stepLayout, finishLayout, applyLayout };
+}
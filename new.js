@@ -3,15 +3,14 @@
 // --- Core Game and UI State ---
 
 let gameState = {
-    board: {
-        width: 4,
-        height: 5,
-        pieces: []
-    },
+    board: createBoard('.'.repeat(20), 4, 5), // Frozen board value from the engine (engine.js)
     selectedPiece: null,
+    focusedPiece: null, // Piece the keyboard works on while the game canvas has focus
     moveCount: 0,
     gameWon: false,
-    targetPieceId: null // The character ID of the piece that needs to reach the exit
+    history: [], // Every position of the game so far: { representation, moveCount }
+    historyIndex: 0, // The entry in history that is on the board
+    puzzle: null // The active, normalized puzzle definition (see puzzles.js)
 };
 
 let dragState = {
@@ -22,27 +21,80 @@ let dragState = {
     offsetX: 0,
     offsetY: 0,
     originalX: 0,
-    originalY: 0
+    originalY: 0,
+    x: 0, // Where the dragged piece is shown
+    y: 0,
+    destinations: [], // Where the dragged piece may be dropped, from getPieceDestinations
+    byKeyboard: false // Picked up with Enter or Space rather than a pointer
 };
 
 let viewer = {
     canvas: null,
-    ctx: null,
-    camera: { x: 0, y: 0, z: 8, rotX: 0.2, rotY: 0 },
+    ctx: null, // Canvas 2D context, only when WebGL is unavailable
+    renderer: null, // WebGL renderer (renderer.js)
+    overlayCtx: null, // Labels drawn over the WebGL canvas
+    // The camera looks at and orbits the point (x, y, targetZ), from z away
+    camera: { x: 0, y: 0, targetZ: 0, z: 8, rotX: 0.2, rotY: 0 },
+    cameraFlight: null, // Eased camera move in progress: { from, to, startTime }
+    lastFlyTime: 0, // Frame time of the last fly-key update
+    graph: null, // Indexed store behind nodes and edges (graph.js)
     nodes: [],
     edges: [],
+    currentIndex: -1, // Node of the board position, or -1 when it is not in the graph
+    optimalPath: [], // Node indices marked isOptimal
+    trail: [], // Node indices of the history up to the current position
+    route: [], // Node index pairs of the recorded moves (recorder.js)
+    layout: null, // The layout run in progress, advanced a little every frame
+    pointers: new Map(), // Pointers pressed on the viewer canvas: pointerId -> { x, y }
+    pointerTravel: 0, // How far they moved since the first was pressed
     settings: {
         colorMode: 0,
         showSolutions: false,
-        showPath: false
+        showPath: false,
+        layoutAlgorithm: 'force',
+        mergeEquivalent: false, // Shape-equivalent graph: same-shaped pieces are interchangeable
+        moveMetric: DEFAULT_MOVE_METRIC, // What counts as one move (MOVE_METRICS)
+        followCurrent: false, // The camera flies to the current node whenever the board changes
+        showRoute: false, // The recorded route (recorder.js) is drawn through the graph
+        // Filters (filter.js): nodes within a number of moves of the current one (0 for
+        // all), a band of moves to solve (null for no bound), the current component only,
+        // and whether filtered-out nodes are dimmed ('dim') or collapsed ('collapse')
+        filterRadius: 0,
+        filterBandMin: null,
+        filterBandMax: null,
+        filterComponent: false,
+        filterHidden: 'dim'
     }
 };
 
 let keys = {};
 let mouse = { x: 0, y: 0, down: false, rightDown: false };
 
-// The representation for the classic Klotski starting position.
-const CLASSIC_REPRESENTATION = "aTTbaTTb.cc.dghedfie";
+// Camera flights (flyCameraTo): how long they take in milliseconds, how far in front of
+// the camera they leave the node by default, and the camera fields they move.
+const CAMERA_FLIGHT_MS = 600;
+const CAMERA_FOCUS_DISTANCE = 4;
+const CAMERA_FLIGHT_FIELDS = ['x', 'y', 'targetZ', 'z'];
+
+// Fly keys (advanceCameraKeys): the camera axis each key moves along and which way, and
+// the speed in zoom distances per second.
+const CAMERA_FLY_KEYS = {
+    KeyW: ['forward', 1], ArrowUp: ['forward', 1],
+    KeyS: ['forward', -1], ArrowDown: ['forward', -1],
+    KeyA: ['right', -1], ArrowLeft: ['right', -1],
+    KeyD: ['right', 1], ArrowRight: ['right', 1],
+    KeyQ: ['up', -1], KeyE: ['up', 1]
+};
+const CAMERA_FLY_SPEED = 0.8;
+
+// Keyboard play on the game canvas: arrow keys by their index in SLIDE_DIRECTIONS, and
+// how directions are read out.
+const ARROW_KEY_DIRECTIONS = { ArrowUp: 0, ArrowDown: 1, ArrowLeft: 2, ArrowRight: 3 };
+const DIRECTION_NAMES = ['up', 'down', 'left', 'right'];
+
+// How far, in pixels, pointers may travel between press and release on the viewer for
+// it to still count as a click rather than an orbit or a pinch.
+const VIEWER_CLICK_SLOP_PX = 6;
 
 // --- Initialization ---
 
@@ -50,8 +102,21 @@ function init() {
     setupGameCanvas();
     setupViewer();
     setupControls();
-    generateSolutionSpace(); // Generate space first
-    resetGame(); // Then set the initial state
+    setupEditor();
+    setupNotation();
+    setupSession();
+    setupAnalytics();
+    setupFilters();
+    setupHints();
+    setupSolver();
+    setupPlayback();
+    setupRecording();
+    setupNodePreview();
+    setupExport();
+    setupBackground();
+    if (!restoreSession()) {
+        loadPuzzle(normalizePuzzleDefinition(CLASSIC_PUZZLE)); // Generates the space, then sets the initial state
+    }
     updateDisplay();
     startGameLoop();
 }
@@ -61,71 +126,20 @@ document.addEventListener('DOMContentLoaded', init);
 // --- Game State Management ---
 
 /**
- * Reconstructs the board state from a compact string representation.
- * This function parses a string where each character represents a part of a piece
- * on a grid and converts it into a structured array of piece objects.
- *
+ * Puts a position on the board.
  * @param {string} representationString The string representing the board state (e.g., "aTTbaTTb.cc.dghedfie").
  */
 function setGameStateFromString(representationString) {
-    gameState.board.pieces = [];
-    const grid = [];
-    let charIndex = 0;
-
-    // 1. Chunk the string into a 2D grid
-    for (let y = 0; y < gameState.board.height; y++) {
-        const row = representationString.substring(charIndex, charIndex + gameState.board.width);
-        grid.push(row.split(''));
-        charIndex += gameState.board.width;
-    }
-
-    const processedChars = new Set();
-    const pieceData = {};
-
-    // 2. Identify all pieces and their dimensions
-    for (let y = 0; y < gameState.board.height; y++) {
-        for (let x = 0; x < gameState.board.width; x++) {
-            const char = grid[y][x];
-            if (char === '.' || processedChars.has(char)) {
-                continue;
-            }
-
-            let pieceWidth = 0;
-            let pieceHeight = 0;
-
-            // Determine width
-            for (let i = x; i < gameState.board.width && grid[y][i] === char; i++) {
-                pieceWidth++;
-            }
-            // Determine height
-            for (let j = y; j < gameState.board.height && grid[j][x] === char; j++) {
-                pieceHeight++;
-            }
-
-            pieceData[char] = { x, y, width: pieceWidth, height: pieceHeight };
-            processedChars.add(char);
-        }
-    }
-
-    // 3. Create piece objects with stable styling
-    for (const char in pieceData) {
-        const data = pieceData[char];
-        const isTarget = data.width === 2 && data.height === 2;
-        
-        if (isTarget) {
-            gameState.targetPieceId = char;
-        }
+    gameState.board = createBoard(representationString, gameState.board.width, gameState.board.height);
+}
 
-        gameState.board.pieces.push({
-            id: char,
-            x: data.x,
-            y: data.y,
-            width: data.width,
-            height: data.height,
-            color: isTarget ? '#ff4444' : generateColorFromChar(char),
-            name: isTarget ? 'Target' : `Piece ${char}`
-        });
-    }
+/**
+ * Colors a piece on the game canvas: goal pieces are red, the rest get a color from their character.
+ * @param {string} id The character ID of the piece.
+ * @returns {string} A CSS color string.
+ */
+function getPieceColor(id) {
+    return gameState.puzzle.goalPieces.includes(id) ? '#ff4444' : generateColorFromChar(id);
 }
 
 /**
@@ -145,38 +159,46 @@ function generateColorFromChar(char) {
  * @returns {string} The compact string for the current board layout.
  */
 function gameStateToString() {
-    const grid = Array(gameState.board.height).fill(null).map(() => Array(gameState.board.width).fill('.'));
+    return boardToString(gameState.board);
+}
 
-    for (const piece of gameState.board.pieces) {
-        for (let y = 0; y < piece.height; y++) {
-            for (let x = 0; x < piece.width; x++) {
-                grid[piece.y + y][piece.x + x] = piece.id;
-            }
-        }
+/**
+ * Makes a puzzle the active one: sizes the board, rebuilds the solution space and
+ * starts the puzzle from its initial layout.
+ * @param {Object} puzzle A normalized puzzle definition.
+ * @param {Object} [options]
+ * @param {boolean} [options.explore=true] Build the solution space; otherwise the viewer is left empty.
+ */
+function loadPuzzle(puzzle, { explore = true } = {}) {
+    gameState.puzzle = puzzle;
+    gameState.board = createBoard('.'.repeat(puzzle.width * puzzle.height), puzzle.width, puzzle.height);
+    document.getElementById('exploreInput').value = puzzle.start;
+    if (explore) {
+        generateSolutionSpace();
+    } else {
+        stopGraphJob();
+        loadStateGraph({});
     }
-
-    return grid.map(row => row.join('')).join('');
+    resetGame();
 }
 
 function resetGame() {
-    setGameStateFromString(CLASSIC_REPRESENTATION);
+    setGameStateFromString(gameState.puzzle.start);
     gameState.selectedPiece = null;
     gameState.moveCount = 0;
     gameState.gameWon = false;
     dragState.isDragging = false;
     dragState.piece = null;
     
+    resetHistory();
     updateCurrentGameState();
     updateDisplay();
 }
 
 function checkWinCondition() {
-    const targetPiece = gameState.board.pieces.find(p => p.id === gameState.targetPieceId);
-    if (targetPiece && targetPiece.x === 1 && targetPiece.y === 3) {
-        gameState.gameWon = true;
-    } else {
-        gameState.gameWon = false;
-    }
+    const wasWon = gameState.gameWon;
+    gameState.gameWon = isSolved(gameState.board, gameState.puzzle);
+    if (gameState.gameWon && !wasWon) announce(`Solved in ${gameState.moveCount} moves!`);
 }
 
 // --- Setup Functions (UI, Controls, etc.) ---
@@ -185,29 +207,57 @@ function setupGameCanvas() {
     const canvas = document.getElementById('gameCanvas');
     canvas.width = 400;
     canvas.height = 500;
-    canvas.addEventListener('mousedown', handleGameMouseDown);
-    canvas.addEventListener('mousemove', handleGameMouseMove);
-    canvas.addEventListener('mouseup', handleGameMouseUp);
-    canvas.addEventListener('mouseleave', handleGameMouseUp);
+    canvas.addEventListener('pointerdown', handleGamePointerDown);
+    canvas.addEventListener('pointermove', handleGamePointerMove);
+    canvas.addEventListener('pointerup', handleGamePointerUp);
+    canvas.addEventListener('pointercancel', handleGamePointerCancel);
+    canvas.addEventListener('keydown', handleGameKeyDown);
+    canvas.addEventListener('focus', handleGameFocus);
 }
 
 function setupViewer() {
     viewer.canvas = document.getElementById('graphCanvas');
-    viewer.ctx = viewer.canvas.getContext('2d');
+    const overlay = document.getElementById('graphOverlayCanvas');
+    viewer.renderer = createGraphRenderer(viewer.canvas);
+    if (viewer.renderer) {
+        viewer.overlayCtx = overlay.getContext('2d');
+        viewer.canvas.addEventListener('webglcontextlost', e => {
+            e.preventDefault();
+            viewer.renderer = null;
+        });
+        viewer.canvas.addEventListener('webglcontextrestored', () => {
+            viewer.renderer = createGraphRenderer(viewer.canvas);
+        });
+    } else {
+        // A canvas keeps the first kind of context it hands out, so draw on a fresh one
+        const canvas = viewer.canvas.cloneNode(false);
+        viewer.canvas.replaceWith(canvas);
+        viewer.canvas = canvas;
+        viewer.ctx = canvas.getContext('2d');
+        overlay.hidden = true;
+    }
+    document.getElementById('rendererDisplay').textContent = viewer.renderer ? viewer.renderer.name : 'Canvas 2D';
     resizeViewer();
     window.addEventListener('resize', resizeViewer);
-    viewer.canvas.addEventListener('mousedown', handleMouseDown);
-    viewer.canvas.addEventListener('mousemove', handleMouseMove);
-    viewer.canvas.addEventListener('mouseup', handleMouseUp);
+    viewer.canvas.addEventListener('pointerdown', handleViewerPointerDown);
+    viewer.canvas.addEventListener('pointermove', handleViewerPointerMove);
+    viewer.canvas.addEventListener('pointerup', handleViewerPointerUp);
+    viewer.canvas.addEventListener('pointercancel', handleViewerPointerUp);
     viewer.canvas.addEventListener('contextmenu', e => e.preventDefault());
     viewer.canvas.addEventListener('wheel', handleWheel);
     viewer.canvas.addEventListener('click', handleViewerClick);
+    viewer.canvas.addEventListener('dblclick', handleViewerDoubleClick);
+    window.addEventListener('blur', () => keys = {}); // Keys released elsewhere never send keyup
 }
 
 function resizeViewer() {
     const container = viewer.canvas.parentElement;
     viewer.canvas.width = container.clientWidth;
     viewer.canvas.height = container.clientHeight;
+    if (viewer.overlayCtx) {
+        viewer.overlayCtx.canvas.width = viewer.canvas.width;
+        viewer.overlayCtx.canvas.height = viewer.canvas.height;
+    }
 }
 
 function setupControls() {
@@ -223,6 +273,40 @@ function setupControls() {
         updateCurrentGameState(); // Refresh optimal path calculation
     });
     
+    document.getElementById('graphMode').addEventListener('change', (e) => {
+        viewer.settings.mergeEquivalent = e.target.value === '1';
+        generateSolutionSpace();
+    });
+
+    document.getElementById('metricMode').addEventListener('change', (e) => {
+        viewer.settings.moveMetric = e.target.value;
+        // The move counts of positions off the moves come from the new graph, once it is there
+        generateSolutionSpace(recountHistory);
+    });
+
+    document.getElementById('layoutMode').addEventListener('change', (e) => viewer.settings.layoutAlgorithm = e.target.value);
+    document.getElementById('runLayoutBtn').addEventListener('click', runLayout);
+
+    document.getElementById('cameraMode').addEventListener('change', (e) => {
+        viewer.settings.followCurrent = e.target.value === '1';
+        followCurrentNode();
+    });
+
+    const puzzleSelect = document.getElementById('puzzleSelect');
+    PUZZLE_LIBRARY.forEach((definition, index) => puzzleSelect.add(new Option(definition.name, index)));
+    puzzleSelect.addEventListener('change', (e) => {
+        loadPuzzle(normalizePuzzleDefinition(PUZZLE_LIBRARY[parseInt(e.target.value)]));
+        setStatusMessage('');
+    });
+    document.getElementById('loadPuzzleBtn').addEventListener('click', () => document.getElementById('puzzleFileInput').click());
+    document.getElementById('puzzleFileInput').addEventListener('change', loadPuzzleFromFile);
+
+    document.getElementById('exploreBtn').addEventListener('click', exploreFromInput);
+
+    document.getElementById('historySlider').addEventListener('input', (e) => jumpToHistory(parseInt(e.target.value)));
+    document.getElementById('undoBtn').addEventListener('click', undoMove);
+    document.getElementById('redoBtn').addEventListener('click', redoMove);
+
     document.getElementById('resetGameBtn').addEventListener('click', resetGame);
     document.getElementById('resetCameraBtn').addEventListener('click', resetCamera);
     document.getElementById('togglePanelBtn').addEventListener('click', togglePanel);
@@ -230,20 +314,294 @@ function setupControls() {
     document.addEventListener('keyup', handleKeyUp);
 }
 
+/**
+ * Explores the state space from the representation typed into the control panel
+ * and puts that position on the board.
+ */
+function exploreFromInput() {
+    const representation = document.getElementById('exploreInput').value.trim();
+    const error = validatePuzzleDefinition({ ...gameState.puzzle, start: representation });
+    if (error) {
+        setStatusMessage(`Cannot explore: ${error}`);
+        return;
+    }
+
+    setStatusMessage('');
+    runGraphJob({ type: 'explore', start: representation });
+    setGameStateFromString(representation);
+    gameState.selectedPiece = null;
+    gameState.moveCount = 0;
+    checkWinCondition();
+    resetHistory();
+    updateCurrentGameState();
+    updateDisplay();
+}
+
+/**
+ * Reads a puzzle definition from the file chosen in the control panel and loads it.
+ */
+function loadPuzzleFromFile(e) {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+
+    file.text().then(text => {
+        const { puzzle, error } = parsePuzzleJSON(text);
+        if (error) {
+            setStatusMessage(`Cannot load ${file.name}: ${error}`);
+            return;
+        }
+        loadPuzzle(puzzle);
+        setStatusMessage(`Loaded "${puzzle.name}".`);
+    }).catch(error => setStatusMessage(`Cannot read ${file.name}: ${error.message}`));
+}
+
+function setStatusMessage(message) {
+    document.getElementById('statusMessageDisplay').textContent = message;
+}
+
+/**
+ * Hands a file to the browser to save.
+ * @param {string} filename The name to save it under.
+ * @param {string|Blob} content The contents.
+ * @param {string} type Their MIME type.
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Reads a message out to screen readers through the live region under the board.
+ * @param {string} message The message.
+ */
+function announce(message) {
+    const region = document.getElementById('gameAnnouncer');
+    // A changed text is what gets read, so a repeated message is made to differ
+    region.textContent = region.textContent === message ? `${message}\u00a0` : message;
+}
+
 function togglePanel() {
     const panel = document.getElementById('control-panel');
     panel.classList.toggle('minimized');
     document.getElementById('togglePanelBtn').textContent = panel.classList.contains('minimized') ? '+' : '−';
 }
 
+// --- Camera ---
+
 function resetCamera() {
-    viewer.camera = { x: 0, y: 0, z: 8, rotX: 0.2, rotY: 0 };
+    viewer.cameraFlight = null;
+    viewer.camera = { x: 0, y: 0, targetZ: 0, z: 8, rotX: 0.2, rotY: 0 };
+}
+
+/**
+ * Keeps a camera distance within the zoom limits.
+ */
+function clampCameraZoom(z) {
+    return Math.max(2, Math.min(15, z));
+}
+
+/**
+ * The camera's axes in world coordinates: where right, up and forward (into the screen)
+ * point for its current rotation. The inverse of the rotation in project3D.
+ */
+function getCameraAxes() {
+    const cosX = Math.cos(viewer.camera.rotX), sinX = Math.sin(viewer.camera.rotX);
+    const cosY = Math.cos(viewer.camera.rotY), sinY = Math.sin(viewer.camera.rotY);
+    return {
+        right: { x: cosY, y: 0, z: -sinY },
+        up: { x: -sinX * sinY, y: cosX, z: -sinX * cosY },
+        forward: { x: cosX * sinY, y: sinX, z: cosX * cosY }
+    };
+}
+
+/**
+ * Moves the point the camera looks at along a direction in world coordinates.
+ */
+function moveCameraTarget(direction, distance) {
+    viewer.camera.x += direction.x * distance;
+    viewer.camera.y += direction.y * distance;
+    viewer.camera.targetZ += direction.z * distance;
+}
+
+/**
+ * Pans the view by a drag on the viewer canvas, so the graph follows the pointer.
+ * @param {number} dx Horizontal drag in pixels.
+ * @param {number} dy Vertical drag in pixels, downward.
+ */
+function panCamera(dx, dy) {
+    const { right, up } = getCameraAxes();
+    const worldPerPixel = viewer.camera.z / 400; // The scale project3D uses at the target
+    moveCameraTarget(right, -dx * worldPerPixel);
+    moveCameraTarget(up, dy * worldPerPixel);
+}
+
+/**
+ * Called from the game loop: flies the camera with the keys held down while the viewer
+ * canvas has focus. The speed grows with the zoom distance.
+ */
+function advanceCameraKeys() {
+    const now = performance.now();
+    const seconds = Math.min(0.1, (now - (viewer.lastFlyTime || now)) / 1000);
+    viewer.lastFlyTime = now;
+    if (document.activeElement !== viewer.canvas) return;
+
+    const axes = getCameraAxes();
+    const step = CAMERA_FLY_SPEED * viewer.camera.z * seconds;
+    let flying = false;
+    for (const [code, [axis, sign]] of Object.entries(CAMERA_FLY_KEYS)) {
+        if (!keys[code]) continue;
+        moveCameraTarget(axes[axis], sign * step);
+        flying = true;
+    }
+    if (flying) viewer.cameraFlight = null;
+}
+
+/**
+ * Starts an eased camera move that makes a node the point the camera looks at and
+ * orbits around. The rotation is kept.
+ * @param {Object} node The node to fly to.
+ * @param {number} [distance] How far from the node the camera ends up.
+ */
+function flyCameraTo(node, distance = CAMERA_FOCUS_DISTANCE) {
+    const from = {};
+    CAMERA_FLIGHT_FIELDS.forEach(field => from[field] = viewer.camera[field]);
+    const to = { x: node.x, y: node.y, targetZ: node.z, z: clampCameraZoom(distance) };
+    viewer.cameraFlight = { from, to, startTime: performance.now() };
+}
+
+/**
+ * Called from the game loop: moves the camera along the flight in progress.
+ */
+function advanceCameraFlight() {
+    const flight = viewer.cameraFlight;
+    if (!flight) return;
+    const t = Math.min(1, (performance.now() - flight.startTime) / CAMERA_FLIGHT_MS);
+    const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    for (const field of CAMERA_FLIGHT_FIELDS) {
+        viewer.camera[field] = flight.from[field] + (flight.to[field] - flight.from[field]) * eased;
+    }
+    if (t === 1) viewer.cameraFlight = null;
+}
+
+/**
+ * Flies to the node of the board position when the camera follows it.
+ */
+function followCurrentNode() {
+    if (!viewer.settings.followCurrent || viewer.currentIndex === -1) return;
+    flyCameraTo(viewer.nodes[viewer.currentIndex], viewer.camera.z);
+}
+
+// --- Move History ---
+
+/**
+ * Starts a fresh history whose only entry is the position on the board. This starts a
+ * new game, so the hint counter and the recording start over too.
+ */
+function resetHistory() {
+    gameState.history = [{ representation: gameStateToString(), moveCount: gameState.moveCount, move: null }];
+    gameState.historyIndex = 0;
+    resetHintCount();
+    startRecording();
+    updateHistoryControls();
+}
+
+/**
+ * Records the position on the board as the newest history entry, with the move that
+ * led to it in move notation (null after a jump through the graph). Undone entries
+ * after the current one are discarded, so a new move starts a new branch.
+ */
+function recordHistory() {
+    const representation = gameStateToString();
+    const previous = gameState.history[gameState.historyIndex].representation;
+    if (previous === representation) return;
+
+    const move = getMoveNotation(previous, representation, gameState.board.width, gameState.board.height, viewer.settings.moveMetric);
+    gameState.history.length = gameState.historyIndex + 1;
+    gameState.history.push({ representation, moveCount: gameState.moveCount, move });
+    gameState.historyIndex++;
+    updateHistoryControls();
+}
+
+/**
+ * Re-derives the moves and move counts of the history after the move metric changed.
+ * Entries reached through the graph take their node's depth in the new graph.
+ */
+function recountHistory() {
+    const { width, height } = gameState.board;
+    for (let i = 1; i < gameState.history.length; i++) {
+        const entry = gameState.history[i];
+        const previous = gameState.history[i - 1];
+        entry.move = getMoveNotation(previous.representation, entry.representation, width, height, viewer.settings.moveMetric);
+        if (entry.move) {
+            entry.moveCount = previous.moveCount + entry.move.split(' ').length;
+        } else {
+            const node = findNodeByRepresentation(entry.representation);
+            entry.moveCount = node && Number.isFinite(node.depth) ? node.depth : previous.moveCount;
+        }
+    }
+    gameState.moveCount = gameState.history[gameState.historyIndex].moveCount;
+    updateHistoryControls();
+    updateDisplay();
+}
+
+function undoMove() {
+    jumpToHistory(gameState.historyIndex - 1);
+}
+
+function redoMove() {
+    jumpToHistory(gameState.historyIndex + 1);
+}
+
+/**
+ * Puts an earlier or later history entry back on the board without changing the history.
+ * @param {number} index The history entry to restore.
+ */
+function jumpToHistory(index) {
+    if (index < 0 || index >= gameState.history.length || index === gameState.historyIndex) return;
+
+    const entry = gameState.history[index];
+    gameState.historyIndex = index;
+    setGameStateFromString(entry.representation);
+    gameState.moveCount = entry.moveCount;
+    gameState.selectedPiece = null;
+    dragState.isDragging = false;
+    dragState.piece = null;
+
+    checkWinCondition();
+    updateCurrentGameState();
+    updateHistoryControls();
+    updateDisplay();
+}
+
+function updateHistoryControls() {
+    const slider = document.getElementById('historySlider');
+    slider.max = gameState.history.length - 1;
+    slider.value = gameState.historyIndex;
+    const move = gameState.history[gameState.historyIndex].move;
+    document.getElementById('historyPositionDisplay').textContent =
+        `${gameState.historyIndex} / ${gameState.history.length - 1}` + (move ? ` (${move})` : '');
+    // Auto-solve playback (playback.js) walks the history itself while it plays
+    const locked = isPlaybackPlaying();
+    slider.disabled = locked;
+    document.getElementById('undoBtn').disabled = locked || gameState.historyIndex === 0;
+    document.getElementById('redoBtn').disabled = locked || gameState.historyIndex === gameState.history.length - 1;
 }
 
 // --- Game Canvas Drag-and-Drop Handlers ---
 
-function handleGameMouseDown(e) {
-    if (gameState.gameWon) return;
+function handleGamePointerDown(e) {
+    if (!e.isPrimary) return; // One finger drags; the others are ignored
+    e.target.setPointerCapture(e.pointerId);
+    if (editorState.active) {
+        handleEditorMouseDown(e);
+        return;
+    }
+    if (gameState.gameWon || dragState.isDragging || isPlaybackPlaying()) return;
     const rect = e.target.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
@@ -252,21 +610,22 @@ function handleGameMouseDown(e) {
     if (clickedPieceId !== null) {
         const piece = gameState.board.pieces.find(p => p.id === clickedPieceId);
         if (piece) {
-            dragState.isDragging = true;
-            dragState.piece = piece;
+            pickUpPiece(piece, false);
             dragState.startX = x;
             dragState.startY = y;
-            dragState.originalX = piece.x;
-            dragState.originalY = piece.y;
-            gameState.selectedPiece = clickedPieceId;
             e.target.style.cursor = 'grabbing';
         }
     }
     updateDisplay();
 }
 
-function handleGameMouseMove(e) {
-    if (!dragState.isDragging || !dragState.piece) return;
+function handleGamePointerMove(e) {
+    if (!e.isPrimary) return;
+    if (editorState.active) {
+        handleEditorMouseMove(e);
+        return;
+    }
+    if (!dragState.isDragging || !dragState.piece || dragState.byKeyboard) return;
     const rect = e.target.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
@@ -279,34 +638,86 @@ function handleGameMouseMove(e) {
     const targetGridY = Math.round((y - offsetY - (dragState.piece.height * cellSize / 2)) / cellSize);
 
     if (isValidDragMove(dragState.piece, targetGridX, targetGridY)) {
-        dragState.piece.x = targetGridX;
-        dragState.piece.y = targetGridY;
+        dragState.x = targetGridX;
+        dragState.y = targetGridY;
         updateDisplay();
     }
 }
 
-function handleGameMouseUp(e) {
-    if (!dragState.isDragging || !dragState.piece) return;
-    const piece = dragState.piece;
+function handleGamePointerUp(e) {
+    if (!e.isPrimary) return;
+    if (editorState.active) {
+        handleEditorMouseUp(e);
+        return;
+    }
+    if (!dragState.isDragging || !dragState.piece || dragState.byKeyboard) return;
+    dropPiece();
+    e.target.style.cursor = 'default';
+    updateDisplay();
+}
 
-    if (piece.x !== dragState.originalX || piece.y !== dragState.originalY) {
+/**
+ * The browser took the pointer over (a scroll or a system gesture): the piece goes back.
+ */
+function handleGamePointerCancel(e) {
+    if (!editorState.active && dragState.isDragging && !dragState.byKeyboard) {
+        dragState.x = dragState.originalX;
+        dragState.y = dragState.originalY;
+    }
+    handleGamePointerUp(e);
+}
+
+/**
+ * Starts dragging a piece: works out where it may go and shows it lifted.
+ * @param {Object} piece The piece on the board.
+ * @param {boolean} byKeyboard Whether the keyboard moves it rather than a pointer.
+ */
+function pickUpPiece(piece, byKeyboard) {
+    dragState.isDragging = true;
+    dragState.byKeyboard = byKeyboard;
+    dragState.piece = piece;
+    dragState.originalX = piece.x;
+    dragState.originalY = piece.y;
+    dragState.x = piece.x;
+    dragState.y = piece.y;
+    dragState.destinations = getPieceDestinations(gameState.board, piece, viewer.settings.moveMetric);
+    gameState.selectedPiece = piece.id;
+}
+
+/**
+ * Ends the drag: makes the move to the place the piece is shown at, if that is one of
+ * its destinations, and announces it.
+ */
+function dropPiece() {
+    const destination = dragState.destinations.find(d => d.x === dragState.x && d.y === dragState.y);
+
+    if (destination) {
+        const move = { piece: dragState.piece.id, legs: destination.legs };
+        gameState.board = applyMove(gameState.board, move, viewer.settings.moveMetric).board;
         gameState.moveCount++;
         checkWinCondition();
+        recordHistory();
         updateCurrentGameState();
+        announce(gameState.gameWon
+            ? `Moved ${formatMove(move)}. Solved in ${gameState.moveCount} moves!`
+            : `Moved ${formatMove(move)}, move ${gameState.moveCount}.`);
+    } else if (dragState.byKeyboard) {
+        announce(`Put ${dragState.piece.id} back.`);
     }
 
     dragState.isDragging = false;
+    dragState.byKeyboard = false;
     dragState.piece = null;
     gameState.selectedPiece = null;
-    e.target.style.cursor = 'default';
-    updateDisplay();
 }
 
+/**
+ * Checks a drop target against the places the piece can reach in one move under the
+ * move metric, worked out when the drag started. Dropping it back where it was is allowed.
+ */
 function isValidDragMove(piece, newX, newY) {
-    const dx = Math.abs(newX - dragState.originalX);
-    const dy = Math.abs(newY - dragState.originalY);
-    if ((dx > 0 && dy > 0) || (dx > 2 || dy > 2)) return false;
-    return canPlacePiece(piece, newX, newY);
+    if (newX === dragState.originalX && newY === dragState.originalY) return true;
+    return dragState.destinations.some(destination => destination.x === newX && destination.y === newY);
 }
 
 function getPieceFromClick(x, y, canvasWidth, canvasHeight) {
@@ -324,248 +735,537 @@ function getPieceFromClick(x, y, canvasWidth, canvasHeight) {
     return null;
 }
 
-function canPlacePiece(piece, x, y) {
-    if (x < 0 || y < 0 || x + piece.width > gameState.board.width || y + piece.height > gameState.board.height) {
-        return false;
-    }
-    for (let other of gameState.board.pieces) {
-        if (other.id === piece.id) continue;
-        if (!(x + piece.width <= other.x || x >= other.x + other.width || y + piece.height <= other.y || y >= other.y + other.height)) {
-            return false;
+// --- Game Canvas Keyboard Control ---
+
+/**
+ * Keyboard play on the focused game canvas. Tab, Shift+Tab and the arrow keys choose a
+ * piece; Enter or Space picks it up, the arrow keys then slide it like a drag, and Enter
+ * or Space drops it. Escape puts it back where it was.
+ */
+function handleGameKeyDown(e) {
+    if (editorState.active || e.ctrlKey || e.metaKey || e.altKey) return;
+    const direction = ARROW_KEY_DIRECTIONS[e.key];
+    const isAction = e.key === 'Enter' || e.key === ' ';
+
+    if (dragState.isDragging && dragState.byKeyboard) {
+        if (direction !== undefined) {
+            slideLiftedPiece(direction);
+        } else if (isAction) {
+            dropPiece();
+        } else if (e.key === 'Escape') {
+            putPieceBack();
+        } else if (e.key === 'Tab') {
+            putPieceBack();
+            if (focusNextPiece(e.shiftKey ? -1 : 1)) e.preventDefault();
+            return;
+        } else {
+            return;
         }
+        e.preventDefault();
+        return;
+    }
+    if (dragState.isDragging) return; // A pointer holds a piece
+
+    if (e.key === 'Tab') {
+        // Past the last piece, Tab leaves the board
+        if (focusNextPiece(e.shiftKey ? -1 : 1)) e.preventDefault();
+    } else if (direction !== undefined) {
+        e.preventDefault();
+        focusPieceToward(direction);
+    } else if (isAction) {
+        e.preventDefault();
+        liftFocusedPiece();
     }
+}
+
+function handleGameFocus() {
+    if (editorState.active) return;
+    const piece = getFocusedPiece() || getPiecesInReadingOrder()[0];
+    if (piece) setFocusedPiece(piece);
+}
+
+/**
+ * @returns {Object|null} The piece the keyboard works on, if it is still on the board.
+ */
+function getFocusedPiece() {
+    return gameState.board.pieces.find(p => p.id === gameState.focusedPiece) || null;
+}
+
+function getPiecesInReadingOrder() {
+    return [...gameState.board.pieces].sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+function setFocusedPiece(piece) {
+    gameState.focusedPiece = piece.id;
+    const isGoal = gameState.puzzle.goalPieces.includes(piece.id);
+    announce(`Piece ${piece.id}${isGoal ? ', the goal piece' : ''}, ${piece.width} by ${piece.height}, at column ${piece.x + 1}, row ${piece.y + 1}.`);
+}
+
+/**
+ * Moves the keyboard focus to the next or previous piece in reading order.
+ * @param {number} step 1 for the next piece, -1 for the previous one.
+ * @returns {boolean} False when there is no piece that way, so the focus may leave the board.
+ */
+function focusNextPiece(step) {
+    const pieces = getPiecesInReadingOrder();
+    const current = pieces.indexOf(getFocusedPiece());
+    const next = current === -1 ? (step > 0 ? 0 : pieces.length - 1) : current + step;
+    if (next < 0 || next >= pieces.length) return false;
+    setFocusedPiece(pieces[next]);
     return true;
 }
 
+/**
+ * Moves the keyboard focus to the nearest piece in a direction, preferring pieces in line
+ * with the focused one.
+ * @param {number} direction An index into SLIDE_DIRECTIONS.
+ */
+function focusPieceToward(direction) {
+    const current = getFocusedPiece();
+    if (!current) {
+        focusNextPiece(1);
+        return;
+    }
+    const { dx, dy } = SLIDE_DIRECTIONS[direction];
+    const center = piece => ({ x: piece.x + piece.width / 2, y: piece.y + piece.height / 2 });
+    const from = center(current);
+    let best = null;
+    let bestScore = Infinity;
+    for (const piece of gameState.board.pieces) {
+        const to = center(piece);
+        const along = (to.x - from.x) * dx + (to.y - from.y) * dy;
+        if (piece === current || along <= 0) continue;
+        const score = along + 2 * Math.abs((to.x - from.x) * dy - (to.y - from.y) * dx);
+        if (score < bestScore) {
+            best = piece;
+            bestScore = score;
+        }
+    }
+    if (best) {
+        setFocusedPiece(best);
+    } else {
+        announce(`No piece ${DIRECTION_NAMES[direction]} of ${current.id}.`);
+    }
+}
+
+function liftFocusedPiece() {
+    const piece = getFocusedPiece();
+    if (!piece) return;
+    if (gameState.gameWon) {
+        announce('The puzzle is solved. Undo or reset the game to play on.');
+        return;
+    }
+    if (isPlaybackPlaying()) {
+        announce('Playback is running. Pause it to move pieces.');
+        return;
+    }
+    if (getPieceDestinations(gameState.board, piece, viewer.settings.moveMetric).length === 0) {
+        announce(`${piece.id} cannot move.`);
+        return;
+    }
+    pickUpPiece(piece, true);
+    announce(`Picked up ${piece.id}. Arrow keys slide it, Enter drops it, Escape puts it back.`);
+}
+
+/**
+ * Slides the piece picked up with the keyboard one cell, if it can go there in one move.
+ * @param {number} direction An index into SLIDE_DIRECTIONS.
+ */
+function slideLiftedPiece(direction) {
+    const { dx, dy } = SLIDE_DIRECTIONS[direction];
+    const x = dragState.x + dx;
+    const y = dragState.y + dy;
+    if (isValidDragMove(dragState.piece, x, y)) {
+        dragState.x = x;
+        dragState.y = y;
+        announce(`${dragState.piece.id} to column ${x + 1}, row ${y + 1}.`);
+    } else {
+        announce(`${dragState.piece.id} cannot go further ${DIRECTION_NAMES[direction]}.`);
+    }
+}
+
+function putPieceBack() {
+    dragState.x = dragState.originalX;
+    dragState.y = dragState.originalY;
+    dropPiece();
+}
+
 // --- 3D Viewer Logic and Solution Space ---
 
-function generateSolutionSpace() {
+/**
+ * Loads the solution space of the active puzzle into the viewer. The precomputed
+ * `nodes_to_use` from data.json is used when it belongs to the active puzzle (see
+ * getPrecomputedStates); every other case is explored in the browser. Either way the
+ * work happens in the background (background.js), and the graph arrives later.
+ * @param {function()} [onGraph] Called once the graph has arrived.
+ */
+function generateSolutionSpace(onGraph) {
+    const data = getPrecomputedStates();
+    if (data) {
+        runGraphJob({ type: 'derive', states: data.states, merged: data.merged }, onGraph);
+    } else {
+        runGraphJob({ type: 'explore', start: gameState.puzzle.start }, onGraph);
+    }
+}
+
+/**
+ * Picks the precomputed states for the active puzzle. The data belongs to the classic
+ * puzzle unless data.json names its puzzle in `nodes_to_use_puzzle`, as the files
+ * written by `node cli.js generate` do. Data of the shape-equivalent graph (states
+ * with a `rawCount`) only stands in for that graph.
+ * @returns {{states: Object, merged: boolean}|null} The states in the `nodes_to_use` format
+ *     and whether they are shape-equivalent states, or null to explore instead.
+ */
+function getPrecomputedStates() {
     if (typeof nodes_to_use === 'undefined') {
-        console.error("Data object `nodes_to_use` is not defined. Ensure the data file is loaded before this script.");
-        return;
+        console.warn("Data object `nodes_to_use` is not defined. Exploring the state space in the browser instead.");
+        return null;
     }
+    const dataPuzzle = typeof nodes_to_use_puzzle === 'undefined' ? CLASSIC_PUZZLE : nodes_to_use_puzzle;
+    if (JSON.stringify(gameState.puzzle) !== JSON.stringify(normalizePuzzleDefinition(dataPuzzle))) return null;
+    const merged = Object.values(nodes_to_use).some(data => data.rawCount);
+    return merged && !viewer.settings.mergeEquivalent ? null : { states: nodes_to_use, merged };
+}
 
-    viewer.nodes = [];
-    viewer.edges = [];
-    const states = nodes_to_use;
-    const stateKeys = Object.keys(states);
-    const keyToIndex = new Map(stateKeys.map((key, index) => [key, index]));
-
-    stateKeys.forEach((key, index) => {
-        const data = states[key];
-        viewer.nodes.push({
-            id: key,
-            x: data.x,
-            y: data.y,
-            z: data.z,
-            representation: data.representation,
-            depth: data.dist,
-            difficulty: data.dist,
-            isOptimal: false, 
-            isSolution: data.solution_dist === 0,
-            isCurrent: false,
-            moveCount: data.solution_dist
-        });
+function getStateKey(representation) {
+    return viewer.settings.mergeEquivalent ? getCanonicalKey(representation, gameState.puzzle) : representation;
+}
+
+/**
+ * Finds the graph node of a position.
+ * @param {string} representation The position.
+ * @returns {Object|undefined} The node, if the position is in the graph.
+ */
+function findNodeByRepresentation(representation) {
+    if (!viewer.graph) return undefined;
+    const index = viewer.graph.indexByKey.get(getStateKey(representation));
+    return index === undefined ? undefined : viewer.nodes[index];
+}
+
+/**
+ * Replaces the viewer graph with the given states.
+ * States without coordinates are placed by the layout engine.
+ *
+ * @param {Object<string, {x: number, y: number, z: number, representation: string, dist: number, solution_dist: number, neighbors: string[]}>} states
+ *     State records keyed by id, in the `nodes_to_use` format.
+ */
+function loadStateGraph(states) {
+    viewer.layout = null;
+    viewer.graph = createStateGraph(states, getStateKey);
+    viewer.nodes = viewer.graph.nodes;
+    viewer.edges = viewer.graph.edges;
+    viewer.currentIndex = -1;
+    viewer.optimalPath = [];
+
+    if (viewer.nodes.some(node => !Number.isFinite(node.x) || !Number.isFinite(node.y) || !Number.isFinite(node.z))) {
+        runLayout();
+    }
 
-        if (data.neighbors && Array.isArray(data.neighbors)) {
-            data.neighbors.forEach(neighborKey => {
-                if (keyToIndex.has(neighborKey)) {
-                    viewer.edges.push({ from: index, to: keyToIndex.get(neighborKey) });
-                }
-            });
-        }
-    });
-    
     updateCurrentGameState();
 }
 
+/**
+ * Starts the selected layout algorithm on the current graph, in the background; without
+ * a worker, the game loop advances it frame by frame until it settles.
+ */
+function runLayout() {
+    if (isGraphBuilding()) {
+        setStatusMessage('The graph is still being built; it is laid out once it is ready.');
+        return;
+    }
+    runGraphJob({ type: 'layout' });
+}
+
+function advanceLayout() {
+    if (!viewer.layout || viewer.layout.done || viewer.layout.inWorker) return;
+    stepLayout(viewer.layout, LAYOUT_FRAME_BUDGET_MS);
+    applyLayout(viewer.layout, viewer.nodes);
+}
+
 function updateOptimalPath() {
-    // Reset all optimal flags
-    viewer.nodes.forEach(node => node.isOptimal = false);
-    
-    if (!viewer.settings.showPath) return;
-    
-    const currentStateString = gameStateToString();
-    const currentNode = viewer.nodes.find(node => node.representation === currentStateString);
-    
-    if (!currentNode) return;
-    
-    // Mark optimal path nodes
-    let curr = currentNode;
-    while (curr && curr.moveCount > 0) {
-        curr.isOptimal = true;
-        let next = null;
-        for (let neighbor of viewer.edges.filter(e => e.from === viewer.nodes.indexOf(curr))) {
-            let neighborNode = viewer.nodes[neighbor.to];
-            if (neighborNode && neighborNode.moveCount < curr.moveCount) {
-                next = neighborNode;
-                break;
-            }
-        }
-        if (!next) break;
-        curr = next;
+    for (const index of viewer.optimalPath) {
+        viewer.nodes[index].isOptimal = false;
+    }
+    viewer.optimalPath = [];
+
+    if (!viewer.settings.showPath || !viewer.graph) return;
+
+    // Off the finished graph, the path is the solver's, as far as it runs through the graph;
+    // a board off the graph that the solver leaves alone, as in the editor, has none
+    viewer.optimalPath = needsSolverPath() ? getSolverPathIndices()
+        : viewer.currentIndex === -1 ? []
+        : walkOptimalPath(viewer.graph, viewer.currentIndex);
+    for (const index of viewer.optimalPath) {
+        viewer.nodes[index].isOptimal = true;
     }
-    if (curr) curr.isOptimal = true;
 }
 
 function updateCurrentGameState() {
-    if (!viewer.nodes || viewer.nodes.length === 0) return;
-    
-    viewer.nodes.forEach(node => node.isCurrent = false);
-    
-    const currentStateString = gameStateToString();
-    const matchingNode = viewer.nodes.find(node => node.representation === currentStateString);
-    
+    if (!viewer.graph || viewer.nodes.length === 0) return;
+
+    const previousIndex = viewer.currentIndex;
+    if (viewer.currentIndex !== -1) {
+        viewer.nodes[viewer.currentIndex].isCurrent = false;
+    }
+    const matchingNode = findNodeByRepresentation(gameStateToString());
+    viewer.currentIndex = matchingNode ? matchingNode.index : -1;
     if (matchingNode) {
         matchingNode.isCurrent = true;
     }
-    
+
+    updateTrail();
     updateOptimalPath();
+    recordRouteStep();
+    if (viewer.currentIndex !== previousIndex) followCurrentNode();
+}
+
+/**
+ * Maps the history up to the current position onto graph nodes, for drawing the
+ * trail of visited positions. Positions outside the graph are skipped.
+ */
+function updateTrail() {
+    if (!viewer.graph) return;
+    const indexByKey = viewer.graph.indexByKey;
+    viewer.trail = gameState.history.slice(0, gameState.historyIndex + 1)
+        .map(entry => indexByKey.get(getStateKey(entry.representation)))
+        .filter(index => index !== undefined);
 }
 
 function handleViewerClick(e) {
-    const rect = viewer.canvas.getBoundingClientRect();
-    const clickX = e.clientX - rect.left;
-    const clickY = e.clientY - rect.top;
-    const projected = viewer.nodes.map(node => project3D(node, viewer.canvas));
+    if (editorState.active || isPlaybackPlaying()) return; // The board belongs to the editor or to auto-solve
+    if (viewer.pointerTravel > VIEWER_CLICK_SLOP_PX) return; // The end of a pan, an orbit or a pinch
+    const { x, y } = getViewerPoint(e);
+    const cluster = pickClusterAt(x, y);
+    if (cluster) {
+        expandCluster(cluster);
+        return;
+    }
+    const hit = pickNodeAt(x, y);
+    if (hit) loadNodeOnBoard(hit);
+}
 
-    const sortedIndices = viewer.nodes.map((_, i) => i)
-        .sort((a, b) => (projected[b]?.z || 0) - (projected[a]?.z || 0));
-    
-    for (const i of sortedIndices.reverse()) { // Iterate from front to back
-        const node = viewer.nodes[i];
-        const p = projected[i];
-        if (!p) continue;
+/**
+ * Double-clicking a node makes it the point the camera orbits.
+ */
+function handleViewerDoubleClick(e) {
+    const { x, y } = getViewerPoint(e);
+    const hit = pickNodeAt(x, y);
+    if (hit) flyCameraTo(hit, viewer.camera.z);
+}
 
-        const radius = node.isSolution ? 10 : (node.isCurrent ? 8 : (node.isOptimal ? 6 : 4));
-        const distance = Math.sqrt((clickX - p.x) ** 2 + (clickY - p.y) ** 2);
+/**
+ * Finds the node drawn at a point of the viewer canvas; where nodes overlap, the one
+ * closest to the camera wins. Nodes the filters hide cannot be picked.
+ * @param {number} x Canvas x coordinate, in pixels.
+ * @param {number} y Canvas y coordinate, in pixels.
+ * @returns {Object|null} The node, or null when there is none.
+ */
+function pickNodeAt(x, y) {
+    let hit = null;
+    let hitDepth = Infinity;
+    for (const node of viewer.nodes) {
+        if (!isNodeShown(node.index)) continue;
+        const p = project3D(node, viewer.canvas);
+        if (!p || p.z >= hitDepth) continue;
 
+        const radius = node.isSolution ? 10 : (node.isCurrent ? 8 : (node.isOptimal ? 6 : 4));
+        const distance = Math.sqrt((x - p.x) ** 2 + (y - p.y) ** 2);
         if (distance <= radius) {
-            // A node was clicked, update the game state
-            setGameStateFromString(node.representation);
-            gameState.moveCount = node.depth;
-            
-            viewer.nodes.forEach(n => n.isCurrent = false);
-            node.isCurrent = true;
-            
-            checkWinCondition();
-            updateDisplay();
-            return;
+            hit = node;
+            hitDepth = p.z;
         }
     }
+    return hit;
 }
 
-// --- Auto-solve Function ---
+/**
+ * Puts the position of a node on the board as the next step of the game.
+ * @param {Object} node A node of the graph.
+ */
+function loadNodeOnBoard(node) {
+    setGameStateFromString(node.representation);
+    gameState.moveCount = node.depth;
 
-function executeAutoSolve() {
-    const currentStateString = gameStateToString();
-    const currentNode = viewer.nodes.find(node => node.representation === currentStateString);
-    
-    if (!currentNode) return;
-    
-    let path = [];
-    let curr = currentNode;
-    
-    // Build path to solution
-    while (curr && curr.moveCount > 0) {
-        path.push(curr);
-        let next = null;
-        for (let neighbor of viewer.edges.filter(e => e.from === viewer.nodes.indexOf(curr))) {
-            let neighborNode = viewer.nodes[neighbor.to];
-            if (neighborNode && neighborNode.moveCount < curr.moveCount) {
-                next = neighborNode;
-                break;
-            }
-        }
-        if (!next) break;
-        curr = next;
-    }
-    if (curr) path.push(curr); // Add solution node
-    
-    let i = 0;
-    function step() {
-        if (i >= path.length) return;
-        setGameStateFromString(path[i].representation);
-        gameState.moveCount = path[i].depth;
-        checkWinCondition();
-        updateCurrentGameState();
-        updateDisplay();
-        i++;
-        setTimeout(step, 500);
-    }
-    step();
+    checkWinCondition();
+    recordHistory();
+    updateCurrentGameState();
+    updateDisplay();
 }
 
 // --- Main Drawing and Game Loop ---
 
 function updateDisplay() {
+    updateHints();
+    updateViewerFilter();
     const gameCanvas = document.getElementById('gameCanvas');
     if (gameCanvas) {
         drawGame(gameCanvas.getContext('2d'), gameCanvas);
     }
-    if (viewer.ctx) {
+    if (viewer.renderer) {
+        drawGraphWebGL(viewer.renderer);
+    } else if (viewer.ctx) {
         draw3DViewer();
     }
-    document.getElementById('nodeCountDisplay').textContent = viewer.nodes.length;
-    document.getElementById('movesMadeDisplay').textContent = gameState.moveCount;
+    document.getElementById('nodeCountDisplay').textContent = `${viewer.nodes.length}${isGraphTruncated() ? ' (incomplete: the exploration stopped at the state limit)' : ''}`;
+    document.getElementById('rawStateCountDisplay').textContent = getRawStateSummary();
+    document.getElementById('movesMadeDisplay').textContent = `${gameState.moveCount} (${MOVE_METRICS[viewer.settings.moveMetric].name})`;
+    document.getElementById('layoutStatusDisplay').textContent = getLayoutStatus();
+    updateBackgroundProgress();
+    updateSolverStatus();
+}
+
+/**
+ * Describes how many raw states the graph and the current node stand for.
+ */
+function getRawStateSummary() {
+    if (!viewer.graph) return '0';
+    const total = viewer.graph.rawStateCount;
+    const current = viewer.nodes[viewer.currentIndex];
+    return current ? `${total} (current node: ${current.rawCount})` : `${total}`;
+}
+
+function getLayoutStatus() {
+    if (!viewer.layout) return isGraphPartial() ? 'Placed as found' : 'Precomputed';
+    const name = LAYOUT_ALGORITHMS[viewer.layout.algorithm].name;
+    if (viewer.layout.stopped) return `${name} (stopped at ${viewer.layout.iteration}/${viewer.layout.maxIterations})`;
+    if (viewer.layout.done) return `${name} (settled)`;
+    return `${name} (${viewer.layout.iteration}/${viewer.layout.maxIterations})`;
 }
 
 function drawGame(ctx, canvas) {
+    if (editorState.active) {
+        drawEditor(ctx, canvas);
+        return;
+    }
+
     ctx.clearRect(0, 0, canvas.width, canvas.height);
-    const cellSize = Math.min(canvas.width / gameState.board.width, canvas.height / gameState.board.height);
-    const offsetX = (canvas.width - cellSize * gameState.board.width) / 2;
-    const offsetY = (canvas.height - cellSize * gameState.board.height) / 2;
+    const { cellSize, offsetX, offsetY } = getBoardMetrics(canvas, gameState.board);
+
+    drawBoardGrid(ctx, gameState.board, cellSize, offsetX, offsetY);
+    drawGoalsAndExits(ctx, cellSize, offsetX, offsetY);
+
+    // Pieces
+    for (let piece of gameState.board.pieces) {
+        const isDragging = dragState.isDragging && dragState.piece && dragState.piece.id === piece.id;
+        const sliding = getSlidingPiecePosition(piece.id); // Auto-solve moves (playback.js)
+        const shown = isDragging ? { ...piece, x: dragState.x, y: dragState.y } : (sliding ? { ...piece, ...sliding } : piece);
+        drawPiece(ctx, { ...shown, color: getPieceColor(piece.id) }, cellSize, offsetX, offsetY, gameState.selectedPiece === piece.id, isDragging);
+    }
+    drawMoveHints(ctx, cellSize, offsetX, offsetY);
 
-    // Board and grid
+    // Keyboard focus, where the lifted piece is shown if it is the one picked up
+    const focused = getFocusedPiece();
+    if (focused && document.activeElement === canvas) {
+        const lifted = dragState.isDragging && dragState.piece.id === focused.id;
+        drawFocusOutline(ctx, lifted ? { ...focused, x: dragState.x, y: dragState.y } : focused, cellSize, offsetX, offsetY);
+    }
+}
+
+function drawFocusOutline(ctx, piece, cellSize, offsetX, offsetY) {
+    ctx.save();
+    ctx.strokeStyle = '#4fc3ff';
+    ctx.lineWidth = 3;
+    ctx.setLineDash([8, 5]);
+    ctx.strokeRect(offsetX + piece.x * cellSize - 1, offsetY + piece.y * cellSize - 1, piece.width * cellSize + 2, piece.height * cellSize + 2);
+    ctx.restore();
+}
+
+/**
+ * Computes the cell size and the offsets that center a board on a canvas.
+ */
+function getBoardMetrics(canvas, board) {
+    const cellSize = Math.min(canvas.width / board.width, canvas.height / board.height);
+    return {
+        cellSize,
+        offsetX: (canvas.width - cellSize * board.width) / 2,
+        offsetY: (canvas.height - cellSize * board.height) / 2
+    };
+}
+
+function drawBoardGrid(ctx, board, cellSize, offsetX, offsetY) {
     ctx.fillStyle = '#222';
-    ctx.fillRect(offsetX, offsetY, cellSize * gameState.board.width, cellSize * gameState.board.height);
+    ctx.fillRect(offsetX, offsetY, cellSize * board.width, cellSize * board.height);
     ctx.strokeStyle = 'rgba(255,255,255,0.2)';
     ctx.lineWidth = 1;
-    for (let i = 0; i <= gameState.board.width; i++) {
+    for (let i = 0; i <= board.width; i++) {
         ctx.beginPath();
         ctx.moveTo(offsetX + i * cellSize, offsetY);
-        ctx.lineTo(offsetX + i * cellSize, offsetY + cellSize * gameState.board.height);
+        ctx.lineTo(offsetX + i * cellSize, offsetY + cellSize * board.height);
         ctx.stroke();
     }
-    for (let i = 0; i <= gameState.board.height; i++) {
+    for (let i = 0; i <= board.height; i++) {
         ctx.beginPath();
         ctx.moveTo(offsetX, offsetY + i * cellSize);
-        ctx.lineTo(offsetX + cellSize * gameState.board.width, offsetY + i * cellSize);
+        ctx.lineTo(offsetX + cellSize * board.width, offsetY + i * cellSize);
         ctx.stroke();
     }
+}
 
-    // Exit area
-    ctx.fillStyle = 'rgba(0,255,0,0.3)';
-    ctx.fillRect(offsetX + cellSize, offsetY + cellSize * 3, cellSize * 2, cellSize * 2);
-    ctx.fillStyle = '#0f0';
-    ctx.font = '14px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText('EXIT', offsetX + cellSize * 2, offsetY + cellSize * 4 + 5);
+function drawPiece(ctx, piece, cellSize, offsetX, offsetY, isSelected, isDragging) {
+    const x = offsetX + piece.x * cellSize;
+    const y = offsetY + piece.y * cellSize;
+    const width = piece.width * cellSize;
+    const height = piece.height * cellSize;
 
-    // Pieces
-    for (let piece of gameState.board.pieces) {
-        const x = offsetX + piece.x * cellSize;
-        const y = offsetY + piece.y * cellSize;
-        const width = piece.width * cellSize;
-        const height = piece.height * cellSize;
-        const isDragging = dragState.isDragging && dragState.piece && dragState.piece.id === piece.id;
-        
-        ctx.fillStyle = piece.color;
-        if (gameState.selectedPiece === piece.id || isDragging) {
-            ctx.shadowBlur = isDragging ? 15 : 10;
-            ctx.shadowColor = isDragging ? '#ffff00' : '#fff';
+    ctx.fillStyle = piece.color;
+    if (isSelected || isDragging) {
+        ctx.shadowBlur = isDragging ? 15 : 10;
+        ctx.shadowColor = isDragging ? '#ffff00' : '#fff';
+    }
+    ctx.fillRect(x + 2, y + 2, width - 4, height - 4);
+    ctx.shadowBlur = 0;
+
+    ctx.strokeStyle = (isSelected || isDragging) ? '#fff' : 'rgba(255,255,255,0.5)';
+    ctx.lineWidth = (isSelected || isDragging) ? 3 : 2;
+    ctx.strokeRect(x + 2, y + 2, width - 4, height - 4);
+}
+
+/**
+ * Draws the goal placements of the active puzzle as green areas and its exits as
+ * openings in the board border.
+ */
+function drawGoalsAndExits(ctx, cellSize, offsetX, offsetY) {
+    const puzzle = gameState.puzzle;
+    const boardWidth = cellSize * puzzle.width;
+    const boardHeight = cellSize * puzzle.height;
+
+    for (const goal of puzzle.goals) {
+        const piece = gameState.board.pieces.find(p => p.id === goal.piece);
+        if (!piece) continue;
+        ctx.fillStyle = 'rgba(0,255,0,0.3)';
+        ctx.fillRect(offsetX + goal.x * cellSize, offsetY + goal.y * cellSize, piece.width * cellSize, piece.height * cellSize);
+        ctx.fillStyle = '#0f0';
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(puzzle.goalPieces.length > 1 ? `EXIT ${goal.piece}` : 'EXIT',
+            offsetX + (goal.x + piece.width / 2) * cellSize, offsetY + (goal.y + piece.height / 2) * cellSize + 5);
+    }
+
+    ctx.strokeStyle = '#0f0';
+    ctx.lineWidth = 4;
+    for (const exit of puzzle.exits) {
+        const start = exit.offset * cellSize;
+        const end = (exit.offset + exit.length) * cellSize;
+        ctx.beginPath();
+        if (exit.side === 'top' || exit.side === 'bottom') {
+            const y = offsetY + (exit.side === 'top' ? 0 : boardHeight);
+            ctx.moveTo(offsetX + start, y);
+            ctx.lineTo(offsetX + end, y);
+        } else {
+            const x = offsetX + (exit.side === 'left' ? 0 : boardWidth);
+            ctx.moveTo(x, offsetY + start);
+            ctx.lineTo(x, offsetY + end);
         }
-        ctx.fillRect(x + 2, y + 2, width - 4, height - 4);
-        ctx.shadowBlur = 0;
-        
-        ctx.strokeStyle = (gameState.selectedPiece === piece.id || isDragging) ? '#fff' : 'rgba(255,255,255,0.5)';
-        ctx.lineWidth = (gameState.selectedPiece === piece.id || isDragging) ? 3 : 2;
-        ctx.strokeRect(x + 2, y + 2, width - 4, height - 4);
+        ctx.stroke();
     }
 }
 
-function draw3DViewer() {
-    const ctx = viewer.ctx;
+/**
+ * Draws the viewer graph with the 2D canvas API: every frame without WebGL, and for the
+ * snapshots of export.js.
+ * @param {CanvasRenderingContext2D} [ctx] What to draw on, at the size of the viewer canvas.
+ */
+function draw3DViewer(ctx = viewer.ctx) {
     const canvas = viewer.canvas;
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
@@ -577,13 +1277,20 @@ function draw3DViewer() {
         .sort((a, b) => (projected[b]?.z || 0) - (projected[a]?.z || 0));
 
     // Draw edges first (so they appear behind nodes)
+    const collapsed = viewer.settings.filterHidden === 'collapse';
     for (const edge of viewer.edges) {
         const from = projected[edge.from];
         const to = projected[edge.to];
-        
+        const shown = isNodeShown(edge.from) && isNodeShown(edge.to);
+        if (!shown && collapsed) continue; // Left to the summary clusters
+
         if (from && to) {
-            // Highlight optimal path edges in yellow if showPath is enabled
-            if (viewer.settings.showPath && 
+            // Fade edges to filtered-out nodes, and highlight optimal path edges in
+            // yellow if showPath is enabled
+            if (!shown) {
+                ctx.strokeStyle = `rgba(255,255,255,${0.2 * FILTER_DIM_FACTOR})`;
+                ctx.lineWidth = 1;
+            } else if (viewer.settings.showPath && 
                 viewer.nodes[edge.from].isOptimal && 
                 viewer.nodes[edge.to].isOptimal) {
                 ctx.strokeStyle = 'rgba(255,255,0,0.8)';
@@ -600,46 +1307,21 @@ function draw3DViewer() {
         }
     }
 
+    drawTrail(ctx, projected);
+    drawRoute(ctx, projected);
+
     // Draw nodes (from back to front for proper depth sorting)
     for (const i of sortedIndices) {
         const node = viewer.nodes[i];
         const p = projected[i];
         if (!p) continue; // Skip nodes that couldn't be projected
 
-        // Determine node fill color based on color mode
-        let color = '#fff';
-        if (viewer.settings.colorMode === 0) {
-            // Color by depth/distance from start
-            color = `hsl(${(node.depth * 45) % 360}, 70%, 60%)`;
-        } else if (viewer.settings.colorMode === 1) {
-            // Color by difficulty (distance to solution)
-            const intensity = Math.max(0, Math.min(255, Math.floor(node.difficulty * 30)));
-            color = `rgb(${255 - intensity}, ${intensity}, 100)`;
-        }
-        ctx.fillStyle = color;
-
-        // Determine stroke color and width based on node type (priority order)
-        if (node.isSolution) {
-            ctx.strokeStyle = '#0f0'; // Green for solution nodes
-            ctx.lineWidth = 4;
-        } else if (node.isCurrent) {
-            ctx.strokeStyle = '#ff0'; // Yellow for current position
-            ctx.lineWidth = 3;
-        } else if (node.isOptimal && viewer.settings.showPath) {
-            ctx.strokeStyle = '#ffff00'; // Bright yellow for optimal path
-            ctx.lineWidth = 2;
-        } else if (viewer.settings.showSolutions && node.isSolution) {
-            ctx.strokeStyle = '#0f0'; // Green for solutions when showing solutions
-            ctx.lineWidth = 2;
-        } else {
-            ctx.strokeStyle = 'rgba(255,255,255,0.3)'; // Default white
-            ctx.lineWidth = 1;
-        }
-
-        // Determine node radius based on importance
-        const radius = node.isSolution ? 10 : 
-                      (node.isCurrent ? 8 : 
-                      (node.isOptimal && viewer.settings.showPath ? 6 : 4));
+        const style = getNodeStyle(node);
+        const radius = style.radius;
+        if (radius === 0) continue; // Collapsed by a filter
+        ctx.fillStyle = `rgb(${style.fill.join(',')})`;
+        ctx.strokeStyle = `rgba(${style.stroke.join(',')})`;
+        ctx.lineWidth = style.lineWidth;
 
         // Draw the node
         ctx.beginPath();
@@ -648,7 +1330,7 @@ function draw3DViewer() {
         ctx.stroke();
 
         // Optional: Add text labels for important nodes
-        if (node.isCurrent || node.isSolution) {
+        if (node.isCurrent || (node.isSolution && isNodeShown(i))) {
             ctx.fillStyle = '#fff';
             ctx.font = '12px Arial';
             ctx.textAlign = 'center';
@@ -661,12 +1343,83 @@ function draw3DViewer() {
             }
         }
     }
+
+    drawFilterClusters(ctx);
+    drawPreviewHighlight(ctx);
+    drawColorLegend(ctx);
+}
+
+/**
+ * Works out how a node is drawn, for both the WebGL and the 2D renderer.
+ * @param {Object} node The graph node.
+ * @returns {{fill: number[], stroke: number[], lineWidth: number, radius: number}}
+ *     Fill as [r, g, b] and stroke as [r, g, b, alpha], with channels from 0 to 255.
+ */
+function getNodeStyle(node) {
+    // Fill color based on color mode (colors.js)
+    const fill = getNodeColor(node);
+
+    // Stroke color and width based on node type (priority order)
+    let stroke = [255, 255, 255, 0.3];
+    let lineWidth = 1;
+    if (node.isSolution) {
+        stroke = [0, 255, 0, 1]; // Green for solution nodes
+        lineWidth = 4;
+    } else if (node.isCurrent) {
+        stroke = [255, 255, 0, 1]; // Yellow for current position
+        lineWidth = 3;
+    } else if (node.isOptimal && viewer.settings.showPath) {
+        stroke = [255, 255, 0, 1]; // Bright yellow for optimal path
+        lineWidth = 2;
+    }
+
+    // Radius based on importance
+    const radius = node.isSolution ? 10 :
+                  (node.isCurrent ? 8 :
+                  (node.isOptimal && viewer.settings.showPath ? 6 : 4));
+    return applyFilterStyle(node, { fill, stroke, lineWidth, radius });
+}
+
+/**
+ * Draws the positions visited so far as a cyan line through the graph.
+ */
+function drawTrail(ctx, projected) {
+    if (viewer.trail.length < 2) return;
+
+    ctx.strokeStyle = 'rgba(0,220,255,0.85)';
+    ctx.lineWidth = 2.5;
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    let penDown = false;
+    for (const index of viewer.trail) {
+        const p = projected[index];
+        if (!p) {
+            penDown = false;
+            continue;
+        }
+        if (penDown) {
+            ctx.lineTo(p.x, p.y);
+        } else {
+            ctx.moveTo(p.x, p.y);
+            penDown = true;
+        }
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(0,220,255,0.85)';
+    for (const index of viewer.trail) {
+        const p = projected[index];
+        if (!p) continue;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+        ctx.fill();
+    }
 }
 
 function project3D(point, canvas) {
     let x = point.x - viewer.camera.x;
     let y = point.y - viewer.camera.y;
-    let z = point.z;
+    let z = point.z - viewer.camera.targetZ;
     const cosY = Math.cos(viewer.camera.rotY), sinY = Math.sin(viewer.camera.rotY);
     let tempX = x * cosY - z * sinY;
     let tempZ = x * sinY + z * cosY;
@@ -685,7 +1438,15 @@ function project3D(point, canvas) {
 
 function startGameLoop() {
     function gameLoop() {
+        advanceLayout();
+        advanceAnalysis();
+        advanceCameraFlight();
+        advanceCameraKeys();
+        advanceSolver();
+        advancePlayback();
+        updateNodePreview();
         updateDisplay();
+        saveSession();
         requestAnimationFrame(gameLoop);
     }
     requestAnimationFrame(gameLoop);
@@ -694,10 +1455,31 @@ function startGameLoop() {
 // --- Input Handlers ---
 
 function handleKeyDown(e) { 
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return; // Let text fields keep their own shortcuts
     keys[e.code] = true; 
+    if (document.activeElement === viewer.canvas && CAMERA_FLY_KEYS[e.code] && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault(); // Flown by advanceCameraKeys, so S does not auto-solve here
+        return;
+    }
+    if (editorState.active) return; // Game shortcuts would change the board under the editor
+
+    if ((e.ctrlKey || e.metaKey) && e.code === 'KeyZ') {
+        e.preventDefault();
+        if (isPlaybackPlaying()) return;
+        if (e.shiftKey) {
+            redoMove();
+        } else {
+            undoMove();
+        }
+        return;
+    }
     
     if (e.code === 'KeyS') {
-        executeAutoSolve();
+        togglePlayback();
+    }
+
+    if (e.code === 'KeyH') {
+        toggleHints();
     }
 }
 
@@ -705,40 +1487,72 @@ function handleKeyUp(e) {
     keys[e.code] = false; 
 }
 
-function handleMouseDown(e) {
+function getViewerPoint(e) {
     const rect = viewer.canvas.getBoundingClientRect();
-    mouse.x = e.clientX - rect.left;
-    mouse.y = e.clientY - rect.top;
-    if (e.button === 0) mouse.down = true;
-    if (e.button === 2) mouse.rightDown = true;
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
 }
 
-function handleMouseMove(e) {
-    const rect = viewer.canvas.getBoundingClientRect();
-    const newX = e.clientX - rect.left;
-    const newY = e.clientY - rect.top;
-    if (mouse.rightDown) {
-        viewer.camera.rotY += (newX - mouse.x) * 0.01;
-        viewer.camera.rotX += (newY - mouse.y) * 0.01;
+function handleViewerPointerDown(e) {
+    viewer.canvas.setPointerCapture(e.pointerId);
+    const point = getViewerPoint(e);
+    viewer.pointers.set(e.pointerId, point);
+    if (viewer.pointers.size === 1) viewer.pointerTravel = 0;
+    viewer.cameraFlight = null; // The user takes the camera over
+    mouse.x = point.x;
+    mouse.y = point.y;
+    if (e.pointerType === 'mouse') {
+        if (e.button === 0) mouse.down = true;
+        if (e.button === 2) mouse.rightDown = true;
+    }
+}
+
+/**
+ * Right-drag with a mouse, or one finger or pen, orbits the camera; left-drag pans and
+ * two fingers pinch to zoom.
+ */
+function handleViewerPointerMove(e) {
+    const point = getViewerPoint(e);
+    const previous = viewer.pointers.get(e.pointerId);
+    if (previous) {
+        viewer.pointerTravel += Math.abs(point.x - previous.x) + Math.abs(point.y - previous.y);
+        if (viewer.pointers.size >= 2) {
+            // Zoom by how much the distance to the other of the first two pointers changed
+            const [first, second] = viewer.pointers.keys();
+            if (e.pointerId === first || e.pointerId === second) {
+                const other = viewer.pointers.get(e.pointerId === first ? second : first);
+                const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+                const after = Math.hypot(point.x - other.x, point.y - other.y);
+                if (before > 0 && after > 0) viewer.camera.z = clampCameraZoom(viewer.camera.z * before / after);
+            }
+        } else if (e.pointerType !== 'mouse' || mouse.rightDown) {
+            viewer.camera.rotY += (point.x - previous.x) * 0.01;
+            viewer.camera.rotX += (point.y - previous.y) * 0.01;
+        } else if (mouse.down) {
+            panCamera(point.x - previous.x, point.y - previous.y);
+        }
+        viewer.pointers.set(e.pointerId, point);
     }
-    mouse.x = newX;
-    mouse.y = newY;
+    mouse.x = point.x;
+    mouse.y = point.y;
 }
 
-function handleMouseUp(e) {
-    if (e.button === 0) mouse.down = false;
-    if (e.button === 2) mouse.rightDown = false;
+function handleViewerPointerUp(e) {
+    viewer.pointers.delete(e.pointerId);
+    if (e.pointerType === 'mouse') {
+        if (e.button === 0) mouse.down = false;
+        if (e.button === 2) mouse.rightDown = false;
+    }
 }
 
 function handleWheel(e) {
     e.preventDefault();
     const zoomFactor = Math.pow(1.05, -Math.sign(e.deltaY));
 
-    const oldZ = viewer.camera.z;
-    let newZ = oldZ / zoomFactor;
-
-    // Clamp the zoom level to prevent zooming too far in or out
-    newZ = Math.max(2, Math.min(15, newZ));
+    viewer.cameraFlight = null;
+    viewer.camera.z = clampCameraZoom(viewer.camera.z / zoomFactor);
+}
+// --- Module ---
 
-    viewer.camera.z = newZ;
-}
\ No newline at end of file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { gameState, viewer, updateOptimalPath };
+}
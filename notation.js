@@ -0,0 +1,64 @@
+// Klotski Move List Import and Export
+// Exports the moves of the timeline as a move list and replays pasted move lists on
+// the board. The notation itself is defined in engine.js; the replay runs through the
+// playback controller (playback.js).
+
+// --- Import and Export ---
+
+function setupNotation() {
+    document.getElementById('exportMovesBtn').addEventListener('click', exportMoveList);
+    document.getElementById('importMovesBtn').addEventListener('click', importMoveList);
+}
+
+/**
+ * Writes the moves from the start of the timeline to the current position into the move box.
+ */
+function exportMoveList() {
+    const entries = gameState.history.slice(1, gameState.historyIndex + 1);
+    const jump = entries.findIndex(entry => !entry.move);
+    const moves = entries.flatMap(entry => entry.move ? entry.move.split(' ') : []);
+    if (jump !== -1) {
+        setStatusMessage(`Cannot export: position ${jump + 1} of the timeline was reached through the graph, not by a move.`);
+        return;
+    }
+    const box = document.getElementById('moveListInput');
+    box.value = formatMoveList(moves, gameState.history[0].representation, gameState.puzzle, viewer.settings.moveMetric);
+    box.select();
+    setStatusMessage(`Exported ${moves.length} moves.`);
+}
+
+/**
+ * Validates the move list in the move box and replays it on the board from its start.
+ */
+function importMoveList() {
+    const { start, metric, moves, error } = parseMoveList(document.getElementById('moveListInput').value);
+    if (error) {
+        setStatusMessage(`Cannot import: ${error}.`);
+        return;
+    }
+    if (metric && metric !== viewer.settings.moveMetric) {
+        setStatusMessage(`Cannot import: the moves are counted as ${MOVE_METRICS[metric].name}; switch the metric to replay them.`);
+        return;
+    }
+    const origin = start || gameState.puzzle.start;
+    const originError = validatePuzzleDefinition({ ...gameState.puzzle, start: origin });
+    if (originError) {
+        setStatusMessage(`Cannot import: ${originError}`);
+        return;
+    }
+    const { positions, error: replayError } = replayMoveList(origin, moves, gameState.puzzle, viewer.settings.moveMetric);
+    if (replayError) {
+        setStatusMessage(`Cannot import: ${replayError}.`);
+        return;
+    }
+
+    cancelPlayback();
+    setGameStateFromString(origin);
+    gameState.selectedPiece = null;
+    gameState.moveCount = 0;
+    checkWinCondition();
+    resetHistory();
+    updateCurrentGameState();
+    updateDisplay();
+    playPositions([origin, ...positions]);
+}
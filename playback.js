@@ -0,0 +1,301 @@
+// Klotski Auto-solve Playback
+// Plays the optimal path from the board position to a solution, one move at a time,
+// with play, pause, single steps both ways, a speed control and cancel. Each move slides
+// its piece across the board instead of jumping, while the current-node marker in the
+// viewer moves on to the next node. The board takes no other input while it plays.
+// Positions outside the finished viewer graph play the solver's solution (solver.js),
+// once it has found one. Imported move lists (notation.js) play the same way.
+
+// --- Playback Settings ---
+
+// Time per move at 1× speed, in milliseconds, and the share of it the slide takes.
+const PLAYBACK_STEP_MS = 600;
+const PLAYBACK_SLIDE_SHARE = 0.6;
+
+let playbackState = {
+    positions: [], // The board positions along the path, from where playback started; empty when there is none
+    index: 0, // Entry of `positions` on the board
+    playing: false,
+    waiting: null, // The board position that plays as soon as the solver has a solution from it
+    speed: 1,
+    nextStepAt: 0, // When the next move is due while playing, in performance.now() time
+    slide: null, // The piece sliding on the board: { piece, waypoints, start, duration }
+    replay: false, // Whether the positions are an imported move list rather than a path to a solution
+    message: '' // Why playback could not start
+};
+
+// --- Controls ---
+
+function setupPlayback() {
+    document.getElementById('playbackPlayBtn').addEventListener('click', togglePlayback);
+    document.getElementById('playbackBackBtn').addEventListener('click', () => stepPlayback(-1));
+    document.getElementById('playbackForwardBtn').addEventListener('click', () => stepPlayback(1));
+    document.getElementById('playbackCancelBtn').addEventListener('click', cancelPlayback);
+    document.getElementById('playbackSpeed').addEventListener('change', e => playbackState.speed = parseFloat(e.target.value));
+}
+
+/**
+ * @returns {boolean} Whether playback is running, so the board takes no other input.
+ */
+function isPlaybackPlaying() {
+    return playbackState.playing;
+}
+
+/**
+ * Plays from the board position, or pauses. Bound to the S key.
+ */
+function togglePlayback() {
+    if (dragState.isDragging) return; // The piece in hand goes down first
+    if (playbackState.playing || playbackState.waiting) {
+        playbackState.playing = false;
+        playbackState.waiting = null;
+    } else if (preparePlayback()) {
+        playbackState.playing = playbackState.index < playbackState.positions.length - 1;
+        playbackState.nextStepAt = performance.now();
+    } else if (isSolverSearching()) {
+        playbackState.waiting = gameStateToString();
+    }
+    updatePlaybackControls();
+}
+
+/**
+ * Plays a list of positions from the board position, such as an imported move list.
+ * Like the optimal path, it stops when the board is changed some other way.
+ * @param {string[]} positions The positions, starting with the board position.
+ */
+function playPositions(positions) {
+    cancelPlayback();
+    playbackState.positions = positions;
+    playbackState.replay = true;
+    playbackState.playing = positions.length > 1;
+    playbackState.nextStepAt = performance.now();
+    updatePlaybackControls();
+}
+
+/**
+ * Pauses and makes one move along the path, or takes the last one back.
+ * @param {number} step 1 for the next move, -1 for the previous one.
+ */
+function stepPlayback(step) {
+    if (dragState.isDragging) return;
+    playbackState.playing = false;
+    if (preparePlayback()) goToPlaybackIndex(playbackState.index + step);
+    updatePlaybackControls();
+}
+
+/**
+ * Stops playback and forgets the path; the board stays where it is.
+ */
+function cancelPlayback() {
+    playbackState.playing = false;
+    playbackState.waiting = null;
+    playbackState.positions = [];
+    playbackState.index = 0;
+    playbackState.slide = null;
+    playbackState.replay = false;
+    playbackState.message = '';
+    updatePlaybackControls();
+}
+
+/**
+ * Makes sure there is a path from the board position: the one being played if the board
+ * is still on it, a new one otherwise. Off the finished graph, the path is the solver's,
+ * which may take it a while to find.
+ * @returns {boolean} False when no solution can be played from the board position yet.
+ */
+function preparePlayback() {
+    const representation = gameStateToString();
+    const { positions, index, replay } = playbackState;
+    // A finished replay gives way to the path to a solution
+    if (positions[index] === representation && !(replay && index === positions.length - 1)) return true;
+
+    cancelPlayback();
+    const node = isGraphPartial() ? undefined : findNodeByRepresentation(representation);
+    if (node) {
+        if (!Number.isFinite(node.moveCount)) {
+            playbackState.message = 'No solution can be reached from this position.';
+            return false;
+        }
+        playbackState.positions = getPlaybackPositions(representation, node);
+        return true;
+    }
+
+    const solution = getBoardSolution(representation);
+    if (!solution || !solution.positions) {
+        playbackState.message = solution ? 'The solver found no solution from this position.'
+            : isGraphPartial() ? 'The exploration is not done; searching for a solution.'
+            : 'The board position is not in the graph; searching for a solution.';
+        return false;
+    }
+    playbackState.positions = [representation, ...solution.positions];
+    return true;
+}
+
+/**
+ * Lists the positions along the optimal path from a node. Each is reached from the one
+ * before on the board itself, so pieces of the same shape keep their labels.
+ * @param {string} representation The board position.
+ * @param {Object} node Its node.
+ * @returns {string[]} The positions, starting with the board position.
+ */
+function getPlaybackPositions(representation, node) {
+    const positions = [representation];
+    for (const index of walkOptimalPath(viewer.graph, node.index).slice(1)) {
+        const target = viewer.nodes[index];
+        const next = findNeighborWithKey(positions[positions.length - 1], target.key, getStateKey, gameState.puzzle, viewer.settings.moveMetric);
+        positions.push(next || target.representation);
+    }
+    return positions;
+}
+
+// --- Stepping ---
+
+/**
+ * Called from the game loop: makes the next move when it is due, and drops the path when
+ * the board was changed by something else.
+ */
+function advancePlayback() {
+    if (playbackState.waiting) {
+        if (playbackState.waiting !== gameStateToString()) {
+            cancelPlayback(); // The board moved on
+        } else if (!isSolverSearching()) {
+            playbackState.waiting = null;
+            togglePlayback();
+        }
+        return;
+    }
+    const { positions, index } = playbackState;
+    if (positions.length > 0 && positions[index] !== gameStateToString()) {
+        cancelPlayback();
+        return;
+    }
+    if (!playbackState.playing) return;
+    const now = performance.now();
+    if (now < playbackState.nextStepAt) return;
+    goToPlaybackIndex(playbackState.index + 1);
+    playbackState.nextStepAt = now + PLAYBACK_STEP_MS / playbackState.speed;
+    if (playbackState.index === playbackState.positions.length - 1) playbackState.playing = false;
+    updatePlaybackControls();
+}
+
+/**
+ * Puts a position of the path on the board and slides the moving piece there. Going
+ * forward records a move in the history, or redoes it when it was taken back; going
+ * back undoes one. Playback stops at a position that no move leads to.
+ * @param {number} index The entry of the path to go to, next to the current one.
+ */
+function goToPlaybackIndex(index) {
+    const positions = playbackState.positions;
+    if (index < 0 || index >= positions.length) return;
+    const from = positions[playbackState.index];
+    const to = positions[index];
+
+    const redo = gameState.history[gameState.historyIndex + 1];
+    if (index < playbackState.index) {
+        jumpToHistory(gameState.historyIndex - 1);
+    } else if (redo && redo.representation === to) {
+        jumpToHistory(gameState.historyIndex + 1);
+    } else {
+        // Every step of a path is one move; a step that is none is not played
+        const move = getMoveNotation(from, to, gameState.board.width, gameState.board.height, viewer.settings.moveMetric);
+        if (!move) {
+            cancelPlayback();
+            playbackState.message = 'The next position on the path is not one move away; playback stopped.';
+            updatePlaybackControls();
+            return;
+        }
+        setGameStateFromString(to);
+        gameState.moveCount += move.split(' ').length;
+        checkWinCondition();
+        recordHistory();
+        updateCurrentGameState();
+    }
+    playbackState.index = index;
+    playbackState.slide = createPieceSlide(from, to, PLAYBACK_STEP_MS * PLAYBACK_SLIDE_SHARE / playbackState.speed);
+    updateDisplay();
+}
+
+/**
+ * Works out how the piece that differs between two positions slides from one to the
+ * other: along the legs of its move, turning where they turn.
+ * @returns {{piece: string, waypoints: Array<{x: number, y: number}>, start: number, duration: number}|null}
+ *     The slide, or null if no single piece moved.
+ */
+function createPieceSlide(from, to, duration) {
+    const { width, height } = gameState.board;
+    const before = createBoard(from, width, height);
+    const after = new Map(createBoard(to, width, height).pieces.map(piece => [piece.id, piece]));
+    const moved = before.pieces.filter(piece => {
+        const target = after.get(piece.id);
+        return target && (target.x !== piece.x || target.y !== piece.y);
+    });
+    if (moved.length !== 1) return null;
+
+    const piece = moved[0];
+    const target = after.get(piece.id);
+    const waypoints = [{ x: piece.x, y: piece.y }];
+    const moves = findPieceMoves(before, piece, target.x, target.y, viewer.settings.moveMetric) || [];
+    for (const leg of moves.flatMap(move => move.legs)) {
+        const { dx, dy } = SLIDE_DIRECTIONS[leg.direction];
+        const last = waypoints[waypoints.length - 1];
+        waypoints.push({ x: last.x + dx * leg.distance, y: last.y + dy * leg.distance });
+    }
+    const end = waypoints[waypoints.length - 1];
+    if (end.x !== target.x || end.y !== target.y) waypoints.push({ x: target.x, y: target.y });
+    return { piece: piece.id, waypoints, start: performance.now(), duration };
+}
+
+/**
+ * Where a sliding piece is drawn, for drawGame.
+ * @param {string} pieceId The piece.
+ * @returns {{x: number, y: number}|null} Its place in cells, between cells while it
+ *     slides, or null when it is not sliding.
+ */
+function getSlidingPiecePosition(pieceId) {
+    const slide = playbackState.slide;
+    if (!slide || slide.piece !== pieceId) return null;
+    const t = (performance.now() - slide.start) / slide.duration;
+    if (t >= 1) return null;
+
+    // Eased along the whole route, at an even speed from leg to leg
+    const eased = t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) ** 2;
+    const { waypoints } = slide;
+    const lengths = waypoints.slice(1).map((point, i) => Math.abs(point.x - waypoints[i].x) + Math.abs(point.y - waypoints[i].y));
+    let remaining = eased * lengths.reduce((sum, length) => sum + length, 0);
+    for (let i = 0; i < lengths.length; i++) {
+        if (remaining <= lengths[i] || i === lengths.length - 1) {
+            const f = lengths[i] > 0 ? Math.min(1, remaining / lengths[i]) : 1;
+            return {
+                x: waypoints[i].x + (waypoints[i + 1].x - waypoints[i].x) * f,
+                y: waypoints[i].y + (waypoints[i + 1].y - waypoints[i].y) * f
+            };
+        }
+        remaining -= lengths[i];
+    }
+    return null;
+}
+
+// --- Display ---
+
+function updatePlaybackControls() {
+    const { positions, index, playing, waiting } = playbackState;
+    const active = positions.length > 0;
+    const playButton = document.getElementById('playbackPlayBtn');
+    playButton.textContent = playing || waiting ? 'Pause' : 'Play';
+    document.getElementById('playbackBackBtn').disabled = playing || !active || index === 0;
+    document.getElementById('playbackForwardBtn').disabled = playing || (active && index === positions.length - 1);
+    document.getElementById('playbackCancelBtn').disabled = !active && !waiting;
+    const moves = positions.length - 1;
+    document.getElementById('playbackStatusDisplay').textContent = !active ? playbackState.message
+        : playbackState.replay && index === moves ? `Replayed ${moves} moves${gameState.gameWon ? '; the puzzle is solved' : ''}.`
+        : moves === 0 ? 'The board is already solved.'
+        : index === moves ? `Solved: ${moves} moves played.`
+        : `Move ${index} of ${moves}${playing ? '' : ' (paused)'}.`;
+    updateHistoryControls();
+}
+
+// --- Module ---
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { playbackState, togglePlayback, playPositions, stepPlayback, cancelPlayback, advancePlayback, goToPlaybackIndex };
+}
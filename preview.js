@@ -0,0 +1,204 @@
+// Klotski Node Previews
+// Hovering a node in the 3D viewer shows a tooltip with a miniature of its board, its
+// depth, its distance to a solution and its degree, and leaves the game alone. Holding
+// Shift adds its neighbors: small boards in the tooltip, and rings around them in the graph.
+
+// --- Preview Settings ---
+
+// Cell size of the miniature boards in pixels: the hovered node's and its neighbors'.
+const PREVIEW_CELL_PX = 14;
+const PREVIEW_NEIGHBOR_CELL_PX = 6;
+
+// Most neighbors shown in the tooltip.
+const PREVIEW_NEIGHBOR_LIMIT = 12;
+
+// Gap between the pointer and the tooltip, in pixels.
+const PREVIEW_OFFSET_PX = 16;
+
+let previewState = {
+    pointer: null, // Pointer position over the viewer canvas, or null when it is elsewhere
+    shift: false,
+    moved: false, // Whether the pointer moved since the hovered node was last picked
+    pickedIn: { view: null, graph: null, visible: null }, // The view (getPreviewView), graph and filter it was picked in
+    index: -1, // Hovered node, or -1
+    shownKey: null, // Node, Shift state and graph the tooltip was built for
+    graph: null
+};
+
+// --- Hover Tracking ---
+
+function setupNodePreview() {
+    viewer.canvas.addEventListener('pointermove', e => {
+        if (e.pointerType === 'touch') return; // Fingers do not hover
+        previewState.pointer = getViewerPoint(e);
+        previewState.shift = e.shiftKey;
+        previewState.moved = true;
+    });
+    viewer.canvas.addEventListener('pointerleave', () => {
+        previewState.pointer = null;
+        previewState.moved = true;
+    });
+    const trackShift = e => {
+        if (e.key === 'Shift') previewState.shift = e.type === 'keydown';
+    };
+    document.addEventListener('keydown', trackShift);
+    document.addEventListener('keyup', trackShift);
+}
+
+/**
+ * Called from the game loop: brings the tooltip up to date. Picking goes over every
+ * node, so the node under the pointer is picked again only when the pointer, the camera,
+ * the layout, the graph or the filters have changed since.
+ */
+function updateNodePreview() {
+    const pointer = previewState.pointer;
+    const pickedIn = { view: getPreviewView(), graph: viewer.graph, visible: filterState.visible };
+    if (previewState.moved || Object.keys(pickedIn).some(name => pickedIn[name] !== previewState.pickedIn[name])) {
+        previewState.moved = false;
+        previewState.pickedIn = pickedIn;
+        // No previews while a button is down: that is a pan, an orbit or a pinch
+        const node = pointer && viewer.pointers.size === 0 ? pickNodeAt(pointer.x, pointer.y) : null;
+        previewState.index = node ? node.index : -1;
+    }
+    const hit = previewState.index === -1 ? null : viewer.nodes[previewState.index];
+
+    const tooltip = document.getElementById('nodeTooltip');
+    if (!hit) {
+        tooltip.hidden = true;
+        previewState.shownKey = null;
+        return;
+    }
+    const key = `${hit.index} ${previewState.shift}`;
+    if (key !== previewState.shownKey || previewState.graph !== viewer.graph) {
+        previewState.shownKey = key;
+        previewState.graph = viewer.graph;
+        buildNodeTooltip(tooltip, hit);
+    }
+    tooltip.hidden = false;
+
+    // Beside the pointer, on the side with room for it
+    const area = tooltip.parentElement;
+    const left = pointer.x + PREVIEW_OFFSET_PX + tooltip.offsetWidth > area.clientWidth
+        ? pointer.x - PREVIEW_OFFSET_PX - tooltip.offsetWidth : pointer.x + PREVIEW_OFFSET_PX;
+    const top = pointer.y + PREVIEW_OFFSET_PX + tooltip.offsetHeight > area.clientHeight
+        ? pointer.y - PREVIEW_OFFSET_PX - tooltip.offsetHeight : pointer.y + PREVIEW_OFFSET_PX;
+    tooltip.style.left = `${Math.max(0, left)}px`;
+    tooltip.style.top = `${Math.max(0, top)}px`;
+}
+
+/**
+ * @returns {string} What places the nodes on the viewer canvas, apart from the graph:
+ *     the camera, the layout iteration and the canvas size, and whether a button is down.
+ */
+function getPreviewView() {
+    const { x, y, targetZ, z, rotX, rotY } = viewer.camera;
+    const iteration = viewer.layout ? viewer.layout.iteration : -1;
+    return [x, y, targetZ, z, rotX, rotY, iteration, viewer.canvas.width, viewer.canvas.height, viewer.pointers.size].join(' ');
+}
+
+// --- Tooltip ---
+
+function buildNodeTooltip(tooltip, node) {
+    tooltip.replaceChildren(createMiniBoard(node.representation, PREVIEW_CELL_PX));
+
+    const details = document.createElement('p');
+    const toSolve = Number.isFinite(node.moveCount) ? `${node.moveCount} moves` : 'unsolvable';
+    details.append(
+        `Depth: ${Number.isFinite(node.depth) ? node.depth : '—'}`, document.createElement('br'),
+        `To solve: ${toSolve}`, document.createElement('br'),
+        `Neighbors: ${node.degree}`
+    );
+    if (node.rawCount > 1) details.append(document.createElement('br'), `Positions: ${node.rawCount}`);
+    tooltip.appendChild(details);
+
+    if (!previewState.shift) {
+        const help = document.createElement('p');
+        help.className = 'node-tooltip-help';
+        help.textContent = 'Shift: show neighbors';
+        tooltip.appendChild(help);
+        return;
+    }
+
+    const neighbors = getNeighborIndices(viewer.graph, node.index);
+    const grid = document.createElement('div');
+    grid.className = 'node-tooltip-neighbors';
+    for (const index of neighbors.slice(0, PREVIEW_NEIGHBOR_LIMIT)) {
+        const neighbor = viewer.nodes[index];
+        const figure = document.createElement('figure');
+        const caption = document.createElement('figcaption');
+        caption.textContent = Number.isFinite(neighbor.moveCount) ? neighbor.moveCount : '∞';
+        figure.append(createMiniBoard(neighbor.representation, PREVIEW_NEIGHBOR_CELL_PX), caption);
+        grid.appendChild(figure);
+    }
+    tooltip.appendChild(grid);
+    if (neighbors.length > PREVIEW_NEIGHBOR_LIMIT) {
+        const more = document.createElement('p');
+        more.className = 'node-tooltip-help';
+        more.textContent = `and ${neighbors.length - PREVIEW_NEIGHBOR_LIMIT} more`;
+        tooltip.appendChild(more);
+    }
+}
+
+/**
+ * Draws a position as a small board in the colors of the game board.
+ * @param {string} representation The position.
+ * @param {number} cellSize Size of a cell, in pixels.
+ * @returns {HTMLCanvasElement} The miniature.
+ */
+function createMiniBoard(representation, cellSize) {
+    const { width, height } = gameState.board;
+    const canvas = document.createElement('canvas');
+    canvas.width = width * cellSize;
+    canvas.height = height * cellSize;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#222';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    for (const piece of createBoard(representation, width, height).pieces) {
+        ctx.fillStyle = getPieceColor(piece.id);
+        ctx.fillRect(piece.x * cellSize + 1, piece.y * cellSize + 1, piece.width * cellSize - 2, piece.height * cellSize - 2);
+    }
+    return canvas;
+}
+
+// --- Graph Highlight ---
+
+/**
+ * Rings the hovered node and, with Shift held, joins it to its neighbors and rings them
+ * too. Drawn on the 2D viewer canvas or the overlay over the WebGL one.
+ */
+function drawPreviewHighlight(ctx) {
+    if (previewState.index === -1 || previewState.graph !== viewer.graph) return;
+    const node = viewer.nodes[previewState.index];
+    const p = project3D(node, viewer.canvas);
+    if (!p) return;
+
+    ctx.save();
+    if (previewState.shift) {
+        ctx.strokeStyle = 'rgba(255,213,74,0.9)';
+        ctx.lineWidth = 1.5;
+        for (const index of getNeighborIndices(viewer.graph, node.index)) {
+            const neighbor = viewer.nodes[index];
+            const q = project3D(neighbor, viewer.canvas);
+            if (!q) continue;
+            ctx.beginPath();
+            ctx.moveTo(p.x, p.y);
+            ctx.lineTo(q.x, q.y);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(q.x, q.y, getNodeStyle(neighbor).radius + 3, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, getNodeStyle(node).radius + 4, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+}
+
+// --- Module ---
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { previewState, updateNodePreview };
+}
@@ -0,0 +1,51 @@
+// Klotski Puzzle Definitions
+//
+// A puzzle is a plain JSON object:
+//
+//     {
+//         "name": "Classic",
+//         "width": 4,                        // Board width in cells
+//         "height": 5,                       // Board height in cells
+//         "start": "aTTbaTTb.cc.dghedfie",   // Starting representation, row by row
+//         "goalPiece": "T",                  // Character of the goal piece, or an array of them
+//         "goals": [{ "x": 1, "y": 3 }],     // Allowed top-left cells for the goal piece
+//         "exits": [{ "side": "bottom", "offset": 1, "length": 2 }]   // Optional
+//     }
+//
+// With several goal pieces, each goal names its piece with "piece", and the puzzle is
+// solved once every goal piece sits on one of its own goal placements. Exits are only
+// drawn; when they are omitted they are derived from goal placements touching the border.
+// Definitions are checked and normalized by the engine (engine.js), which also holds
+// CLASSIC_PUZZLE.
+
+// --- Built-in Puzzles ---
+
+const PUZZLE_LIBRARY = [
+    CLASSIC_PUZZLE,
+    {
+        name: 'Wide Board (5x4)',
+        width: 5,
+        height: 4,
+        start: 'bhTT.baTT.daceedgcff',
+        goalPiece: 'T',
+        goals: [{ x: 3, y: 1 }]
+    },
+    {
+        name: 'Side Exits',
+        width: 4,
+        height: 5,
+        start: 'cc.heTTaeTTabffdb.gd',
+        goalPiece: 'T',
+        goals: [{ x: 0, y: 3 }, { x: 2, y: 3 }],
+        exits: [{ side: 'left', offset: 3, length: 2 }, { side: 'right', offset: 3, length: 2 }]
+    },
+    {
+        name: 'Two Goal Pieces',
+        width: 4,
+        height: 5,
+        start: 'ccTTe.TTehd.bgdabffa',
+        goalPiece: ['T', 'g'],
+        goals: [{ piece: 'T', x: 0, y: 3 }, { piece: 'g', x: 3, y: 0 }],
+        exits: [{ side: 'bottom', offset: 0, length: 2 }, { side: 'right', offset: 0, length: 1 }]
+    }
+];
@@ -0,0 +1,255 @@
+// Klotski Play Recording
+// Records every game as the positions the board went through and when each was reached,
+// by a move (undos and auto-solve included) or a jump through the graph. The route is
+// drawn through the viewer next to the optimal path, a report compares it with the
+// optimal solution once the puzzle is solved, and the recording can be saved as JSON.
+
+// --- Recording Settings ---
+
+const RECORDING_FORMAT = 'klotski-recording';
+const RECORDING_VERSION = 1;
+
+// Phases of a game in the report, by the share of the starting distance to a solution
+// still left: more than `above` of it.
+const RECORDING_PHASES = [
+    { name: 'Opening', above: 2 / 3 },
+    { name: 'Middle game', above: 1 / 3 },
+    { name: 'Endgame', above: -Infinity }
+];
+
+let recordingState = {
+    recording: null // { puzzle, metric, startedAt, solvedAt, steps: [{ time, representation, move }] }
+};
+
+// --- Recording ---
+
+function setupRecording() {
+    document.getElementById('routeMode').addEventListener('change', e => viewer.settings.showRoute = e.target.value === '1');
+    document.getElementById('exportRecordingBtn').addEventListener('click', exportRecording);
+}
+
+/**
+ * Starts a new recording at the position on the board. Called whenever a new game
+ * starts (resetHistory) and when a saved session is restored.
+ */
+function startRecording() {
+    recordingState.recording = {
+        puzzle: gameState.puzzle,
+        metric: viewer.settings.moveMetric,
+        startedAt: Date.now(),
+        solvedAt: null, // Time from the start, once the puzzle is solved
+        steps: [{ time: 0, representation: gameStateToString(), move: null }]
+    };
+    updateRoute();
+    renderRecordingReport();
+}
+
+/**
+ * Records the position on the board if it changed since the last step. Called from
+ * updateCurrentGameState, which every change of the board goes through.
+ */
+function recordRouteStep() {
+    const recording = recordingState.recording;
+    if (!recording) return;
+    const representation = gameStateToString();
+    const last = recording.steps[recording.steps.length - 1];
+    if (representation !== last.representation) {
+        const { width, height } = gameState.board;
+        const time = Date.now() - recording.startedAt;
+        recording.steps.push({ time, representation, move: getMoveNotation(last.representation, representation, width, height, viewer.settings.moveMetric) });
+        if (gameState.gameWon && recording.solvedAt === null) recording.solvedAt = time;
+        renderRecordingReport();
+    }
+    updateRoute(); // The graph may have changed under the same position
+}
+
+/**
+ * Maps the moves of the recording onto pairs of graph nodes for drawing. Jumps through
+ * the graph and positions outside it are left out.
+ */
+function updateRoute() {
+    viewer.route = [];
+    const recording = recordingState.recording;
+    if (!recording || !viewer.graph) return;
+    let previous = findNodeByRepresentation(recording.steps[0].representation);
+    for (const step of recording.steps.slice(1)) {
+        const node = findNodeByRepresentation(step.representation);
+        if (step.move && previous && node && previous !== node) viewer.route.push(previous.index, node.index);
+        previous = node;
+    }
+}
+
+// --- Report ---
+
+/**
+ * Compares a recording with the optimal solution from where it started.
+ * @param {Object} recording The recording.
+ * @param {function(string): ({key: string, solutionDist: number}|null)} lookup Finds the
+ *     graph node of a position: its key and its distance to a solution. Null when the
+ *     position is not in the graph.
+ * @param {number} now Time from the start of the recording that an unfinished last step lasts until.
+ * @returns {{moves: number, optimal: number|null, jumps: number, detours: number, revisits: number,
+ *     states: number, duration: number, solved: boolean, phases: Array<{name: string, time: number, moves: number}>}}
+ *     The moves made and the fewest possible (null when the start cannot reach a solution),
+ *     the jumps, the moves that took the board further from a solution, the visits to
+ *     positions seen before and the different positions seen, and the time and moves
+ *     spent in each phase.
+ */
+function analyzeRecording(recording, lookup, now) {
+    const steps = recording.steps;
+    const nodes = steps.map(step => lookup(step.representation));
+    const start = nodes[0];
+    const optimal = start && Number.isFinite(start.solutionDist) ? start.solutionDist : null;
+    const phases = RECORDING_PHASES.map(phase => ({ name: phase.name, time: 0, moves: 0 }));
+    const end = recording.solvedAt ?? now;
+
+    let moves = 0, jumps = 0, detours = 0, revisits = 0;
+    const seen = new Set();
+    steps.forEach((step, i) => {
+        const node = nodes[i];
+        const key = node ? node.key : step.representation;
+        if (seen.has(key)) revisits++;
+        seen.add(key);
+        if (i > 0) {
+            if (step.move) {
+                moves += step.move.split(' ').length;
+                const before = nodes[i - 1];
+                if (before && node && node.solutionDist > before.solutionDist) detours++;
+            } else {
+                jumps++;
+            }
+        }
+
+        // Time on a position, and the move leaving it, go to the phase it is in
+        if (optimal === null || optimal === 0 || !node || !Number.isFinite(node.solutionDist)) return;
+        const phase = phases[RECORDING_PHASES.findIndex(p => node.solutionDist / optimal > p.above)];
+        phase.time += Math.max(0, (i + 1 < steps.length ? steps[i + 1].time : end) - step.time);
+        if (i + 1 < steps.length && steps[i + 1].move) phase.moves += steps[i + 1].move.split(' ').length;
+    });
+    return {
+        moves, optimal, jumps, detours, revisits,
+        states: seen.size,
+        duration: end,
+        solved: recording.solvedAt !== null,
+        phases
+    };
+}
+
+/**
+ * @returns {function(string): ({key: string, solutionDist: number}|null)} analyzeRecording's
+ *     lookup into the viewer graph.
+ */
+function getRecordingLookup() {
+    return representation => {
+        const node = findNodeByRepresentation(representation);
+        return node ? { key: node.key, solutionDist: node.moveCount } : null;
+    };
+}
+
+/**
+ * Shows how the game is going, and the full report once the puzzle is solved.
+ */
+function renderRecordingReport() {
+    const container = document.getElementById('recordingReport');
+    const recording = recordingState.recording;
+    container.replaceChildren();
+    if (!recording) return;
+
+    const report = analyzeRecording(recording, getRecordingLookup(), Date.now() - recording.startedAt);
+    const list = document.createElement('ul');
+    list.className = 'recording-report';
+    const add = (label, value) => {
+        const item = document.createElement('li');
+        const name = document.createElement('strong');
+        name.textContent = `${label}: `;
+        item.append(name, value);
+        list.appendChild(item);
+    };
+
+    if (!report.solved) {
+        add('Recording', `${report.moves} ${report.moves === 1 ? 'move' : 'moves'} so far`);
+        container.appendChild(list);
+        return;
+    }
+    const heading = document.createElement('h4');
+    heading.textContent = 'Solved';
+    add('Moves', report.optimal === null ? `${report.moves}` : `${report.moves} (optimal ${report.optimal}, ${report.moves - report.optimal} extra)`);
+    if (report.jumps > 0) add('Jumps through the graph', `${report.jumps}`);
+    add('Detours (moves away from a solution)', `${report.detours}`);
+    add('Revisits', `${report.revisits} (${report.states} different positions)`);
+    add('Time', formatDuration(report.duration));
+    for (const phase of report.phases) {
+        if (phase.time > 0 || phase.moves > 0) add(phase.name, `${formatDuration(phase.time)}, ${phase.moves} moves`);
+    }
+    container.append(heading, list);
+}
+
+/**
+ * @param {number} ms A duration in milliseconds.
+ * @returns {string} The duration as minutes and seconds, e.g. "2:05".
+ */
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// --- Export ---
+
+/**
+ * Saves the recording as a JSON file: the puzzle, every step with the node it reached and
+ * that node's distance to a solution, and the report.
+ */
+function exportRecording() {
+    const recording = recordingState.recording;
+    if (!recording) return;
+    const lookup = getRecordingLookup();
+    const data = {
+        format: RECORDING_FORMAT,
+        version: RECORDING_VERSION,
+        puzzle: recording.puzzle,
+        metric: recording.metric,
+        startedAt: new Date(recording.startedAt).toISOString(),
+        steps: recording.steps.map(step => {
+            const node = lookup(step.representation);
+            return {
+                time: step.time,
+                representation: step.representation,
+                move: step.move,
+                node: node ? node.key : null,
+                solutionDist: node && Number.isFinite(node.solutionDist) ? node.solutionDist : null
+            };
+        }),
+        report: analyzeRecording(recording, lookup, Date.now() - recording.startedAt)
+    };
+
+    downloadFile(`klotski-recording-${data.startedAt.replace(/[:.]/g, '-')}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+// --- Route Drawing ---
+
+/**
+ * Draws the recorded moves as a magenta line through the 2D viewer.
+ * @param {Array<{x: number, y: number}|null>} projected The nodes on the canvas.
+ */
+function drawRoute(ctx, projected) {
+    if (!viewer.settings.showRoute || viewer.route.length === 0) return;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255,110,220,0.8)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i < viewer.route.length; i += 2) {
+        const from = projected[viewer.route[i]];
+        const to = projected[viewer.route[i + 1]];
+        if (!from || !to) continue;
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+    }
+    ctx.stroke();
+    ctx.restore();
+}
+
+// --- Module ---
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { analyzeRecording, formatDuration };
+}
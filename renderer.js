@@ -0,0 +1,482 @@
+// Klotski Solution Space Renderer
+// Draws the viewer graph with WebGL: nodes as instanced point sprites, edges as indexed
+// line batches (one for the edges the filters show, one for the rest) and the optimal
+// path, the trail and the recorded route as thick segments. Labels go on a
+// 2D overlay canvas. Without WebGL the viewer keeps drawing with draw3DViewer.
+
+// --- Shaders ---
+
+// Camera distances beyond this are clipped.
+const RENDERER_DEPTH_RANGE = 100;
+
+// Mirrors project3D in new.js, so picking and the 2D fallback see nodes in the same place.
+// Points behind the camera come out beyond the far plane with `visible` set to 0.
+const GRAPH_PROJECTION_GLSL = `
+uniform vec4 uCamera; // The point the camera orbits (xyz) and its distance from it (w)
+uniform vec2 uRotation;
+uniform vec2 uViewport;
+
+vec4 projectPoint(vec3 point, out float visible) {
+    float x = point.x - uCamera.x;
+    float y = point.y - uCamera.y;
+    float z = point.z - uCamera.z;
+    float cosY = cos(uRotation.y), sinY = sin(uRotation.y);
+    float tempX = x * cosY - z * sinY;
+    z = x * sinY + z * cosY;
+    x = tempX;
+    float cosX = cos(uRotation.x), sinX = sin(uRotation.x);
+    float tempY = y * cosX - z * sinX;
+    z = y * sinX + z * cosX;
+    y = tempY;
+    z += uCamera.w;
+
+    visible = z > 0.0 ? 1.0 : 0.0;
+    if (z <= 0.0) return vec4(0.0, 0.0, 2.0, 1.0);
+    float scale = 400.0 / z;
+    float depth = clamp(z / ${RENDERER_DEPTH_RANGE.toFixed(1)}, 0.0, 1.0) * 2.0 - 1.0;
+    return vec4(x * scale * 2.0 / uViewport.x, y * scale * 2.0 / uViewport.y, depth, 1.0);
+}
+`;
+
+const NODE_VERTEX_SHADER = GRAPH_PROJECTION_GLSL + `
+attribute vec2 aCorner;
+attribute vec3 aPosition;
+attribute vec3 aFill;
+attribute vec4 aStroke;
+attribute vec2 aShape; // Radius and line width, in pixels
+
+varying vec2 vOffset;
+varying vec3 vFill;
+varying vec4 vStroke;
+varying vec2 vShape;
+
+void main() {
+    float visible;
+    vec4 center = projectPoint(aPosition, visible);
+    vOffset = aCorner * (aShape.x + aShape.y * 0.5 + 1.0);
+    vFill = aFill;
+    vStroke = aStroke;
+    vShape = aShape;
+    gl_Position = center + vec4(vOffset * 2.0 / uViewport, 0.0, 0.0);
+}
+`;
+
+const NODE_FRAGMENT_SHADER = `
+precision mediump float;
+
+varying vec2 vOffset;
+varying vec3 vFill;
+varying vec4 vStroke;
+varying vec2 vShape;
+
+void main() {
+    float radial = length(vOffset);
+    float outer = vShape.x + vShape.y * 0.5;
+    if (radial > outer + 0.5 || vShape.x == 0.0) discard; // No radius: collapsed by a filter
+
+    // The stroke is centred on the outline, like a Canvas 2D arc stroke
+    if (radial < vShape.x - vShape.y * 0.5) {
+        gl_FragColor = vec4(vFill, 1.0);
+    } else if (radial < vShape.x) {
+        gl_FragColor = vec4(mix(vFill, vStroke.rgb, vStroke.a), 1.0);
+    } else {
+        gl_FragColor = vec4(vStroke.rgb, vStroke.a * clamp(outer + 0.5 - radial, 0.0, 1.0));
+    }
+}
+`;
+
+const LINE_VERTEX_SHADER = GRAPH_PROJECTION_GLSL + `
+attribute vec3 aPosition;
+varying float vVisible;
+
+void main() {
+    gl_Position = projectPoint(aPosition, vVisible);
+}
+`;
+
+const LINE_FRAGMENT_SHADER = `
+precision mediump float;
+uniform vec4 uColor;
+varying float vVisible;
+
+void main() {
+    // Edges with an end behind the camera are skipped, as in the 2D renderer
+    if (vVisible < 0.999) discard;
+    gl_FragColor = uColor;
+}
+`;
+
+const SEGMENT_VERTEX_SHADER = GRAPH_PROJECTION_GLSL + `
+attribute vec2 aCorner; // Along the segment (0 to 1) and across it (-1 to 1)
+attribute vec3 aFrom;
+attribute vec3 aTo;
+uniform float uWidth;
+
+void main() {
+    float visibleFrom, visibleTo;
+    vec4 from = projectPoint(aFrom, visibleFrom);
+    vec4 to = projectPoint(aTo, visibleTo);
+    vec2 start = from.xy * uViewport * 0.5;
+    vec2 end = to.xy * uViewport * 0.5;
+    vec2 direction = end - start;
+    float span = length(direction);
+    direction = span > 0.0 ? direction / span : vec2(1.0, 0.0);
+    vec2 point = mix(start, end, aCorner.x) + vec2(-direction.y, direction.x) * aCorner.y * uWidth * 0.5;
+    gl_Position = visibleFrom * visibleTo > 0.0
+        ? vec4(point * 2.0 / uViewport, mix(from.z, to.z, aCorner.x), 1.0)
+        : vec4(0.0, 0.0, 2.0, 1.0);
+}
+`;
+
+const SEGMENT_FRAGMENT_SHADER = `
+precision mediump float;
+uniform vec4 uColor;
+
+void main() {
+    gl_FragColor = uColor;
+}
+`;
+
+// --- Setup ---
+
+/**
+ * Creates a WebGL renderer on a canvas.
+ * WebGL 2 is preferred; WebGL 1 works with instanced arrays and 32-bit indices.
+ * @param {HTMLCanvasElement} canvas The viewer canvas.
+ * @returns {Object|null} The renderer, or null if WebGL is unavailable. The canvas may
+ *     hold a WebGL context even when null is returned, so fall back on a fresh canvas.
+ */
+function createGraphRenderer(canvas) {
+    const options = { alpha: false, antialias: true };
+    let gl = canvas.getContext('webgl2', options);
+    let name = 'WebGL 2';
+    let instancing;
+    if (gl) {
+        instancing = {
+            divisor: (location, divisor) => gl.vertexAttribDivisor(location, divisor),
+            drawArrays: (mode, count, instances) => gl.drawArraysInstanced(mode, 0, count, instances)
+        };
+    } else {
+        gl = canvas.getContext('webgl', options);
+        name = 'WebGL';
+        const extension = gl && gl.getExtension('ANGLE_instanced_arrays');
+        if (!extension || !gl.getExtension('OES_element_index_uint')) return null;
+        instancing = {
+            divisor: (location, divisor) => extension.vertexAttribDivisorANGLE(location, divisor),
+            drawArrays: (mode, count, instances) => extension.drawArraysInstancedANGLE(mode, 0, count, instances)
+        };
+    }
+
+    const uniforms = ['uCamera', 'uRotation', 'uViewport'];
+    const programs = {
+        nodes: createShaderProgram(gl, NODE_VERTEX_SHADER, NODE_FRAGMENT_SHADER,
+            ['aCorner', 'aPosition', 'aFill', 'aStroke', 'aShape'], uniforms),
+        lines: createShaderProgram(gl, LINE_VERTEX_SHADER, LINE_FRAGMENT_SHADER,
+            ['aPosition'], [...uniforms, 'uColor']),
+        segments: createShaderProgram(gl, SEGMENT_VERTEX_SHADER, SEGMENT_FRAGMENT_SHADER,
+            ['aCorner', 'aFrom', 'aTo'], [...uniforms, 'uColor', 'uWidth'])
+    };
+    if (!programs.nodes || !programs.lines || !programs.segments) return null;
+
+    const buffers = {};
+    for (const key of ['nodeCorners', 'segmentCorners', 'positions', 'edgeIndices', 'dimEdgeIndices', 'fill', 'stroke', 'shape', 'pathSegments', 'trailSegments', 'routeSegments']) {
+        buffers[key] = gl.createBuffer();
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.nodeCorners);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.segmentCorners);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, -1, 0, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+
+    return {
+        name,
+        gl,
+        instancing,
+        programs,
+        buffers,
+        enabledAttributes: [],
+        // What the buffers were last filled from
+        graph: null,
+        layout: undefined,
+        layoutIteration: -1,
+        style: null,
+        filterVersion: -1,
+        trail: null,
+        route: null,
+        edgeIndexCount: 0,
+        dimEdgeIndexCount: 0,
+        pathSegmentCount: 0,
+        trailSegmentCount: 0,
+        routeSegmentCount: 0,
+        solutionIndices: []
+    };
+}
+
+function createShaderProgram(gl, vertexSource, fragmentSource, attributeNames, uniformNames) {
+    const program = gl.createProgram();
+    for (const [type, source] of [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            console.warn('WebGL shader failed to compile:', gl.getShaderInfoLog(shader));
+            return null;
+        }
+        gl.attachShader(program, shader);
+    }
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        console.warn('WebGL program failed to link:', gl.getProgramInfoLog(program));
+        return null;
+    }
+
+    const attributes = {};
+    for (const name of attributeNames) attributes[name] = gl.getAttribLocation(program, name);
+    const uniforms = {};
+    for (const name of uniformNames) uniforms[name] = gl.getUniformLocation(program, name);
+    return { program, attributes, uniforms };
+}
+
+// --- Buffers ---
+
+/**
+ * Brings the GPU buffers up to date with the viewer graph. Each part is only
+ * re-uploaded when what it depends on has changed since the last frame.
+ */
+function syncGraphBuffers(renderer) {
+    const gl = renderer.gl;
+    const graph = viewer.graph;
+
+    if (renderer.graph !== graph || renderer.filterVersion !== filterState.version) {
+        // Edges to nodes the filters hide go in their own batch, drawn faded or not at all
+        const indices = new Uint32Array(graph.edges.length * 2);
+        let shownEnd = 0;
+        let hiddenStart = indices.length;
+        for (const edge of graph.edges) {
+            if (isNodeShown(edge.from) && isNodeShown(edge.to)) {
+                indices[shownEnd++] = edge.from;
+                indices[shownEnd++] = edge.to;
+            } else {
+                indices[--hiddenStart] = edge.to;
+                indices[--hiddenStart] = edge.from;
+            }
+        }
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, renderer.buffers.edgeIndices);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices.subarray(0, shownEnd), gl.STATIC_DRAW);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, renderer.buffers.dimEdgeIndices);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices.subarray(hiddenStart), gl.STATIC_DRAW);
+        renderer.edgeIndexCount = shownEnd;
+        renderer.dimEdgeIndexCount = indices.length - hiddenStart;
+        renderer.filterVersion = filterState.version;
+    }
+    if (renderer.graph !== graph) {
+        renderer.graph = graph;
+        renderer.solutionIndices = graph.nodes.filter(node => node.isSolution).map(node => node.index);
+        renderer.layout = undefined;
+        renderer.style = null;
+    }
+
+    // Positions only move while a layout runs
+    const layoutIteration = viewer.layout ? viewer.layout.iteration : -1;
+    const positionsChanged = renderer.layout !== viewer.layout || renderer.layoutIteration !== layoutIteration;
+    if (positionsChanged) {
+        renderer.layout = viewer.layout;
+        renderer.layoutIteration = layoutIteration;
+        gl.bindBuffer(gl.ARRAY_BUFFER, renderer.buffers.positions);
+        gl.bufferData(gl.ARRAY_BUFFER, graph.positions, gl.DYNAMIC_DRAW);
+    }
+
+    const style = {
+        colorMode: viewer.settings.colorMode,
+        showPath: viewer.settings.showPath,
+        currentIndex: viewer.currentIndex,
+        optimalPath: viewer.optimalPath,
+        filterVersion: filterState.version
+    };
+    const styleChanged = !renderer.style || Object.keys(style).some(key => renderer.style[key] !== style[key]);
+    if (styleChanged) {
+        renderer.style = style;
+        uploadNodeStyles(renderer);
+    }
+
+    if (positionsChanged || styleChanged) {
+        // Edges with both ends on the optimal path, as the 2D renderer highlights them
+        const pairs = [];
+        for (const index of viewer.optimalPath) {
+            for (const neighbor of getNeighborIndices(graph, index)) {
+                if (viewer.nodes[neighbor].isOptimal) pairs.push(index, neighbor);
+            }
+        }
+        renderer.pathSegmentCount = uploadSegments(renderer, renderer.buffers.pathSegments, pairs);
+    }
+    if (positionsChanged || renderer.trail !== viewer.trail) {
+        renderer.trail = viewer.trail;
+        const pairs = [];
+        for (let i = 1; i < viewer.trail.length; i++) pairs.push(viewer.trail[i - 1], viewer.trail[i]);
+        renderer.trailSegmentCount = uploadSegments(renderer, renderer.buffers.trailSegments, pairs);
+    }
+    if (positionsChanged || renderer.route !== viewer.route) {
+        renderer.route = viewer.route;
+        renderer.routeSegmentCount = uploadSegments(renderer, renderer.buffers.routeSegments, viewer.route);
+    }
+}
+
+function uploadNodeStyles(renderer) {
+    const gl = renderer.gl;
+    const n = viewer.nodes.length;
+    const fill = new Float32Array(n * 3);
+    const stroke = new Float32Array(n * 4);
+    const shape = new Float32Array(n * 2);
+    viewer.nodes.forEach((node, i) => {
+        const style = getNodeStyle(node);
+        for (let c = 0; c < 3; c++) {
+            fill[i * 3 + c] = style.fill[c] / 255;
+            stroke[i * 4 + c] = style.stroke[c] / 255;
+        }
+        stroke[i * 4 + 3] = style.stroke[3];
+        shape[i * 2] = style.radius;
+        shape[i * 2 + 1] = style.lineWidth;
+    });
+    for (const [key, data] of [['fill', fill], ['stroke', stroke], ['shape', shape]]) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, renderer.buffers[key]);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_DRAW);
+    }
+}
+
+/**
+ * Fills a segment buffer with the end points of node pairs.
+ * @param {number[]} pairs Node indices, two per segment.
+ * @returns {number} The number of segments.
+ */
+function uploadSegments(renderer, buffer, pairs) {
+    const positions = viewer.graph.positions;
+    const data = new Float32Array(pairs.length * 3);
+    pairs.forEach((index, i) => data.set(positions.subarray(index * 3, index * 3 + 3), i * 3));
+    renderer.gl.bindBuffer(renderer.gl.ARRAY_BUFFER, buffer);
+    renderer.gl.bufferData(renderer.gl.ARRAY_BUFFER, data, renderer.gl.DYNAMIC_DRAW);
+    return pairs.length / 2;
+}
+
+// --- Drawing ---
+
+/**
+ * Draws the viewer graph. Called every frame in place of draw3DViewer.
+ */
+function drawGraphWebGL(renderer) {
+    const gl = renderer.gl;
+    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+    gl.clearColor(0, 0, 0, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    if (!viewer.graph || viewer.nodes.length === 0) {
+        drawGraphLabels(renderer);
+        return;
+    }
+    syncGraphBuffers(renderer);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
+    // Edges and highlights stay behind every node, as in the 2D renderer
+    gl.disable(gl.DEPTH_TEST);
+    const lines = useGraphProgram(renderer, renderer.programs.lines);
+    bindAttribute(renderer, lines.attributes.aPosition, renderer.buffers.positions, 3, 0);
+    if (renderer.dimEdgeIndexCount > 0 && viewer.settings.filterHidden === 'dim') {
+        gl.uniform4f(lines.uniforms.uColor, 1, 1, 1, 0.2 * FILTER_DIM_FACTOR);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, renderer.buffers.dimEdgeIndices);
+        gl.drawElements(gl.LINES, renderer.dimEdgeIndexCount, gl.UNSIGNED_INT, 0);
+    }
+    gl.uniform4f(lines.uniforms.uColor, 1, 1, 1, 0.2);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, renderer.buffers.edgeIndices);
+    gl.drawElements(gl.LINES, renderer.edgeIndexCount, gl.UNSIGNED_INT, 0);
+    unbindAttributes(renderer);
+
+    if (viewer.settings.showPath) {
+        drawSegments(renderer, renderer.buffers.pathSegments, renderer.pathSegmentCount, [1, 1, 0, 0.8], 3);
+    }
+    drawSegments(renderer, renderer.buffers.trailSegments, renderer.trailSegmentCount, [0, 220 / 255, 1, 0.85], 2.5);
+    if (viewer.settings.showRoute) {
+        drawSegments(renderer, renderer.buffers.routeSegments, renderer.routeSegmentCount, [1, 110 / 255, 220 / 255, 0.8], 2);
+    }
+
+    gl.enable(gl.DEPTH_TEST);
+    gl.depthFunc(gl.LEQUAL);
+    const nodes = useGraphProgram(renderer, renderer.programs.nodes);
+    bindAttribute(renderer, nodes.attributes.aCorner, renderer.buffers.nodeCorners, 2, 0);
+    bindAttribute(renderer, nodes.attributes.aPosition, renderer.buffers.positions, 3, 1);
+    bindAttribute(renderer, nodes.attributes.aFill, renderer.buffers.fill, 3, 1);
+    bindAttribute(renderer, nodes.attributes.aStroke, renderer.buffers.stroke, 4, 1);
+    bindAttribute(renderer, nodes.attributes.aShape, renderer.buffers.shape, 2, 1);
+    renderer.instancing.drawArrays(gl.TRIANGLE_STRIP, 4, viewer.nodes.length);
+    unbindAttributes(renderer);
+
+    drawGraphLabels(renderer);
+}
+
+function drawSegments(renderer, buffer, count, color, width) {
+    if (count === 0) return;
+    const gl = renderer.gl;
+    const segments = useGraphProgram(renderer, renderer.programs.segments);
+    gl.uniform4f(segments.uniforms.uColor, ...color);
+    gl.uniform1f(segments.uniforms.uWidth, width);
+    bindAttribute(renderer, segments.attributes.aCorner, renderer.buffers.segmentCorners, 2, 0);
+    bindAttribute(renderer, segments.attributes.aFrom, buffer, 3, 1, 24, 0);
+    bindAttribute(renderer, segments.attributes.aTo, buffer, 3, 1, 24, 12);
+    renderer.instancing.drawArrays(gl.TRIANGLE_STRIP, 4, count);
+    unbindAttributes(renderer);
+}
+
+/**
+ * Activates a program and sets the camera uniforms every program shares.
+ */
+function useGraphProgram(renderer, program) {
+    const gl = renderer.gl;
+    gl.useProgram(program.program);
+    gl.uniform4f(program.uniforms.uCamera, viewer.camera.x, viewer.camera.y, viewer.camera.targetZ, viewer.camera.z);
+    gl.uniform2f(program.uniforms.uRotation, viewer.camera.rotX, viewer.camera.rotY);
+    gl.uniform2f(program.uniforms.uViewport, gl.canvas.width, gl.canvas.height);
+    return program;
+}
+
+function bindAttribute(renderer, location, buffer, size, divisor, stride = 0, offset = 0) {
+    const gl = renderer.gl;
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.enableVertexAttribArray(location);
+    gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset);
+    renderer.instancing.divisor(location, divisor);
+    renderer.enabledAttributes.push(location);
+}
+
+function unbindAttributes(renderer) {
+    for (const location of renderer.enabledAttributes) {
+        renderer.instancing.divisor(location, 0);
+        renderer.gl.disableVertexAttribArray(location);
+    }
+    renderer.enabledAttributes = [];
+}
+
+/**
+ * Writes the YOU and WIN labels, the filter clusters (filter.js), the hover highlight
+ * (preview.js) and the color legend (colors.js) on the overlay canvas. Only these are
+ * projected on the CPU.
+ */
+function drawGraphLabels(renderer) {
+    const ctx = viewer.overlayCtx;
+    if (!ctx) return;
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    if (!viewer.graph || renderer.graph !== viewer.graph) return;
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const label = (node, text) => {
+        const p = project3D(node, viewer.canvas);
+        if (p) ctx.fillText(text, p.x, p.y - getNodeStyle(node).radius - 15);
+    };
+    for (const index of renderer.solutionIndices) {
+        if (index !== viewer.currentIndex && isNodeShown(index)) label(viewer.nodes[index], 'WIN');
+    }
+    if (viewer.currentIndex !== -1) label(viewer.nodes[viewer.currentIndex], 'YOU');
+    drawFilterClusters(ctx);
+    drawPreviewHighlight(ctx);
+    drawColorLegend(ctx);
+}
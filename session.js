@@ -0,0 +1,265 @@
+// Klotski Session Persistence
+// Keeps the puzzle, the move history, the camera and the control-panel settings in
+// localStorage and in the URL hash, so a reload or a shared link opens at the same
+// position and view. The session is JSON, base64url-encoded after `#session=`.
+
+// --- Session Settings ---
+
+const SESSION_VERSION = 1;
+const SESSION_STORAGE_KEY = 'klotski-session';
+const SESSION_HASH_PREFIX = '#session=';
+
+// How often the game loop looks for changes to save, in milliseconds.
+const SESSION_SAVE_INTERVAL_MS = 500;
+
+const SESSION_CAMERA_FIELDS = ['x', 'y', 'targetZ', 'z', 'rotX', 'rotY'];
+
+// Camera fields added after sessions were first saved, with the value older sessions get.
+const SESSION_CAMERA_DEFAULTS = { targetZ: 0 };
+
+// Viewer settings that are saved, with the control-panel select that shows each one
+// and how setting values map to option values. Sessions saved before a setting existed
+// leave it as it is.
+const SESSION_SETTINGS = {
+    colorMode: { control: 'colorMode', read: value => parseInt(value), write: setting => String(setting) },
+    showSolutions: { control: 'solutionsMode', read: value => value === '1', write: setting => setting ? '1' : '0' },
+    showPath: { control: 'pathMode', read: value => value === '1', write: setting => setting ? '1' : '0' },
+    mergeEquivalent: { control: 'graphMode', read: value => value === '1', write: setting => setting ? '1' : '0' },
+    layoutAlgorithm: { control: 'layoutMode', read: value => value, write: setting => setting },
+    moveMetric: { control: 'metricMode', read: value => value, write: setting => setting },
+    followCurrent: { control: 'cameraMode', read: value => value === '1', write: setting => setting ? '1' : '0' },
+    showRoute: { control: 'routeMode', read: value => value === '1', write: setting => setting ? '1' : '0' }
+};
+
+let sessionState = {
+    lastSaved: null, // Encoded session written last, to skip unchanged saves
+    lastSaveTime: 0
+};
+
+// --- Saving ---
+
+function setupSession() {
+    window.addEventListener('hashchange', handleHashChange);
+    window.addEventListener('pagehide', () => saveSession(true));
+    document.getElementById('copyLinkBtn').addEventListener('click', copySessionLink);
+}
+
+/**
+ * Collects everything a session restores.
+ * @returns {Object} The session, ready for encodeSession.
+ */
+function captureSession() {
+    const camera = {};
+    SESSION_CAMERA_FIELDS.forEach(field => camera[field] = viewer.camera[field]);
+    const settings = {};
+    Object.keys(SESSION_SETTINGS).forEach(key => settings[key] = viewer.settings[key]);
+    return {
+        version: SESSION_VERSION,
+        puzzle: gameState.puzzle,
+        history: gameState.history.map(entry => [entry.representation, entry.moveCount]),
+        historyIndex: gameState.historyIndex,
+        camera,
+        settings
+    };
+}
+
+/**
+ * Writes the session to localStorage and the URL hash if it changed. Called from the
+ * game loop; unless forced, it only looks every SESSION_SAVE_INTERVAL_MS.
+ * @param {boolean} [force] Save now regardless of the interval.
+ */
+function saveSession(force = false) {
+    const now = performance.now();
+    if (!force && now - sessionState.lastSaveTime < SESSION_SAVE_INTERVAL_MS) return;
+    sessionState.lastSaveTime = now;
+    if (!gameState.puzzle) return;
+
+    const encoded = encodeSession(captureSession());
+    if (encoded === sessionState.lastSaved) return;
+    sessionState.lastSaved = encoded;
+    try {
+        localStorage.setItem(SESSION_STORAGE_KEY, encoded);
+    } catch (err) {
+        // Storage is full or disabled; the link in the address bar still works
+    }
+    // replaceState keeps the back button usable and does not fire hashchange
+    window.history.replaceState(null, '', SESSION_HASH_PREFIX + encoded);
+}
+
+function copySessionLink() {
+    saveSession(true);
+    navigator.clipboard.writeText(window.location.href)
+        .then(() => setStatusMessage('Session link copied.'))
+        .catch(() => setStatusMessage('Could not copy; the link in the address bar opens this session.'));
+}
+
+function encodeSession(session) {
+    const bytes = new TextEncoder().encode(JSON.stringify(session));
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// --- Restoring ---
+
+/**
+ * Decodes and validates an encoded session.
+ * @param {string} encoded The base64url text after the hash prefix, or from localStorage.
+ * @returns {{session: Object|null, error: string|null}} The session, or the reason it was rejected.
+ */
+function decodeSession(encoded) {
+    let session;
+    try {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        session = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+    } catch (err) {
+        return { session: null, error: 'the session data is corrupted' };
+    }
+    const error = validateSession(session);
+    return error ? { session: null, error } : { session, error: null };
+}
+
+/**
+ * Checks a decoded session before anything is changed.
+ * @param {*} session The decoded session.
+ * @returns {string|null} A description of the problem, or null if the session can be restored.
+ */
+function validateSession(session) {
+    if (!session || typeof session !== 'object') {
+        return 'the session data is corrupted';
+    }
+    if (session.version !== SESSION_VERSION) {
+        return 'it was saved by a different version';
+    }
+    const puzzleError = validatePuzzleDefinition(session.puzzle);
+    if (puzzleError) {
+        return `the puzzle is invalid: ${puzzleError.replace(/\.$/, '')}`;
+    }
+
+    const { width, height, start } = session.puzzle;
+    const pieces = getPieceSignature(start, width, height);
+    if (!Array.isArray(session.history) || session.history.length === 0) {
+        return 'the move history is missing';
+    }
+    for (const entry of session.history) {
+        if (!Array.isArray(entry) || validateRepresentation(entry[0], width, height) ||
+            getPieceSignature(entry[0], width, height) !== pieces ||
+            !Number.isInteger(entry[1]) || entry[1] < 0) {
+            return 'the move history does not fit the puzzle';
+        }
+    }
+    if (!Number.isInteger(session.historyIndex) || session.historyIndex < 0 || session.historyIndex >= session.history.length) {
+        return 'the history position is out of range';
+    }
+
+    if (!session.camera || SESSION_CAMERA_FIELDS.some(field => !Number.isFinite(session.camera[field] ?? SESSION_CAMERA_DEFAULTS[field]))) {
+        return 'the camera is invalid';
+    }
+    if (!session.settings || typeof session.settings !== 'object') {
+        return 'the settings are missing';
+    }
+    for (const [key, setting] of Object.entries(SESSION_SETTINGS)) {
+        const value = session.settings[key];
+        if (value === undefined) continue;
+        const options = [...document.getElementById(setting.control).options].map(option => option.value);
+        if (!options.includes(setting.write(value)) || setting.read(setting.write(value)) !== value) {
+            return `the setting "${key}" is invalid`;
+        }
+    }
+    return null;
+}
+
+// Lists the pieces and their sizes, so positions of the same puzzle compare equal.
+function getPieceSignature(representation, width, height) {
+    return parseRepresentation(representation, width, height)
+        .map(piece => `${piece.id}${piece.width}x${piece.height}`)
+        .sort()
+        .join(',');
+}
+
+/**
+ * Restores the session from the URL hash or, without a hash, from localStorage.
+ * Called once at startup.
+ * @returns {boolean} True if a session was restored; otherwise the caller loads the classic start.
+ */
+function restoreSession() {
+    if (window.location.hash) {
+        return restoreSessionFromHash();
+    }
+
+    let session;
+    try {
+        const stored = localStorage.getItem(SESSION_STORAGE_KEY);
+        if (!stored) return false;
+        const decoded = decodeSession(stored);
+        if (decoded.error) {
+            localStorage.removeItem(SESSION_STORAGE_KEY);
+            return false;
+        }
+        session = decoded.session;
+    } catch (err) {
+        return false;
+    }
+    applySession(session);
+    return true;
+}
+
+function restoreSessionFromHash() {
+    const hash = window.location.hash;
+    const { session, error } = hash.startsWith(SESSION_HASH_PREFIX)
+        ? decodeSession(hash.slice(SESSION_HASH_PREFIX.length))
+        : { session: null, error: 'it is not a session link' };
+    if (error) {
+        setStatusMessage(`The link could not be opened because ${error}. Starting from the classic puzzle.`);
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        return false;
+    }
+    applySession(session);
+    return true;
+}
+
+/**
+ * Opens a session pasted into the address bar of an open page.
+ */
+function handleHashChange() {
+    if (window.location.hash === SESSION_HASH_PREFIX + sessionState.lastSaved) return;
+    if (!restoreSessionFromHash()) {
+        document.getElementById('puzzleSelect').value = 0;
+        loadPuzzle(normalizePuzzleDefinition(CLASSIC_PUZZLE));
+    }
+}
+
+/**
+ * Puts a validated session on the board, in the viewer and in the control panel.
+ * @param {Object} session A session that passed validateSession.
+ */
+function applySession(session) {
+    if (editorState.active) exitEditMode();
+    for (const [key, setting] of Object.entries(SESSION_SETTINGS)) {
+        if (session.settings[key] === undefined) continue;
+        viewer.settings[key] = session.settings[key];
+        document.getElementById(setting.control).value = setting.write(session.settings[key]);
+    }
+    SESSION_CAMERA_FIELDS.forEach(field => viewer.camera[field] = session.camera[field] ?? SESSION_CAMERA_DEFAULTS[field]);
+
+    const puzzle = normalizePuzzleDefinition(session.puzzle);
+    const libraryIndex = PUZZLE_LIBRARY.findIndex(definition =>
+        JSON.stringify(normalizePuzzleDefinition(definition)) === JSON.stringify(puzzle));
+    if (libraryIndex !== -1) document.getElementById('puzzleSelect').value = libraryIndex;
+    loadPuzzle(puzzle);
+
+    gameState.history = session.history.map(([representation, moveCount], i) => ({
+        representation,
+        moveCount,
+        move: i > 0 ? getMoveNotation(session.history[i - 1][0], representation, puzzle.width, puzzle.height, viewer.settings.moveMetric) : null
+    }));
+    gameState.historyIndex = session.historyIndex;
+    const entry = gameState.history[gameState.historyIndex];
+    setGameStateFromString(entry.representation);
+    gameState.moveCount = entry.moveCount;
+    checkWinCondition();
+    updateCurrentGameState();
+    startRecording(); // Recordings are not saved; a new one starts at the restored position
+    updateHistoryControls();
+    updateDisplay();
+}
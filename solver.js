@@ -0,0 +1,620 @@
+// Klotski Heuristic Solver
+// Finds a solution from any board position, without the state space: an A* search over
+// shape keys (see engine.js), guided by an estimate that never overstates the moves
+// left: how far the goal pieces are from their goal placements, and how many pieces
+// stand on those placements. When the solved positions can be listed within the state
+// limit, a second search runs backward from all of them and the two meet in the middle.
+// With a weight above 1 the search trades length for speed: the solution it finds is at
+// most that many times as long as the shortest. Searches stop at a state limit and a time
+// limit. The page runs one for a board position that is not in the viewer graph, a slice
+// each frame; its solution feeds the optimal path and auto-solve.
+
+// --- Solver Settings ---
+
+// Time each frame may spend on the search, in milliseconds.
+const SOLVER_FRAME_BUDGET_MS = 10;
+
+// Default limits: states kept by the search, and time spent searching in milliseconds.
+const SOLVER_MAX_STATES = 200000;
+const SOLVER_TIME_LIMIT_MS = 10000;
+
+// Share of the state limit that listing the solved positions may take; with more of them
+// than that, the search only runs forward.
+const SOLVER_SOLVED_SHARE = 0.25;
+
+// Why a search ended without proving its solution, as the solver status says it.
+const SOLVER_STOP_REASONS = {
+    states: 'the state limit was reached',
+    time: 'the time limit ran out'
+};
+
+let solverState = {
+    settings: { weight: 1, maxStates: SOLVER_MAX_STATES, timeLimitMs: SOLVER_TIME_LIMIT_MS },
+    puzzle: null, // The puzzle and the move metric of the search and the result
+    metric: null,
+    representation: null, // The board position the search or the result is for
+    search: null, // The running search, or null
+    result: null // Its result, once there is one
+};
+
+// --- Heuristic ---
+
+/**
+ * Counts the moves that take a piece by an offset with nothing in its way.
+ * @param {number} dx Columns to go.
+ * @param {number} dy Rows to go.
+ * @param {string} metric One of the keys of MOVE_METRICS.
+ * @returns {number} The moves.
+ */
+function countOpenMoves(dx, dy, metric) {
+    if (metric === 'cell') return Math.abs(dx) + Math.abs(dy);
+    if (metric === 'piece') return dx !== 0 || dy !== 0 ? 1 : 0;
+    return (dx !== 0 ? 1 : 0) + (dy !== 0 ? 1 : 0);
+}
+
+/**
+ * Estimates the moves it takes to put every goal piece on one of its targets, never
+ * more than it really takes: the moves of each goal piece as if nothing were in its way,
+ * plus, for the goal piece worst off, the other pieces that stand on its nearest target,
+ * which all have to move at least once. A move changes the estimate by one at most, so
+ * the search never needs to come back to a position.
+ * @param {Object[]} pieces The pieces of the position.
+ * @param {Array<{piece: string, x: number, y: number}>} targets Where the goal pieces may
+ *     go, as in the puzzle's goal placements.
+ * @param {string[]} goalPieces The goal pieces.
+ * @param {string} metric One of the keys of MOVE_METRICS.
+ * @returns {number} The estimate.
+ */
+function estimateMovesLeft(pieces, targets, goalPieces, metric) {
+    let moves = 0;
+    let blockers = 0;
+    for (const id of goalPieces) {
+        const piece = pieces.find(p => p.id === id);
+        let fewestMoves = Infinity;
+        let fewestBlockers = Infinity;
+        for (const target of targets) {
+            if (target.piece !== id) continue;
+            fewestMoves = Math.min(fewestMoves, countOpenMoves(target.x - piece.x, target.y - piece.y, metric));
+            let count = 0;
+            for (const other of pieces) {
+                if (goalPieces.includes(other.id)) continue;
+                if (other.x < target.x + piece.width && target.x < other.x + other.width &&
+                    other.y < target.y + piece.height && target.y < other.y + other.height) count++;
+            }
+            fewestBlockers = Math.min(fewestBlockers, count);
+        }
+        moves += fewestMoves;
+        blockers = Math.max(blockers, fewestBlockers);
+    }
+    return moves + blockers;
+}
+
+/**
+ * Lists every solved position with the pieces of a position, one per shape key: the goal
+ * pieces on their goal placements and the other pieces anywhere, whether or not the
+ * position can be reached.
+ * @param {string} representation A position with the puzzle's pieces.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @param {number} limit The most positions to list.
+ * @returns {string[]|null} The positions, or null if there are more than `limit`.
+ */
+function listSolvedPositions(representation, puzzle, limit) {
+    const { width, height, goalPieces, goals } = puzzle;
+    const pieces = parseRepresentation(representation, width, height);
+    const cells = new Array(width * height).fill(null); // null until the cell is given a piece or left empty
+    let empty = cells.length - pieces.reduce((sum, piece) => sum + piece.width * piece.height, 0);
+    // Pieces of one shape are interchangeable, so they are placed by shape
+    const shapes = new Map();
+    for (const piece of pieces) {
+        if (goalPieces.includes(piece.id)) continue;
+        const shape = `${piece.width}x${piece.height}`;
+        if (!shapes.has(shape)) shapes.set(shape, { width: piece.width, height: piece.height, ids: [], used: 0 });
+        shapes.get(shape).ids.push(piece.id);
+    }
+
+    const fits = (x, y, w, h) => {
+        if (x + w > width || y + h > height) return false;
+        for (let j = y; j < y + h; j++) {
+            for (let i = x; i < x + w; i++) {
+                if (cells[j * width + i] !== null) return false;
+            }
+        }
+        return true;
+    };
+    const fill = (x, y, w, h, value) => {
+        for (let j = y; j < y + h; j++) {
+            for (let i = x; i < x + w; i++) cells[j * width + i] = value;
+        }
+    };
+
+    const positions = [];
+    // The first cell not yet decided is either empty or the top-left cell of a piece
+    const placeOthers = from => {
+        let cell = from;
+        while (cell < cells.length && cells[cell] !== null) cell++;
+        if (cell === cells.length) {
+            positions.push(cells.join(''));
+            return;
+        }
+        const x = cell % width;
+        const y = Math.floor(cell / width);
+        if (empty > 0) {
+            cells[cell] = '.';
+            empty--;
+            placeOthers(cell + 1);
+            empty++;
+            cells[cell] = null;
+        }
+        for (const shape of shapes.values()) {
+            if (positions.length > limit) return;
+            if (shape.used === shape.ids.length || !fits(x, y, shape.width, shape.height)) continue;
+            fill(x, y, shape.width, shape.height, shape.ids[shape.used++]);
+            placeOthers(cell + 1);
+            shape.used--;
+            fill(x, y, shape.width, shape.height, null);
+        }
+    };
+    const placeGoals = index => {
+        if (index === goalPieces.length) {
+            placeOthers(0);
+            return;
+        }
+        const piece = pieces.find(p => p.id === goalPieces[index]);
+        for (const goal of goals) {
+            if (positions.length > limit) return;
+            if (goal.piece !== piece.id || !fits(goal.x, goal.y, piece.width, piece.height)) continue;
+            fill(goal.x, goal.y, piece.width, piece.height, piece.id);
+            placeGoals(index + 1);
+            fill(goal.x, goal.y, piece.width, piece.height, null);
+        }
+    };
+    placeGoals(0);
+    return positions.length > limit ? null : positions;
+}
+
+// --- Search ---
+
+/**
+ * Prepares a search for a solution from a position, to be advanced with stepSolverSearch.
+ * @param {Object} puzzle The normalized puzzle definition.
+ * @param {Object} [options]
+ * @param {string} [options.start] The position to solve from; defaults to the puzzle's start.
+ * @param {string} [options.metric] What counts as one move; one of the keys of MOVE_METRICS.
+ * @param {number} [options.weight] How many times longer than the shortest the solution
+ *     may be; 1 finds a shortest one.
+ * @param {number} [options.maxStates] Give up once this many states are known.
+ * @param {number} [options.timeLimitMs] Give up after searching this long.
+ * @returns {Object} The search; `result` is set once it is over.
+ */
+function createSolverSearch(puzzle, options = {}) {
+    const start = options.start || puzzle.start;
+    const search = {
+        puzzle,
+        start,
+        metric: options.metric || DEFAULT_MOVE_METRIC,
+        weight: Math.max(1, options.weight || 1),
+        maxStates: options.maxStates || SOLVER_MAX_STATES,
+        timeLimitMs: options.timeLimitMs || SOLVER_TIME_LIMIT_MS,
+        spent: 0, // Time spent searching so far, in milliseconds
+        stateCount: 0,
+        forward: createSolverSide(puzzle.goals),
+        backward: null,
+        best: Infinity, // Length of the shortest path found between the two sides
+        meeting: null, // Shape key where that path crosses from one side to the other
+        result: null
+    };
+
+    // Backward, the search heads for the goal pieces' places on the board
+    const startPieces = parseRepresentation(start, puzzle.width, puzzle.height);
+    const solved = listSolvedPositions(start, puzzle, Math.floor(search.maxStates * SOLVER_SOLVED_SHARE));
+    if (solved) {
+        const targets = puzzle.goalPieces.map(id => {
+            const { x, y } = startPieces.find(piece => piece.id === id);
+            return { piece: id, x, y };
+        });
+        search.backward = createSolverSide(targets);
+        for (const representation of solved) {
+            const pieces = parseRepresentation(representation, puzzle.width, puzzle.height);
+            addSolverState(search, search.backward, representation, pieces, getShapeKey(representation, puzzle), 0, null);
+        }
+    }
+    addSolverState(search, search.forward, start, startPieces, getShapeKey(start, puzzle), 0, null);
+    return search;
+}
+
+/**
+ * One end of a search. For every state it knows, g is the moves from its end and h the
+ * estimate of the moves to the other end; open states are expanded in order of f, which
+ * is g plus h times the weight.
+ */
+function createSolverSide(targets) {
+    return {
+        targets, // Where h measures to
+        states: new Map(), // Shape key to { representation, g, h, parent, closed }
+        open: [] // Binary heap of { key, g, f, h }
+    };
+}
+
+/**
+ * Searches for up to the given amount of time.
+ * @param {Object} search A search created by createSolverSearch.
+ * @param {number} budgetMs How long to search, in milliseconds.
+ * @returns {boolean} True once the search is over and `search.result` is set.
+ */
+function stepSolverSearch(search, budgetMs) {
+    const start = performance.now();
+    for (let expanded = 1; !search.result; expanded++) {
+        advanceSolverSearch(search);
+        // Checking the clock after every state would cost more than the expansion
+        if (expanded % 64 !== 0) continue;
+        const elapsed = performance.now() - start;
+        if (search.spent + elapsed >= search.timeLimitMs) {
+            finishSolverSearch(search, 'time');
+        } else if (elapsed >= budgetMs) {
+            break;
+        }
+    }
+    search.spent += performance.now() - start;
+    if (search.result) search.result.time = search.spent;
+    return search.result !== null;
+}
+
+/**
+ * Expands one state, from the side with the fewer open states, or ends the search when
+ * neither side can lead to a shorter path than the best one found.
+ */
+function advanceSolverSearch(search) {
+    const { forward, backward } = search;
+    const forwardNext = peekOpenState(forward);
+    const backwardNext = backward && peekOpenState(backward);
+    if (!forwardNext || (backward && !backwardNext)) {
+        // One side has run out: every path between the two has been seen
+        finishSolverSearch(search, search.best === Infinity ? 'unsolvable' : null);
+        return;
+    }
+    // Every path yet to be found is at least as long as either side's next estimate (its
+    // weight times as long, when weighted)
+    if (search.best <= Math.max(forwardNext.f, backwardNext ? backwardNext.f : 0)) {
+        finishSolverSearch(search, null);
+        return;
+    }
+    expandSolverState(search, backward && backward.open.length < forward.open.length ? backward : forward);
+}
+
+function expandSolverState(search, side) {
+    const { puzzle, metric } = search;
+    const entry = popHeap(side.open);
+    const state = side.states.get(entry.key);
+    state.closed = true;
+    const board = { width: puzzle.width, height: puzzle.height, pieces: parseRepresentation(state.representation, puzzle.width, puzzle.height) };
+    for (const piece of board.pieces) {
+        for (const { x, y } of getPieceDestinations(board, piece, metric)) {
+            const next = moveInRepresentation(state.representation, puzzle.width, piece, x, y);
+            const key = getShapeKey(next, puzzle);
+            const known = side.states.get(key);
+            if (known) {
+                // Weighted searches keep the first way they found to a state they expanded
+                if (known.closed || known.g <= state.g + 1) continue;
+                known.representation = next;
+                known.g = state.g + 1;
+                known.parent = entry.key;
+                pushHeap(side.open, { key, g: known.g, f: known.g + search.weight * known.h, h: known.h });
+                checkSolverMeeting(search, side, key, known.g, null);
+            } else if (search.stateCount >= search.maxStates) {
+                finishSolverSearch(search, 'states');
+                return;
+            } else {
+                const pieces = board.pieces.map(p => p === piece ? { ...p, x, y } : p);
+                addSolverState(search, side, next, pieces, key, state.g + 1, entry.key);
+            }
+        }
+    }
+}
+
+function addSolverState(search, side, representation, pieces, key, g, parent) {
+    const { puzzle, metric, weight } = search;
+    const h = estimateMovesLeft(pieces, side.targets, puzzle.goalPieces, metric);
+    side.states.set(key, { representation, g, h, parent, closed: false });
+    search.stateCount++;
+    pushHeap(side.open, { key, g, f: g + weight * h, h });
+    checkSolverMeeting(search, side, key, g, pieces);
+}
+
+/**
+ * Keeps the shortest path through a state that both sides have reached. Searching
+ * forward only, solved states end the path.
+ */
+function checkSolverMeeting(search, side, key, g, pieces) {
+    let rest;
+    if (search.backward) {
+        const other = (side === search.forward ? search.backward : search.forward).states.get(key);
+        rest = other && other.g;
+    } else {
+        pieces = pieces || parseRepresentation(side.states.get(key).representation, search.puzzle.width, search.puzzle.height);
+        rest = isWinningLayout(pieces, search.puzzle) ? 0 : undefined;
+    }
+    if (rest !== undefined && g + rest < search.best) {
+        search.best = g + rest;
+        search.meeting = key;
+    }
+}
+
+/**
+ * Ends a search and works out its result.
+ * @param {Object} search The search.
+ * @param {string|null} reason Why the search stopped early ('states' or 'time'), that no
+ *     solution can be reached ('unsolvable'), or null when it is done. Set to 'path' when
+ *     the path it found cannot be followed with legal moves.
+ */
+function finishSolverSearch(search, reason) {
+    const path = search.meeting === null ? null : followShapeKeys(search.start, getSolverPathKeys(search), search.puzzle, search.metric);
+    // A path that cannot be played move by move is no solution
+    if (search.meeting !== null && !path) reason = 'path';
+    search.result = {
+        moves: path && path.moves,
+        positions: path && path.positions,
+        weight: search.weight,
+        proven: reason === null, // Whether the solution is at most `weight` times as long as the shortest
+        reason,
+        stateCount: search.stateCount,
+        bidirectional: search.backward !== null,
+        time: search.spent // Brought up to date when the last step ends
+    };
+}
+
+/**
+ * @returns {string[]} The shape keys along the best path, from the start to a solved state.
+ */
+function getSolverPathKeys(search) {
+    const keys = [];
+    for (let key = search.meeting; key !== null; key = search.forward.states.get(key).parent) {
+        keys.unshift(key);
+    }
+    if (search.backward) {
+        for (let key = search.backward.states.get(search.meeting).parent; key !== null; key = search.backward.states.get(key).parent) {
+            keys.push(key);
+        }
+    }
+    return keys;
+}
+
+/**
+ * Makes the moves that lead through a series of shape keys, from a position with the
+ * first of them. Pieces of the same shape keep their labels, whichever labels the search
+ * gave them.
+ * @returns {{moves: Array<{piece: string, legs: Object[]}>, positions: string[]}|null} The
+ *     moves and the position after each one, or null if no move leads to one of the keys.
+ */
+function followShapeKeys(start, keys, puzzle, metric) {
+    const moves = [];
+    const positions = [];
+    let representation = start;
+    for (const key of keys.slice(1)) {
+        const found = findShapeKeyMove(representation, key, puzzle, metric);
+        if (!found) return null;
+        const { move, next } = found;
+        moves.push(move);
+        positions.push(next);
+        representation = next;
+    }
+    return { moves, positions };
+}
+
+/**
+ * Finds the move from a position to a neighbor with a given shape key.
+ * @returns {{move: {piece: string, legs: Object[]}, next: string}|null} The move and the
+ *     position after it, or null if no move leads to the shape key.
+ */
+function findShapeKeyMove(representation, key, puzzle, metric) {
+    const board = { width: puzzle.width, height: puzzle.height, pieces: parseRepresentation(representation, puzzle.width, puzzle.height) };
+    for (const piece of board.pieces) {
+        for (const { x, y, legs } of getPieceDestinations(board, piece, metric)) {
+            const next = moveInRepresentation(representation, puzzle.width, piece, x, y);
+            if (getShapeKey(next, puzzle) === key) return { move: { piece: piece.id, legs }, next };
+        }
+    }
+    return null;
+}
+
+// --- Open States ---
+
+/**
+ * @returns {Object|undefined} The open state to expand next, skipping entries left behind
+ *     when a state was reached a shorter way.
+ */
+function peekOpenState(side) {
+    while (side.open.length > 0) {
+        const entry = side.open[0];
+        const state = side.states.get(entry.key);
+        if (!state.closed && state.g === entry.g) return entry;
+        popHeap(side.open);
+    }
+    return undefined;
+}
+
+// Lower estimates first; among equal ones, the state nearer its goal
+function isBefore(a, b) {
+    return a.f < b.f || (a.f === b.f && a.h < b.h);
+}
+
+function pushHeap(heap, entry) {
+    heap.push(entry);
+    for (let i = heap.length - 1; i > 0;) {
+        const parent = (i - 1) >> 1;
+        if (!isBefore(heap[i], heap[parent])) break;
+        [heap[i], heap[parent]] = [heap[parent], heap[i]];
+        i = parent;
+    }
+}
+
+function popHeap(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        for (let i = 0; ;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let first = i;
+            if (left < heap.length && isBefore(heap[left], heap[first])) first = left;
+            if (right < heap.length && isBefore(heap[right], heap[first])) first = right;
+            if (first === i) break;
+            [heap[i], heap[first]] = [heap[first], heap[i]];
+            i = first;
+        }
+    }
+    return top;
+}
+
+// --- Page ---
+
+function setupSolver() {
+    const settings = solverState.settings;
+    const changed = () => {
+        forgetBoardSolution();
+        updateOptimalPath();
+    };
+    document.getElementById('solverWeight').addEventListener('change', e => {
+        settings.weight = parseFloat(e.target.value);
+        changed();
+    });
+    document.getElementById('solverMaxStates').addEventListener('change', e => {
+        const value = parseInt(e.target.value);
+        settings.maxStates = Number.isInteger(value) && value > 0 ? value : SOLVER_MAX_STATES;
+        changed();
+    });
+    document.getElementById('solverTimeLimit').addEventListener('change', e => {
+        const value = parseFloat(e.target.value);
+        settings.timeLimitMs = value > 0 ? value * 1000 : SOLVER_TIME_LIMIT_MS;
+        changed();
+    });
+}
+
+/**
+ * Gives the solver's solution from a board position, starting a search for it if there
+ * is none. A position along the last solution takes the rest of it.
+ * @param {string} representation The board position.
+ * @returns {Object|null} The result of the search, or null while it runs.
+ */
+function getBoardSolution(representation) {
+    const metric = viewer.settings.moveMetric;
+    if (solverState.puzzle !== gameState.puzzle || solverState.metric !== metric) {
+        forgetBoardSolution();
+        solverState.puzzle = gameState.puzzle;
+        solverState.metric = metric;
+    }
+    if (solverState.representation === representation) return solverState.result;
+
+    const previous = solverState.result;
+    const along = previous && previous.positions ? previous.positions.indexOf(representation) : -1;
+    solverState.representation = representation;
+    if (along !== -1) {
+        solverState.search = null;
+        solverState.result = {
+            ...previous,
+            moves: previous.moves.slice(along + 1),
+            positions: previous.positions.slice(along + 1),
+            // The rest of a shortest solution is a shortest one, which a weighted one need not be
+            proven: previous.proven && previous.weight === 1
+        };
+        return solverState.result;
+    }
+    solverState.search = createSolverSearch(gameState.puzzle, {
+        start: representation,
+        metric,
+        ...solverState.settings
+    });
+    solverState.result = solverState.search.result;
+    return solverState.result;
+}
+
+/**
+ * Drops the search and its result, after a change to the puzzle or the settings.
+ */
+function forgetBoardSolution() {
+    solverState.representation = null;
+    solverState.search = null;
+    solverState.result = null;
+}
+
+/**
+ * Called from the game loop: starts a search when the path display needs one, and
+ * searches for a while, as long as the board is still on the position searched from.
+ */
+function advanceSolver() {
+    const representation = gameStateToString();
+    if (needsSolverPath()) {
+        getBoardSolution(representation);
+    } else if (solverState.search && solverState.representation !== representation) {
+        // Not wanted any more; the position is searched again if it comes back
+        solverState.search = null;
+        solverState.representation = null;
+    }
+    const search = solverState.search;
+    if (!search || !stepSolverSearch(search, SOLVER_FRAME_BUDGET_MS)) return;
+    solverState.search = null;
+    solverState.result = search.result;
+    updateOptimalPath();
+}
+
+/**
+ * @returns {boolean} Whether the optimal path has to come from the solver, as the board
+ *     position is not in the finished viewer graph.
+ */
+function needsSolverPath() {
+    return viewer.settings.showPath && !editorState.active && (viewer.currentIndex === -1 || isGraphPartial());
+}
+
+/**
+ * @returns {number[]} The nodes of the viewer graph along the solver's solution from the
+ *     board position; often none, as a position outside the graph seldom leads into it.
+ */
+function getSolverPathIndices() {
+    const representation = gameStateToString();
+    const result = solverState.representation === representation ? solverState.result : null;
+    if (!result || !result.positions) return [];
+    return [representation, ...result.positions]
+        .map(position => viewer.graph.indexByKey.get(getStateKey(position)))
+        .filter(index => index !== undefined);
+}
+
+/**
+ * @returns {boolean} Whether the solver is searching from the board position.
+ */
+function isSolverSearching() {
+    return solverState.search !== null && solverState.representation === gameStateToString();
+}
+
+/**
+ * Describes what the solver found from the board position, or how far it has got.
+ */
+function getSolverStatus() {
+    if (solverState.representation !== gameStateToString()) return '';
+    const search = solverState.search;
+    if (search) {
+        return `Searching for a solution: ${search.stateCount} states, ${(search.spent / 1000).toFixed(1)} s.`;
+    }
+    const result = solverState.result;
+    if (!result) return '';
+    const searched = `${result.stateCount} states searched${result.bidirectional ? ' from both ends' : ''} in ${(result.time / 1000).toFixed(1)} s`;
+    if (!result.moves) {
+        if (result.reason === 'unsolvable') return `No solution can be reached from this position (${searched}).`;
+        if (result.reason === 'path') return `The solver's path could not be followed with legal moves (${searched}).`;
+        return `No solution found before ${SOLVER_STOP_REASONS[result.reason]} (${searched}).`;
+    }
+    if (result.moves.length === 0) return 'The board is already solved.';
+    const length = !result.proven ? `not proven the shortest, as ${SOLVER_STOP_REASONS[result.reason]}`
+        : result.weight === 1 ? 'the shortest'
+        : `at most ${result.weight}× the shortest`;
+    return `Solver: ${result.moves.length} moves to solve (${length}), next ${formatMove(result.moves[0])}; ${searched}.`;
+}
+
+function updateSolverStatus() {
+    document.getElementById('solverStatusDisplay').textContent = getSolverStatus();
+}
+
+// --- Module ---
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { estimateMovesLeft, listSolvedPositions, createSolverSearch, stepSolverSearch, followShapeKeys, needsSolverPath, getSolverPathIndices };
+}
@@ -0,0 +1,73 @@
+// Unit tests for the graph analytics (analytics.js). Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPageScripts, buildGraph } = require('./helpers.js');
+
+loadPageScripts(['graph.js', 'analytics.js']);
+
+const labels = (graph, indices) => indices.map(index => graph.nodes[index].representation);
+
+test('findComponents labels every node and sizes every component', () => {
+    const graph = buildGraph([['a', 'b'], ['b', 'c'], ['d', 'e']]);
+    const { componentOf, sizes } = findComponents(graph);
+    assert.deepEqual(sizes, [3, 2]);
+    assert.deepEqual([...componentOf], [0, 0, 0, 1, 1]);
+});
+
+test('getHistogram bins values in increasing order with their first node', () => {
+    assert.deepEqual(getHistogram([2, 0, 2, Infinity, 1]), [
+        { value: 0, count: 1, node: 1 },
+        { value: 1, count: 1, node: 4 },
+        { value: 2, count: 2, node: 0 },
+        { value: Infinity, count: 1, node: 3 }
+    ]);
+});
+
+test('findBottlenecks finds the positions and moves on every path to a solution', () => {
+    // s reaches b around a small cycle; b leads to x and on to the solution y, or to the solution z
+    const graph = buildGraph(
+        [['s', 'a'], ['s', 'd'], ['a', 'b'], ['d', 'b'], ['b', 'x'], ['x', 'y'], ['b', 'z'], ['s', 'dead']],
+        { s: { dist: 0 }, y: { solution_dist: 0 }, z: { solution_dist: 0 } }
+    );
+    const bottlenecks = findBottlenecks(graph, graph.indexByKey.get('s'));
+    assert.equal(bottlenecks.solvable, true);
+    assert.deepEqual(labels(graph, bottlenecks.nodes), ['b']);
+    // b-x is a bridge, but z can be reached without it
+    assert.deepEqual(bottlenecks.edges, []);
+});
+
+test('findBottlenecks lists a chain in path order and ignores branches away from the solutions', () => {
+    const graph = buildGraph(
+        [['s', 'a'], ['a', 'b'], ['b', 'c'], ['a', 'side'], ['side', 'a2'], ['a2', 'a']],
+        { s: { dist: 0 }, c: { solution_dist: 0 } }
+    );
+    const bottlenecks = findBottlenecks(graph, graph.indexByKey.get('s'));
+    assert.deepEqual(labels(graph, bottlenecks.nodes), ['a', 'b']);
+    assert.deepEqual(bottlenecks.edges.map(({ from, to }) => labels(graph, [from, to]).join('-')), ['s-a', 'a-b', 'b-c']);
+});
+
+test('findBottlenecks reports when no solution can be reached', () => {
+    const graph = buildGraph([['s', 'a'], ['b', 'c']], { s: { dist: 0 }, c: { solution_dist: 0 } });
+    const bottlenecks = findBottlenecks(graph, graph.indexByKey.get('s'));
+    assert.equal(bottlenecks.solvable, false);
+    assert.deepEqual(bottlenecks.nodes, []);
+});
+
+test('the analysis finds the diameter a few searches at a time', () => {
+    // A path of five with a spur: the diameter runs from an end of the path to the spur
+    const graph = buildGraph(
+        [['p0', 'p1'], ['p1', 'p2'], ['p2', 'p3'], ['p3', 'p4'], ['p1', 'spur'], ['q0', 'q1']],
+        { p0: { dist: 0, solution_dist: 4 }, p4: { solution_dist: 0 } }
+    );
+    const analysis = createGraphAnalysis(graph);
+    assert.equal(analysis.components.length, 2);
+    assert.equal(analysis.startIndex, graph.indexByKey.get('p0'));
+    assert.equal(analysis.farthestDistance, 4);
+    assert.equal(analysis.done, false);
+
+    while (!stepGraphAnalysis(analysis, 1));
+    assert.equal(analysis.diameter.distance, 4);
+    assert.deepEqual(new Set(labels(graph, [analysis.diameter.from, analysis.diameter.to])), new Set(['p4', 'p0']));
+});
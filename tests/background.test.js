@@ -0,0 +1,206 @@
+// Unit tests for the background graph jobs (background.js) and the worker that runs them
+// (worker.js). Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPageScripts } = require('./helpers.js');
+
+loadPageScripts(['engine.js', 'explorer.js', 'graph.js', 'layout.js', 'background.js']);
+
+// The worker script talks to `self`; here its posts are collected by the worker that runs it
+globalThis.importScripts = () => {};
+globalThis.self = {};
+require('../worker.js');
+
+/**
+ * Stands in for the page's Worker: runs a job through worker.js at once and keeps what
+ * it posts, for the test to deliver one message at a time with `deliver`.
+ */
+class TestWorker {
+    constructor() {
+        this.posted = [];
+        this.terminated = false;
+        TestWorker.last = this;
+    }
+
+    postMessage(job) {
+        self.postMessage = message => this.posted.push(structuredClone(message));
+        self.onmessage({ data: structuredClone(job) });
+    }
+
+    deliver(count = this.posted.length) {
+        for (const message of this.posted.splice(0, count)) this.onmessage({ data: message });
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+// A small puzzle with a few dozen positions
+const puzzle = normalizePuzzleDefinition({ name: 'Small', width: 4, height: 3, start: 'aTTbaTTbc..d', goalPiece: 'T', goals: [{ x: 1, y: 1 }] });
+
+/**
+ * Runs a job straight through worker.js.
+ * @returns {Object[]} The messages it posted.
+ */
+function runWorkerJob(job) {
+    const worker = new TestWorker();
+    worker.postMessage({ puzzle, metric: DEFAULT_MOVE_METRIC, mergeEquivalent: false, algorithm: 'force', ...job });
+    return worker.posted;
+}
+
+/**
+ * Puts the parts of the page that background.js works with in place, with the graph
+ * loading of new.js.
+ * @returns {{statuses: string[]}} The status messages shown.
+ */
+function setupPage({ worker }) {
+    const page = { statuses: [] };
+    globalThis.gameState = { puzzle };
+    globalThis.viewer = { settings: { moveMetric: DEFAULT_MOVE_METRIC, mergeEquivalent: false, layoutAlgorithm: 'force' }, graph: null, nodes: [], edges: [], layout: null };
+    globalThis.loadStateGraph = states => {
+        viewer.graph = createStateGraph(states, representation => representation);
+        viewer.nodes = viewer.graph.nodes;
+        viewer.edges = viewer.graph.edges;
+        viewer.layout = null;
+    };
+    globalThis.setStatusMessage = message => page.statuses.push(message);
+    globalThis.updateDisplay = () => {};
+    globalThis.Worker = TestWorker;
+    backgroundState.worker = null;
+    backgroundState.job = null;
+    backgroundState.partialGraph = null;
+    backgroundState.truncatedGraph = null;
+    backgroundState.available = worker;
+    return page;
+}
+
+test('an explore job posts what it found, then the graph, its layout and done', () => {
+    const messages = runWorkerJob({ type: 'explore', start: puzzle.start });
+    const types = messages.map(message => message.type);
+    const firstLayout = types.indexOf('layout');
+    assert.equal(types[0], 'explored');
+    assert.deepEqual(types.slice(types.lastIndexOf('explored') + 1, firstLayout), ['phase', 'graph']);
+    assert.ok(types.slice(firstLayout, -1).every(type => type === 'layout'));
+    assert.equal(types[types.length - 1], 'done');
+    assert.equal(messages[firstLayout - 1 - 1].phase, 'distances');
+    assert.equal(messages[types.length - 2].done, true);
+
+    // The batches add up to the graph, whose records match a plain exploration
+    const { states } = messages[firstLayout - 1];
+    const explored = exploreStateSpace(puzzle.start, { puzzle });
+    const added = messages.filter(message => message.type === 'explored').flatMap(message => message.added.map(node => node.key));
+    assert.deepEqual(added, Object.keys(explored));
+    for (const key in explored) {
+        const { x, y, z, ...record } = states[key];
+        assert.deepEqual(record, explored[key]);
+        assert.ok([x, y, z].every(Number.isFinite));
+    }
+    assert.ok(messages[types.length - 2].positions.every(Number.isFinite));
+});
+
+test('a derive job keeps the coordinates it is given, and lays out only when some are missing', () => {
+    const states = exploreStateSpace(puzzle.start, { puzzle });
+    Object.values(states).forEach((record, index) => Object.assign(record, { x: index, y: 0, z: 0 }));
+    assert.deepEqual(runWorkerJob({ type: 'derive', states, merged: false }).map(message => message.type), ['graph', 'done']);
+
+    delete states[puzzle.start].x;
+    const types = runWorkerJob({ type: 'derive', states, merged: false }).map(message => message.type);
+    assert.deepEqual([types[0], types[1], types[types.length - 1]], ['graph', 'layout', 'done']);
+});
+
+test('the page takes in the graph from the worker and calls back once it is there', () => {
+    setupPage({ worker: true });
+    let calls = 0;
+    runGraphJob({ type: 'explore', start: puzzle.start }, () => calls++);
+    const worker = TestWorker.last;
+    assert.ok(isGraphBuilding());
+    assert.equal(viewer.nodes.length, 0); // The old graph goes at once
+
+    const graphAt = worker.posted.findIndex(message => message.type === 'graph');
+    worker.deliver(graphAt);
+    assert.equal(calls, 0);
+    assert.ok(isGraphPartial()); // What was found so far, shown when the phase changed
+    worker.deliver(1);
+    assert.equal(calls, 1);
+    assert.ok(!isGraphPartial() && !isGraphBuilding());
+    assert.equal(viewer.nodes.length, Object.keys(exploreStateSpace(puzzle.start, { puzzle })).length);
+
+    worker.deliver();
+    assert.equal(backgroundState.job, null);
+    assert.ok(viewer.layout.done && viewer.graph.positions.every(Number.isFinite));
+    assert.equal(calls, 1);
+});
+
+test('cancelling keeps the nodes explored so far and ignores what the worker posts after', () => {
+    const page = setupPage({ worker: true });
+    let calls = 0;
+    runGraphJob({ type: 'explore', start: puzzle.start }, () => calls++);
+    const worker = TestWorker.last;
+    const explored = worker.posted.filter(message => message.type === 'explored').length;
+    worker.deliver(explored);
+
+    cancelGraphJob();
+    assert.ok(worker.terminated);
+    assert.equal(backgroundState.job, null);
+    assert.ok(isGraphPartial());
+    assert.ok(viewer.nodes.length > 0 && viewer.nodes.every(node => node.moveCount === Infinity));
+    assert.match(page.statuses[0], /^Exploration cancelled after \d+ nodes/);
+    assert.equal(calls, 1);
+
+    const graph = viewer.graph;
+    worker.deliver();
+    assert.equal(viewer.graph, graph);
+    assert.equal(calls, 1);
+});
+
+test('a job that replaces a graph still being built also calls back for it', () => {
+    setupPage({ worker: true });
+    const calls = [];
+    runGraphJob({ type: 'explore', start: puzzle.start }, () => calls.push('first'));
+    runGraphJob({ type: 'explore', start: puzzle.start }, () => calls.push('second'));
+    TestWorker.last.deliver();
+    assert.deepEqual(calls, ['first', 'second']);
+});
+
+test('without a worker, or when it fails to start, the job is done on the main thread', () => {
+    setupPage({ worker: false });
+    let calls = 0;
+    runGraphJob({ type: 'explore', start: puzzle.start }, () => calls++);
+    assert.equal(calls, 1);
+    assert.equal(backgroundState.job, null);
+    assert.ok(viewer.nodes.length > 0 && !isGraphPartial());
+
+    setupPage({ worker: true });
+    runGraphJob({ type: 'explore', start: puzzle.start }, () => calls++);
+    const worker = TestWorker.last;
+    worker.onerror({ message: 'failed to load', preventDefault() {} });
+    assert.ok(worker.terminated);
+    assert.equal(backgroundState.available, false);
+    assert.equal(calls, 2);
+    assert.ok(viewer.nodes.length > 0 && viewer.nodes.every(node => Number.isFinite(node.moveCount)));
+});
+
+test('an exploration that stops at the state limit is reported as incomplete', () => {
+    // Told apart, the classic pieces make far more positions than the limit
+    const classic = normalizePuzzleDefinition(CLASSIC_PUZZLE);
+    const page = setupPage({ worker: false });
+    gameState.puzzle = classic;
+    runGraphJob({ type: 'explore', start: classic.start });
+    assert.equal(viewer.nodes.length, EXPLORER_MAX_STATES);
+    assert.ok(isGraphTruncated());
+    assert.match(page.statuses.pop(), new RegExp(`stopped at ${EXPLORER_MAX_STATES} states.*Shape-Equivalent`));
+
+    setupPage({ worker: true });
+    runGraphJob({ type: 'explore', start: puzzle.start });
+    const graphMessage = TestWorker.last.posted.find(message => message.type === 'graph');
+    assert.equal(graphMessage.truncated, false);
+    TestWorker.last.onmessage({ data: { ...graphMessage, truncated: true } });
+    assert.ok(isGraphTruncated());
+    // The next graph is complete again
+    runGraphJob({ type: 'explore', start: puzzle.start });
+    TestWorker.last.deliver();
+    assert.ok(viewer.nodes.length > 0 && !isGraphTruncated());
+});
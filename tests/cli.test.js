@@ -0,0 +1,119 @@
+// Tests for the command-line tools (cli.js). Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+function run(...args) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+    return { status, stdout, stderr };
+}
+
+// A 3x2 board where a must reach the top-right corner
+const TINY_PUZZLE = { name: 'Tiny', width: 3, height: 2, start: 'ab.cc.', goalPiece: 'a', goals: [{ x: 2, y: 0 }] };
+
+function writeTinyPuzzle() {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'klotski-')), 'tiny.json');
+    fs.writeFileSync(file, JSON.stringify(TINY_PUZZLE));
+    return file;
+}
+
+test('solve prints a shortest solution as an importable move list', () => {
+    const { status, stdout } = run('solve');
+    assert.equal(status, 0);
+    assert.match(stdout, /^# Shortest solution: 90 moves \(Straight-Line Slides\)/);
+    assert.match(stdout, /# Start: aTTbaTTb\.cc\.dghedfie/);
+    assert.match(stdout, /# Moves: 90/);
+
+    const { status: pieceStatus, stdout: pieceOut } = run('solve', '--metric', 'piece');
+    assert.equal(pieceStatus, 0);
+    assert.match(pieceOut, /# Metric: piece\n# Moves: 79/);
+});
+
+test('solve reads a position on the classic board or a puzzle file', () => {
+    assert.match(run('solve', 'aTTbaTTbcc..dghedfie').stdout, /# Shortest solution: 89 moves/);
+    assert.match(run('solve', writeTinyPuzzle()).stdout, /# Puzzle: Tiny\n# Start: ab\.cc\.\n# Metric: slide\n# Moves: 3\n/);
+});
+
+test('stats counts states, solutions and distances', () => {
+    const { status, stdout } = run('stats', writeTinyPuzzle());
+    assert.equal(status, 0);
+    assert.match(stdout, /Reachable states: 24\n/);
+    assert.match(stdout, /Solution states: 4\n/);
+    assert.match(stdout, /Max distance from the start: 7\n/);
+    assert.match(stdout, /Max distance to a solution: 5\n/);
+    assert.match(stdout, /Shortest solution: 3 moves/);
+});
+
+test('stats reports where it stopped exploring', () => {
+    const { status, stdout } = run('stats', '--max-states', '10');
+    assert.equal(status, 0);
+    assert.match(stdout, /Reachable states: 10 or more/);
+    assert.match(stdout, /stopped at 10 states/);
+});
+
+test('bench times the graph queries both ways', () => {
+    const { status, stdout } = run('bench', writeTinyPuzzle());
+    assert.equal(status, 0);
+    assert.match(stdout, /Graph: 24 states, \d+ edges\n/);
+    assert.match(stdout, /Times for 12 positions/);
+    assert.match(stdout, /Find the node of a position: [\d.]+ \/ [\d.]+ /);
+    assert.match(stdout, /Follow the optimal path from it: [\d.]+ \/ [\d.]+ /);
+});
+
+test('a state space of exactly --max-states states is complete', () => {
+    const file = writeTinyPuzzle();
+    const { stdout } = run('stats', file, '--max-states', '24');
+    assert.match(stdout, /Reachable states: 24\n/);
+    assert.doesNotMatch(stdout, /stopped at/);
+    assert.equal(run('generate', file, '--max-states', '24').status, 0);
+    assert.match(run('stats', file, '--max-states', '23').stdout, /Reachable states: 23 or more\n/);
+});
+
+test('generate writes a data file the page can load', () => {
+    const out = path.join(path.dirname(writeTinyPuzzle()), 'data.json');
+    const { status } = run('generate', writeTinyPuzzle(), '--out', out);
+    assert.equal(status, 0);
+
+    const context = {};
+    vm.runInNewContext(fs.readFileSync(out, 'utf8') + '\nthis.puzzle = nodes_to_use_puzzle; this.states = nodes_to_use;', context);
+    assert.equal(context.puzzle.name, 'Tiny');
+    const ids = Object.keys(context.states);
+    assert.equal(ids.length, 24);
+    for (const id of ids) {
+        const state = context.states[id];
+        for (const field of ['x', 'y', 'z', 'dist', 'solution_dist']) {
+            assert.ok(Number.isFinite(state[field]), `${id}.${field}`);
+        }
+        assert.equal(state.representation.length, 6);
+        for (const neighbor of state.neighbors) {
+            assert.ok(context.states[neighbor].neighbors.includes(id), `${id} and ${neighbor} are joined both ways`);
+            assert.ok(Math.abs(context.states[neighbor].dist - state.dist) <= 1);
+        }
+    }
+    assert.equal(context.states[0].representation, TINY_PUZZLE.start);
+    assert.equal(context.states[0].dist, 0);
+    assert.equal(context.states[0].solution_dist, 3);
+});
+
+test('generate refuses to write an incomplete state space', () => {
+    const { status, stderr } = run('generate', '--max-states', '1000');
+    assert.equal(status, 1);
+    assert.match(stderr, /more than 1000 states; raise --max-states or use --merge/);
+});
+
+test('bad arguments are reported with the usage', () => {
+    assert.equal(run('frobnicate').status, 2);
+    assert.equal(run('solve', '--merge').status, 2);
+    assert.match(run('solve', '--metric', 'diagonal').stderr, /"diagonal" is not a move metric/);
+    assert.match(run('stats', '--max-states', '0').stderr, /positive whole number/);
+    const { status, stderr } = run('solve', 'aTTb');
+    assert.equal(status, 1);
+    assert.match(stderr, /neither a puzzle file nor a position on the classic board/);
+});
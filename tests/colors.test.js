@@ -0,0 +1,65 @@
+// Unit tests for the node color modes (colors.js). Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPageScripts, buildGraph } = require('./helpers.js');
+
+loadPageScripts(['graph.js', 'analytics.js', 'colors.js']);
+
+/**
+ * Builds s - a - b - goal with a side branch a - c, where s is the start, plus an
+ * unsolvable pair x - y.
+ */
+function buildBranchedPath() {
+    const records = {};
+    for (const [id, dist, solutionDist] of [['s', 0, 3], ['a', 1, 2], ['b', 2, 1], ['goal', 3, 0], ['c', 2, 3]]) {
+        records[id] = { dist, solution_dist: solutionDist };
+    }
+    return buildGraph([['s', 'a'], ['a', 'b'], ['b', 'goal'], ['a', 'c'], ['x', 'y']], records);
+}
+
+const valuesOf = (graph, scale) => Object.fromEntries(graph.nodes.map(node => [node.representation, scale.mode.value(node, scale.context)]));
+
+test('difficulty is the distance to the solution, not the depth', () => {
+    const graph = buildBranchedPath();
+    assert.equal(graph.nodes[graph.indexByKey.get('s')].difficulty, 3);
+    assert.equal(graph.nodes[graph.indexByKey.get('goal')].difficulty, 0);
+});
+
+test('createColorScale spans the distance to the solution and notes unsolvable nodes', () => {
+    const scale = createColorScale(buildBranchedPath(), 1);
+    assert.equal(scale.min, 0);
+    assert.equal(scale.max, 3);
+    assert.equal(scale.missing, true);
+});
+
+test('createColorScale numbers the components from 1', () => {
+    const graph = buildBranchedPath();
+    const scale = createColorScale(graph, 4);
+    assert.deepEqual(valuesOf(graph, scale), { s: 1, a: 1, b: 1, goal: 1, c: 1, x: 2, y: 2 });
+    assert.equal(scale.missing, false);
+});
+
+test('progress per move is the drop in distance to the solution over the moves made', () => {
+    const graph = buildBranchedPath();
+    const scale = createColorScale(graph, 5);
+    const values = valuesOf(graph, scale);
+    assert.equal(values.s, 0);
+    assert.equal(values.goal, 1);
+    assert.equal(values.c, 0);
+    assert.ok(Number.isNaN(values.x));
+    assert.equal(scale.min, 0);
+    assert.equal(scale.max, 1);
+});
+
+test('createColorScale has no scale for the "Off" mode', () => {
+    assert.equal(createColorScale(buildBranchedPath(), 2), null);
+});
+
+test('sampleColorGradient runs from the first stop to the last and clamps', () => {
+    assert.deepEqual(sampleColorGradient(0), [68, 1, 84]);
+    assert.deepEqual(sampleColorGradient(1), [253, 231, 37]);
+    assert.deepEqual(sampleColorGradient(2), [253, 231, 37]);
+    assert.deepEqual(sampleColorGradient(0.5), [33, 145, 140]);
+});
@@ -0,0 +1,180 @@
+// Unit tests for the puzzle engine (engine.js). Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine.js');
+
+const classic = engine.normalizePuzzleDefinition(engine.CLASSIC_PUZZLE);
+
+// --- Parsing ---
+
+test('parseRepresentation finds every piece with its top-left cell and size', () => {
+    const pieces = engine.parseRepresentation(engine.CLASSIC_REPRESENTATION, 4, 5);
+    assert.equal(pieces.length, 10);
+    assert.deepEqual(pieces.find(p => p.id === 'T'), { id: 'T', x: 1, y: 0, width: 2, height: 2 });
+    assert.deepEqual(pieces.find(p => p.id === 'a'), { id: 'a', x: 0, y: 0, width: 1, height: 2 });
+    assert.deepEqual(pieces.find(p => p.id === 'c'), { id: 'c', x: 1, y: 2, width: 2, height: 1 });
+});
+
+test('parseRepresentation treats an all-empty board as no pieces', () => {
+    assert.deepEqual(engine.parseRepresentation('....', 2, 2), []);
+    assert.equal(engine.validateRepresentation('....', 2, 2), null);
+});
+
+test('validateRepresentation rejects the wrong length', () => {
+    assert.match(engine.validateRepresentation('aTTbaTTb.cc.dghedfi', 4, 5), /Expected 20 characters/);
+    assert.match(engine.validateRepresentation(engine.CLASSIC_REPRESENTATION + '.', 4, 5), /Expected 20 characters/);
+    assert.match(engine.validateRepresentation('', 2, 2), /Expected 4 characters/);
+    assert.match(engine.validateRepresentation(null, 2, 2), /Expected 4 characters/);
+});
+
+test('validateRepresentation rejects pieces that are not solid rectangles', () => {
+    // A piece's size is read from its top-left cell, so these shapes leave holes in the box
+    assert.match(engine.validateRepresentation('aaa.', 2, 2), /'a' is not a rectangle/);
+    assert.match(engine.validateRepresentation('aaaa.a', 3, 2), /'a' is not a rectangle/);
+    // while these spill out of it
+    assert.notEqual(engine.validateRepresentation('aa.a', 2, 2), null);
+    assert.notEqual(engine.validateRepresentation('.a.aaa', 3, 2), null);
+});
+
+test('validateRepresentation rejects a character used for two separate pieces', () => {
+    assert.match(engine.validateRepresentation('a..a', 2, 2), /more than one place/);
+    assert.match(engine.validateRepresentation('a.b.a.', 3, 2), /more than one place/);
+});
+
+test('parsePuzzleJSON reports malformed and inconsistent definitions', () => {
+    assert.match(engine.parsePuzzleJSON('{').error, /Not valid JSON/);
+    assert.match(engine.parsePuzzleJSON('[]').error, /positive integers/);
+    const definition = { width: 2, height: 2, start: 'a...', goalPiece: 'a', goals: [{ x: 1, y: 1 }] };
+    assert.equal(engine.parsePuzzleJSON(JSON.stringify(definition)).error, null);
+    assert.match(engine.parsePuzzleJSON(JSON.stringify({ ...definition, goalPiece: 'b' })).error, /'b' does not appear/);
+    assert.match(engine.parsePuzzleJSON(JSON.stringify({ ...definition, goals: [{ x: 2, y: 0 }] })).error, /off the board/);
+    assert.match(engine.parsePuzzleJSON(JSON.stringify({ ...definition, start: 'aa.a' })).error, /Invalid start/);
+    assert.match(engine.parsePuzzleJSON(JSON.stringify({ ...definition, goals: [null] })).error, /Each goal placement must be an object/);
+    assert.match(engine.parsePuzzleJSON(JSON.stringify({ ...definition, goals: [1] })).error, /Each goal placement must be an object/);
+    assert.match(engine.parsePuzzleJSON(JSON.stringify({ ...definition, exits: { side: 'top' } })).error, /Exits must be an array/);
+    assert.match(engine.parsePuzzleJSON(JSON.stringify({ ...definition, exits: [null] })).error, /Each exit needs a side/);
+});
+
+test('parseMove accepts the notation and rejects anything else', () => {
+    assert.deepEqual(engine.parseMove('bR2'), { piece: 'b', legs: [{ direction: 3, distance: 2 }] });
+    assert.deepEqual(engine.parseMove('TD'), { piece: 'T', legs: [{ direction: 1, distance: 1 }] });
+    assert.deepEqual(engine.parseMove('aRD3'), { piece: 'a', legs: [{ direction: 3, distance: 1 }, { direction: 1, distance: 3 }] });
+    for (const token of ['', 'b', 'bX', 'b2R', 'bR2x', 'R']) {
+        assert.equal(engine.parseMove(token), null, token);
+    }
+});
+
+test('parseMoveList reads the header and rejects bad moves and metrics', () => {
+    const parsed = engine.parseMoveList('# Start: abcd\n# Metric: cell\n# Moves: 2\nbR cD2,\n');
+    assert.equal(parsed.error, null);
+    assert.equal(parsed.start, 'abcd');
+    assert.equal(parsed.metric, 'cell');
+    assert.equal(parsed.moves.length, 2);
+    assert.match(engine.parseMoveList('bR x9').error, /"x9" is not a move/);
+    assert.match(engine.parseMoveList('# Metric: diagonal\nbR').error, /not a move metric/);
+});
+
+// --- Serialization ---
+
+test('boards round-trip through their representation', () => {
+    const layouts = [
+        [engine.CLASSIC_REPRESENTATION, 4, 5],
+        ['bhTT.baTT.daceedgcff', 5, 4],
+        ['ccTTe.TTehd.bgdabffa', 4, 5],
+        ['....', 2, 2],
+        ['ab', 2, 1]
+    ];
+    for (const [representation, width, height] of layouts) {
+        const board = engine.createBoard(representation, width, height);
+        assert.equal(engine.boardToString(board), representation);
+        assert.deepEqual(engine.createBoard(engine.boardToString(board), width, height), board);
+    }
+});
+
+test('moves and move lists round-trip through notation', () => {
+    const moves = engine.getLegalMoves(engine.createBoard(engine.CLASSIC_REPRESENTATION, 4, 5), 'piece');
+    assert.ok(moves.length > 0);
+    for (const move of moves) {
+        assert.deepEqual(engine.parseMove(engine.formatMove(move)), move);
+    }
+
+    const text = engine.formatMoveList(moves.map(engine.formatMove), engine.CLASSIC_REPRESENTATION, classic, 'piece');
+    const parsed = engine.parseMoveList(text);
+    assert.equal(parsed.error, null);
+    assert.equal(parsed.start, engine.CLASSIC_REPRESENTATION);
+    assert.equal(parsed.metric, 'piece');
+    assert.deepEqual(parsed.moves, moves);
+});
+
+// --- Boards and Moves ---
+
+test('boards are frozen and applyMove returns a new board', () => {
+    const board = engine.createBoard(engine.CLASSIC_REPRESENTATION, 4, 5);
+    assert.ok(Object.isFrozen(board) && Object.isFrozen(board.pieces) && Object.isFrozen(board.pieces[0]));
+
+    const { board: next, error } = engine.applyMove(board, engine.parseMove('cL'), 'slide');
+    assert.equal(error, null);
+    assert.equal(engine.boardToString(next), 'aTTbaTTbcc..dghedfie');
+    assert.equal(engine.boardToString(board), engine.CLASSIC_REPRESENTATION);
+    assert.ok(Object.isFrozen(next));
+});
+
+test('applyMove enforces the move metric and blocked cells', () => {
+    const board = engine.createBoard(engine.CLASSIC_REPRESENTATION, 4, 5);
+    assert.match(engine.applyMove(board, engine.parseMove('zL'), 'slide').error, /no piece 'z'/);
+    assert.match(engine.applyMove(board, engine.parseMove('TD'), 'slide').error, /'T' is blocked/);
+    assert.match(engine.applyMove(board, engine.parseMove('aR'), 'slide').error, /'a' is blocked/);
+
+    const opened = engine.applyMove(board, engine.parseMove('cL'), 'slide').board;
+    assert.match(engine.applyMove(opened, engine.parseMove('dUR'), 'slide').error, /cannot turn/);
+    assert.match(engine.applyMove(board, engine.parseMove('cL2'), 'slide').error, /'c' is blocked/);
+    assert.equal(engine.applyMove(engine.createBoard('a...', 4, 1), engine.parseMove('aR3'), 'slide').error, null);
+    assert.match(engine.applyMove(engine.createBoard('a...', 4, 1), engine.parseMove('aR3'), 'cell').error, /one cell/);
+});
+
+test('getLegalMoves lists the moves of the classic start under each metric', () => {
+    const board = engine.createBoard(engine.CLASSIC_REPRESENTATION, 4, 5);
+    const formatted = metric => engine.getLegalMoves(board, metric).map(engine.formatMove).sort();
+    for (const metric of ['cell', 'slide', 'piece']) {
+        assert.deepEqual(formatted(metric), ['aD', 'bD', 'cL', 'cR', 'dU', 'eU'], metric);
+    }
+
+    // With c moved left, the two empty cells sit side by side
+    const opened = engine.applyMove(board, engine.parseMove('cL'), 'slide').board;
+    const openedMoves = metric => engine.getLegalMoves(opened, metric).map(engine.formatMove).sort();
+    assert.deepEqual(openedMoves('cell'), ['bD', 'cR', 'eU', 'hU']);
+    assert.deepEqual(openedMoves('slide'), ['bD', 'cR', 'cR2', 'eU', 'hU']);
+    assert.deepEqual(openedMoves('piece'), ['bD', 'cR', 'cR2', 'eU', 'hU', 'hUR']);
+});
+
+test('isSolved checks every goal piece against its goal placements', () => {
+    assert.equal(engine.isSolved(engine.createBoard(engine.CLASSIC_REPRESENTATION, 4, 5), classic), false);
+    assert.equal(engine.isSolved(engine.createBoard('abcdefghiTTjkTTl....', 4, 5), classic), false);
+    assert.equal(engine.isSolved(engine.createBoard('abcdefghijklmTTn.TT.', 4, 5), classic), true);
+});
+
+// --- Solving ---
+
+// Shortest solutions of the classic layout, counted under each move metric.
+const CLASSIC_OPTIMAL_MOVES = { slide: 90, cell: 112, piece: 79 };
+
+for (const [metric, length] of Object.entries(CLASSIC_OPTIMAL_MOVES)) {
+    test(`solvePuzzle solves the classic layout in ${length} moves under the ${metric} metric`, () => {
+        const solution = engine.solvePuzzle(classic, { metric });
+        assert.ok(solution);
+        assert.equal(solution.moves.length, length);
+
+        // The moves replay from the start to a solved position
+        const { positions, error } = engine.replayMoveList(classic.start, solution.moves, classic, metric);
+        assert.equal(error, null);
+        assert.deepEqual(positions, solution.positions);
+        assert.ok(engine.isSolved(engine.createBoard(positions[positions.length - 1], 4, 5), classic));
+    });
+}
+
+test('solvePuzzle returns an empty solution for a solved start and null past maxStates', () => {
+    const solved = engine.solvePuzzle(classic, { start: 'abcdefghijklmTTn.TT.' });
+    assert.deepEqual(solved.moves, []);
+    assert.equal(engine.solvePuzzle(classic, { maxStates: 100 }), null);
+});
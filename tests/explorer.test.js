@@ -0,0 +1,49 @@
+// Unit tests for the incremental state space exploration (explorer.js).
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPageScripts } = require('./helpers.js');
+
+loadPageScripts(['engine.js', 'explorer.js']);
+
+const classic = normalizePuzzleDefinition(CLASSIC_PUZZLE);
+
+test('an exploration stepped a little at a time finds what one run finds', () => {
+    const options = { puzzle: classic, maxStates: 3000 };
+    const exploration = createExploration(classic.start, options);
+    let steps = 0;
+    while (!stepExploration(exploration, 0)) {
+        steps++;
+        // Every expanded position has its neighbors, and every neighbor has been found
+        assert.equal(exploration.adjacency.length, exploration.head);
+        assert.ok(exploration.adjacency.flat().every(index => index < exploration.representations.length));
+    }
+    assert.ok(steps > 1);
+    assert.ok(exploration.truncated);
+    assert.deepEqual(getExploredStates(exploration), exploreStateSpace(classic.start, options));
+});
+
+test('derivePrecomputedStates keeps the states under the default metric', () => {
+    const states = exploreStateSpace(classic.start, { puzzle: classic, maxStates: 500 });
+    const options = { puzzle: classic, metric: DEFAULT_MOVE_METRIC, merged: false, mergeEquivalent: false };
+    assert.equal(derivePrecomputedStates(states, options), states);
+
+    const derived = derivePrecomputedStates(states, { ...options, metric: 'piece' });
+    assert.deepEqual(Object.keys(derived), Object.keys(states));
+    assert.equal(derived[classic.start].dist, 0);
+});
+
+test('shape-equivalent states count the raw positions they stand for, however the graph is built', () => {
+    const wide = normalizePuzzleDefinition({ name: 'Wide Board (5x4)', width: 5, height: 4, start: 'bhTT.baTT.daceedgcff', goalPiece: 'T', goals: [{ x: 3, y: 1 }] });
+    const sideExits = normalizePuzzleDefinition({ name: 'Side Exits', width: 4, height: 5, start: 'cc.heTTaeTTabffdb.gd', goalPiece: 'T', goals: [{ x: 0, y: 3 }, { x: 2, y: 3 }] });
+    for (const puzzle of [wide, sideExits]) {
+        const raw = exploreStateSpace(puzzle.start, { puzzle, maxStates: 100000 });
+        const explored = exploreStateSpace(puzzle.start, { puzzle, mergeEquivalent: true });
+        const merged = mergeEquivalentStates(raw, puzzle);
+        assert.deepEqual(Object.keys(explored).sort(), Object.keys(merged).sort());
+        for (const key in explored) assert.equal(explored[key].rawCount, merged[key].rawCount);
+        assert.equal(Object.values(explored).reduce((sum, data) => sum + data.rawCount, 0), Object.keys(raw).length);
+    }
+});
@@ -0,0 +1,108 @@
+// Unit tests for the graph export formats and the SVG snapshot context (export.js).
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPageScripts, buildGraph } = require('./helpers.js');
+
+loadPageScripts(['graph.js', 'export.js']);
+
+/**
+ * Builds start - middle - goal, plus an unsolvable pair x - y; x has no coordinates yet.
+ */
+function buildPath() {
+    const records = {
+        start: { dist: 0, solution_dist: 2, x: 1, y: 2, z: 3 },
+        middle: { dist: 1, solution_dist: 1, x: 4, y: 5, z: 6.123456 },
+        goal: { dist: 2, solution_dist: 0, x: 7, y: 8, z: 9 },
+        x: { dist: 1 },
+        y: { dist: 2, x: 0, y: 0, z: 0 }
+    };
+    return buildGraph([['start', 'middle'], ['middle', 'goal'], ['x', 'y']], records);
+}
+
+const details = { puzzle: { name: 'Tom & "Jerry"' }, metric: 'slide' };
+
+test('getUndirectedEdges lists every edge once', () => {
+    const graph = buildPath();
+    assert.equal(graph.edges.length, 6);
+    assert.deepEqual(getUndirectedEdges(graph), [[0, 1], [1, 2], [3, 4]]);
+});
+
+test('serializeGraphML writes typed node data and escapes text', () => {
+    const xml = serializeGraphML(buildPath(), details);
+    assert.match(xml, /<key id="solutionDist" for="node" attr.name="solutionDist" attr.type="double"\/>/);
+    assert.match(xml, /<desc>State graph of &quot;Tom &amp; &quot;Jerry&quot;&quot; under slide moves<\/desc>/);
+    assert.match(xml, /<node id="n2">\n {6}<data key="representation">goal<\/data>\n {6}<data key="depth">2<\/data>\n {6}<data key="solutionDist">0<\/data>\n {6}<data key="isSolution">true<\/data>/);
+    assert.match(xml, /<data key="solutionDist">INF<\/data>/);
+    assert.match(xml, /<data key="x">NaN<\/data>/);
+    assert.match(xml, /<data key="z">6.1235<\/data>/);
+    assert.equal(xml.match(/<edge /g).length, 3);
+    assert.match(xml, /<edge source="n3" target="n4"\/>/);
+});
+
+test('serializeGEXF gives viz positions only to laid-out nodes', () => {
+    const xml = serializeGEXF(buildPath(), details);
+    assert.match(xml, /<graph defaultedgetype="undirected" mode="static">/);
+    assert.match(xml, /<node id="0" label="start">/);
+    assert.match(xml, /<attvalue for="3" value="false"\/>/);
+    assert.equal(xml.match(/<viz:position /g).length, 4);
+    assert.match(xml, /<viz:position x="4" y="5" z="6.1235"\/>/);
+    assert.match(xml, /<edge id="2" source="3" target="4"\/>/);
+});
+
+test('the CSV lists leave numbers that are not finite empty', () => {
+    const graph = buildPath();
+    const nodes = serializeNodeCSV(graph).trim().split('\n');
+    assert.equal(nodes[0], 'id,representation,depth,solutionDist,isSolution,x,y,z');
+    assert.equal(nodes[1], '0,start,0,2,false,1,2,3');
+    assert.equal(nodes[4], '3,x,1,,false,,,');
+    assert.equal(serializeEdgeCSV(graph), 'source,target\n0,1\n1,2\n3,4\n');
+});
+
+test('serializeGraphJSON writes null for numbers that are not finite', () => {
+    const data = JSON.parse(serializeGraphJSON(buildPath(), details));
+    assert.equal(data.format, 'klotski-graph');
+    assert.equal(data.metric, 'slide');
+    assert.deepEqual(data.nodes[4], { id: 4, representation: 'y', depth: 2, solutionDist: null, isSolution: false, x: 0, y: 0, z: 0 });
+    assert.equal(data.nodes[3].x, null);
+    assert.deepEqual(data.edges, [[0, 1], [1, 2], [3, 4]]);
+});
+
+test('createSvgContext turns canvas drawing into SVG elements', () => {
+    const ctx = createSvgContext(200, 100, '#000');
+    ctx.fillStyle = 'rgb(1,2,3)';
+    ctx.strokeStyle = 'rgba(255,255,0,0.5)';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(50, 50, 10, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.save();
+    ctx.strokeStyle = '#fff';
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 20);
+    ctx.stroke();
+    ctx.restore();
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('A<B', 5, 6);
+    const gradient = ctx.createLinearGradient(0, 0, 100, 0);
+    gradient.addColorStop(0, 'rgb(0,0,0)');
+    gradient.addColorStop(1, 'rgb(255,255,255)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 90, 100, 10);
+
+    const svg = ctx.serialize();
+    assert.match(svg, /<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="200" height="100" viewBox="0 0 200 100">/);
+    assert.match(svg, /<rect width="200" height="100" fill="#000"\/>/);
+    // The fill and the stroke of the circle are one element
+    assert.match(svg, /<path d="M60 50A10 10 0 1 1 40 50A10 10 0 1 1 60 50Z" fill="rgb\(1,2,3\)" stroke="rgb\(255,255,0\)" stroke-opacity="0.5" stroke-width="3"\/>/);
+    assert.match(svg, /<path d="M0 0L10 20" fill="none" stroke="#fff" stroke-width="3"\/>/);
+    assert.match(svg, /<text x="5" y="6" style="font: 12px Arial" text-anchor="middle" dominant-baseline="central" fill="rgb\(1,2,3\)">A&lt;B<\/text>/);
+    assert.match(svg, /<linearGradient id="gradient0" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="100" y2="0">/);
+    assert.match(svg, /<rect x="0" y="90" width="100" height="10" fill="url\(#gradient0\)"\/>/);
+});
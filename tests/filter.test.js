@@ -0,0 +1,53 @@
+// Unit tests for the viewer filters (filter.js). Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPageScripts, buildGraph } = require('./helpers.js');
+
+loadPageScripts(['graph.js', 'filter.js']);
+
+const NO_FILTERS = { filterRadius: 0, filterBandMin: null, filterBandMax: null, filterComponent: false };
+
+/**
+ * Builds a chain a - b - c - d - e with the solution at e, plus a separate pair x - y
+ * with no way to the solution.
+ */
+function buildChain() {
+    const records = {};
+    ['a', 'b', 'c', 'd', 'e'].forEach((id, i) => records[id] = { solution_dist: 4 - i });
+    return buildGraph([['a', 'b'], ['b', 'c'], ['c', 'd'], ['d', 'e'], ['x', 'y']], records);
+}
+
+const shown = (graph, visible) => graph.nodes.filter(node => visible[node.index]).map(node => node.representation);
+
+test('computeVisibleNodes filters nothing until a filter is set', () => {
+    const graph = buildChain();
+    assert.equal(computeVisibleNodes(graph, graph.indexByKey.get('c'), NO_FILTERS), null);
+});
+
+test('computeVisibleNodes keeps the nodes within the radius of the current node', () => {
+    const graph = buildChain();
+    const visible = computeVisibleNodes(graph, graph.indexByKey.get('b'), { ...NO_FILTERS, filterRadius: 1 });
+    assert.deepEqual(shown(graph, visible), ['a', 'b', 'c']);
+});
+
+test('computeVisibleNodes keeps the component of the current node', () => {
+    const graph = buildChain();
+    const visible = computeVisibleNodes(graph, graph.indexByKey.get('y'), { ...NO_FILTERS, filterComponent: true });
+    assert.deepEqual(shown(graph, visible), ['x', 'y']);
+});
+
+test('computeVisibleNodes keeps a band of moves to solve and always the current node', () => {
+    const graph = buildChain();
+    const visible = computeVisibleNodes(graph, graph.indexByKey.get('a'), { ...NO_FILTERS, filterBandMin: 1, filterBandMax: 2 });
+    assert.deepEqual(shown(graph, visible), ['a', 'c', 'd']);
+    // With no upper bound, the unsolvable positions are beyond any lower one
+    const open = computeVisibleNodes(graph, -1, { ...NO_FILTERS, filterBandMin: 3 });
+    assert.deepEqual(shown(graph, open), ['a', 'b', 'x', 'y']);
+});
+
+test('computeVisibleNodes ignores the filters around the current node when it is not in the graph', () => {
+    const graph = buildChain();
+    assert.equal(computeVisibleNodes(graph, -1, { ...NO_FILTERS, filterRadius: 2, filterComponent: true }), null);
+});
@@ -0,0 +1,32 @@
+// Shared setup for the unit tests. Run the tests with: node --test tests/
+
+/**
+ * Loads page scripts the way the page does, into one global scope, so that each can use
+ * what the ones before it define.
+ * @param {string[]} files The scripts, relative to the repository root, in page order.
+ */
+function loadPageScripts(files) {
+    for (const file of files) {
+        Object.assign(globalThis, require(`../${file}`));
+    }
+}
+
+/**
+ * Builds a graph store from an edge list. Node ids are their representations, in the
+ * order the edges first name them; `dist` and `solution_dist` are Infinity and there are
+ * no coordinates unless `records` gives them.
+ * @param {Array<[string, string]>} edges The edges, each once.
+ * @param {Object<string, Object>} [records] Fields of the state records, by id.
+ * @returns {Object} The graph store (graph.js must be loaded).
+ */
+function buildGraph(edges, records = {}) {
+    const states = {};
+    const add = id => states[id] || (states[id] = { representation: id, dist: Infinity, solution_dist: Infinity, neighbors: [], ...records[id] });
+    for (const [a, b] of edges) {
+        add(a).neighbors.push(b);
+        add(b).neighbors.push(a);
+    }
+    return createStateGraph(states, representation => representation);
+}
+
+module.exports = { loadPageScripts, buildGraph };
@@ -0,0 +1,90 @@
+// Unit tests for the move hints (hints.js). Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPageScripts } = require('./helpers.js');
+
+loadPageScripts(['engine.js', 'explorer.js', 'graph.js', 'hints.js']);
+
+// A puzzle of 189 positions, solved in 7 moves
+const puzzle = normalizePuzzleDefinition({ name: 'Wide Board (5x4)', width: 5, height: 4, start: 'bhTT.baTT.daceedgcff', goalPiece: 'T', goals: [{ x: 3, y: 1 }] });
+
+/**
+ * Puts the parts of the page that hints.js works with in place, with the board at a
+ * position and the viewer on its node.
+ * @param {Object} [options]
+ * @param {number} [options.maxStates] Explore only this many positions for the graph.
+ */
+function setupPage({ maxStates } = {}) {
+    const element = () => ({ hidden: false, textContent: '', style: {}, replaceChildren() {}, appendChild() {}, append() {} });
+    const elements = new Map();
+    globalThis.document = {
+        getElementById: id => elements.get(id) || elements.set(id, element()).get(id),
+        createElement: element
+    };
+    globalThis.editorState = { active: false };
+    globalThis.dragState = { isDragging: false };
+    globalThis.gameState = { puzzle, board: createBoard(puzzle.start, puzzle.width, puzzle.height) };
+    const graph = createStateGraph(exploreStateSpace(puzzle.start, { puzzle, maxStates }), representation => representation);
+    globalThis.viewer = { settings: { moveMetric: DEFAULT_MOVE_METRIC }, graph, nodes: graph.nodes, currentIndex: 0 };
+    Object.assign(globalThis, {
+        gameStateToString: () => boardToString(gameState.board),
+        findNodeByRepresentation: representation => viewer.nodes[viewer.graph.indexByKey.get(representation)],
+        isGraphPartial: () => false
+    });
+    hintState.active = true;
+    hintState.key = null;
+    resetHintCount();
+}
+
+/**
+ * Puts a position on the board and the viewer on its node, as a move does.
+ */
+function goTo(representation) {
+    gameState.board = createBoard(representation, puzzle.width, puzzle.height);
+    viewer.currentIndex = viewer.graph.indexByKey.get(representation) ?? -1;
+}
+
+test('computeMoveHints rates every legal move by the distance it leads to, best first', () => {
+    setupPage();
+    const current = viewer.nodes[viewer.currentIndex].moveCount;
+    const hints = computeMoveHints(gameState.board, DEFAULT_MOVE_METRIC);
+    assert.equal(hints.length, getLegalMoves(gameState.board, DEFAULT_MOVE_METRIC).length);
+    for (const hint of hints) {
+        const next = boardToString(applyMove(gameState.board, hint.move, DEFAULT_MOVE_METRIC).board);
+        assert.equal(hint.distance, findNodeByRepresentation(next).moveCount);
+        assert.equal(hint.verdict, hint.distance < current ? 'closer' : hint.distance > current ? 'farther' : 'same');
+        assert.equal(hint.notation, formatMove(hint.move));
+    }
+    const order = Object.keys(HINT_VERDICTS);
+    assert.ok(hints.every((hint, i) => i === 0 || order.indexOf(hints[i - 1].verdict) <= order.indexOf(hint.verdict)));
+    assert.equal(hints[0].verdict, 'closer');
+});
+
+test('computeMoveHints marks moves to positions outside the graph as unknown', () => {
+    setupPage({ maxStates: 1 }); // Just the start
+    const hints = computeMoveHints(gameState.board, DEFAULT_MOVE_METRIC);
+    assert.ok(hints.length > 0 && hints.every(hint => hint.verdict === 'unknown' && hint.distance === null));
+});
+
+test('the hint counter counts each position once, however often the board comes back to it', () => {
+    setupPage();
+    const next = getNeighborRepresentations(puzzle.start, puzzle.width, puzzle.height, DEFAULT_MOVE_METRIC)[0];
+    updateHints();
+    updateHints(); // A redraw
+    assert.equal(hintState.used, 1);
+    goTo(next);
+    updateHints();
+    goTo(puzzle.start); // Undo
+    updateHints();
+    goTo(next); // Redo
+    updateHints();
+    assert.equal(hintState.used, 2);
+    assert.equal(document.getElementById('hintCountDisplay').textContent, 2);
+
+    resetHintCount();
+    goTo(puzzle.start);
+    updateHints();
+    assert.equal(hintState.used, 1);
+});
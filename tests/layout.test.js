@@ -0,0 +1,98 @@
+// Unit tests for the layout engine (layout.js). Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPageScripts, buildGraph } = require('./helpers.js');
+
+loadPageScripts(['engine.js', 'explorer.js', 'graph.js', 'layout.js']);
+
+// The graph of a puzzle of 189 positions
+const puzzle = normalizePuzzleDefinition({ name: 'Wide Board (5x4)', width: 5, height: 4, start: 'bhTT.baTT.daceedgcff', goalPiece: 'T', goals: [{ x: 3, y: 1 }] });
+const states = exploreStateSpace(puzzle.start, { puzzle });
+
+/**
+ * Runs a layout to the end over a new graph of the puzzle, with Math.random seeded so
+ * that every run places the nodes the same way.
+ * @returns {Object} The graph, laid out.
+ */
+function layOut(algorithm) {
+    const graph = createStateGraph(states, representation => representation);
+    const random = Math.random;
+    let seed = 1;
+    Math.random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return (seed - 1) / 2147483646;
+    };
+    try {
+        const layout = createLayout(algorithm, graph.nodes, graph.edges);
+        finishLayout(layout);
+        applyLayout(layout, graph.nodes);
+    } finally {
+        Math.random = random;
+    }
+    return graph;
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+/**
+ * Compares the mean length of the edges with the mean distance between nodes that are
+ * not neighbors.
+ */
+function meanDistances(graph) {
+    const { nodes } = graph;
+    let edgeSum = 0, edgeCount = 0, otherSum = 0, otherCount = 0;
+    for (let i = 0; i < nodes.length; i++) {
+        const neighbors = new Set(getNeighborIndices(graph, i));
+        for (let j = i + 1; j < nodes.length; j++) {
+            if (neighbors.has(j)) {
+                edgeSum += distance(nodes[i], nodes[j]);
+                edgeCount++;
+            } else {
+                otherSum += distance(nodes[i], nodes[j]);
+                otherCount++;
+            }
+        }
+    }
+    return { edges: edgeSum / edgeCount, others: otherSum / otherCount };
+}
+
+for (const algorithm of ['force', 'spectral']) {
+    test(`the ${algorithm} layout places every node within the display radius, neighbors close together`, () => {
+        const graph = layOut(algorithm);
+        assert.ok(graph.positions.every(Number.isFinite));
+        assert.ok(graph.nodes.every(node => Math.hypot(node.x, node.y, node.z) <= LAYOUT_DISPLAY_RADIUS + 1e-5)); // Stored as 32-bit floats
+        const { edges, others } = meanDistances(graph);
+        assert.ok(edges < others / 2, `${edges} against ${others}`);
+    });
+
+    test(`the ${algorithm} layout places the same nodes the same way from the same seed`, () => {
+        assert.deepEqual(layOut(algorithm).positions, layOut(algorithm).positions);
+    });
+}
+
+test('the layered layouts put each node at the height of its depth, unreachable ones at the bottom', () => {
+    const graph = layOut('depth');
+    const heights = new Map();
+    for (const node of graph.nodes) {
+        if (!heights.has(node.depth)) heights.set(node.depth, node.y);
+        assert.ok(Math.abs(heights.get(node.depth) - node.y) < 1e-9);
+    }
+    const depths = [...heights.keys()].sort((a, b) => a - b);
+    assert.ok(depths.every((depth, i) => i === 0 || heights.get(depth) < heights.get(depths[i - 1])));
+
+    // Nodes that cannot reach a solution go one level below the deepest
+    const chain = buildGraph([['a', 'b'], ['c', 'd']], { a: { solution_dist: 1 }, b: { solution_dist: 0 } });
+    const layout = createLayout('solution', chain.nodes, chain.edges);
+    assert.deepEqual([...layout.layers].map(y => Math.round(y / layout.layers[1])), [-1, 1, -3, -3]);
+});
+
+test('a graph without nodes or edges is laid out at once', () => {
+    assert.equal(createLayout('force', [], []).done, true);
+    const single = buildGraph([['a', 'a']]);
+    const layout = createLayout('spectral', single.nodes, single.edges);
+    finishLayout(layout);
+    applyLayout(layout, single.nodes);
+    assert.ok(single.positions.every(Number.isFinite));
+});
@@ -0,0 +1,48 @@
+// Unit tests for the viewer state of the page (new.js). Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPageScripts } = require('./helpers.js');
+
+globalThis.document = { addEventListener: () => {} }; // The page starts on DOMContentLoaded, which never comes here
+loadPageScripts(['engine.js', 'explorer.js', 'graph.js', 'solver.js', 'new.js']);
+
+// A puzzle of 189 positions, solved in 7 moves
+const puzzle = normalizePuzzleDefinition({ name: 'Wide Board (5x4)', width: 5, height: 4, start: 'bhTT.baTT.daceedgcff', goalPiece: 'T', goals: [{ x: 3, y: 1 }] });
+
+/**
+ * Shows the graph of the puzzle in the viewer with the optimal path on, and puts a
+ * position on the board, in the graph or not.
+ */
+function setupViewer(representation, { editing = false } = {}) {
+    const graph = createStateGraph(exploreStateSpace(puzzle.start, { puzzle }), representation => representation);
+    Object.assign(viewer, { graph, nodes: graph.nodes, edges: graph.edges, optimalPath: [] });
+    viewer.settings.showPath = true;
+    gameState.puzzle = puzzle;
+    gameState.board = createBoard(representation, puzzle.width, puzzle.height);
+    const index = graph.indexByKey.get(representation);
+    viewer.currentIndex = index === undefined ? -1 : index;
+    globalThis.editorState = { active: editing };
+    globalThis.isGraphPartial = () => false;
+}
+
+test('the optimal path runs from the current node to a solution', () => {
+    setupViewer(puzzle.start);
+    updateOptimalPath();
+    assert.equal(viewer.optimalPath.length, viewer.nodes[viewer.currentIndex].moveCount + 1);
+    assert.equal(viewer.optimalPath[0], viewer.currentIndex);
+    assert.ok(viewer.optimalPath.every(index => viewer.nodes[index].isOptimal));
+});
+
+test('a board off the graph has no optimal path while the editor is open', () => {
+    // Two pieces swapped: the same shapes, but not a position of the labeled graph
+    const offGraph = 'bhTT.baTT.daceedgcff'.replace('h', 'x').replace('g', 'h').replace('x', 'g');
+    setupViewer(puzzle.start);
+    updateOptimalPath();
+    setupViewer(offGraph, { editing: true });
+    assert.equal(viewer.currentIndex, -1);
+    updateOptimalPath();
+    assert.deepEqual(viewer.optimalPath, []);
+    assert.ok(viewer.nodes.every(node => !node.isOptimal));
+});
@@ -0,0 +1,151 @@
+// Unit tests for the auto-solve playback controller (playback.js). Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPageScripts } = require('./helpers.js');
+
+loadPageScripts(['engine.js', 'explorer.js', 'graph.js', 'playback.js']);
+
+// A puzzle of 189 positions, solved in 7 moves
+const puzzle = normalizePuzzleDefinition({ name: 'Wide Board (5x4)', width: 5, height: 4, start: 'bhTT.baTT.daceedgcff', goalPiece: 'T', goals: [{ x: 3, y: 1 }] });
+
+/**
+ * Puts the parts of the page that playback.js works with in place: the board and its
+ * history as new.js keeps them, and the graph of the puzzle in the viewer.
+ */
+function setupPage(representation = puzzle.start) {
+    const elements = new Map();
+    globalThis.document = {
+        getElementById: id => elements.get(id) || elements.set(id, { textContent: '', disabled: false }).get(id)
+    };
+    globalThis.dragState = { isDragging: false };
+    globalThis.gameState = {
+        puzzle,
+        board: createBoard(representation, puzzle.width, puzzle.height),
+        moveCount: 0,
+        history: [{ representation, moveCount: 0, move: null }],
+        historyIndex: 0
+    };
+    const graph = createStateGraph(exploreStateSpace(puzzle.start, { puzzle }), representation => representation);
+    globalThis.viewer = { settings: { moveMetric: DEFAULT_MOVE_METRIC }, graph, nodes: graph.nodes };
+
+    Object.assign(globalThis, {
+        gameStateToString: () => boardToString(gameState.board),
+        setGameStateFromString: to => gameState.board = createBoard(to, puzzle.width, puzzle.height),
+        recordHistory: () => {
+            gameState.history.length = gameState.historyIndex + 1;
+            gameState.history.push({ representation: gameStateToString(), moveCount: gameState.moveCount });
+            gameState.historyIndex++;
+        },
+        jumpToHistory: index => {
+            gameState.historyIndex = index;
+            setGameStateFromString(gameState.history[index].representation);
+            gameState.moveCount = gameState.history[index].moveCount;
+        },
+        getStateKey: representation => representation,
+        findNodeByRepresentation: representation => viewer.nodes[viewer.graph.indexByKey.get(representation)],
+        isGraphPartial: () => false,
+        getBoardSolution: () => null,
+        isSolverSearching: () => false,
+        checkWinCondition: () => {},
+        updateCurrentGameState: () => {},
+        updateHistoryControls: () => {},
+        updateDisplay: () => {}
+    });
+    cancelPlayback();
+    return { status: () => document.getElementById('playbackStatusDisplay').textContent };
+}
+
+const solutionLength = () => viewer.nodes[viewer.graph.indexByKey.get(puzzle.start)].moveCount;
+
+test('stepping forward plays the optimal path one move at a time, and stepping back takes moves back', () => {
+    const page = setupPage();
+    const moves = solutionLength();
+    stepPlayback(1);
+    assert.equal(gameState.moveCount, 1);
+    assert.equal(gameState.historyIndex, 1);
+    assert.equal(page.status(), `Move 1 of ${moves} (paused).`);
+    assert.notEqual(playbackState.slide, null);
+
+    for (let i = 1; i < moves + 2; i++) stepPlayback(1);
+    assert.equal(gameState.moveCount, moves);
+    assert.ok(isSolved(gameState.board, puzzle));
+    assert.equal(page.status(), `Solved: ${moves} moves played.`);
+
+    stepPlayback(-1);
+    stepPlayback(-1);
+    assert.equal(gameState.moveCount, moves - 2);
+    assert.equal(gameState.historyIndex, moves - 2);
+    // Going forward again redoes the moves taken back instead of adding new ones
+    stepPlayback(1);
+    assert.equal(gameState.history.length, moves + 1);
+    assert.equal(playbackState.index, moves - 1);
+});
+
+test('playing runs the path to the end from the game loop', () => {
+    setupPage();
+    togglePlayback();
+    assert.equal(playbackState.playing, true);
+    while (playbackState.playing) {
+        playbackState.nextStepAt = 0; // Every move is due at once
+        advancePlayback();
+    }
+    assert.ok(isSolved(gameState.board, puzzle));
+    assert.equal(gameState.moveCount, solutionLength());
+});
+
+test('cancelling forgets the path and leaves the board where it is, as does a move made meanwhile', () => {
+    const page = setupPage();
+    togglePlayback();
+    playbackState.nextStepAt = 0;
+    advancePlayback();
+    const board = gameStateToString();
+    cancelPlayback();
+    assert.deepEqual(playbackState.positions, []);
+    assert.equal(playbackState.playing, false);
+    assert.equal(gameStateToString(), board);
+    assert.equal(page.status(), '');
+
+    togglePlayback();
+    setGameStateFromString(getNeighborRepresentations(board, puzzle.width, puzzle.height, DEFAULT_MOVE_METRIC)[0]);
+    advancePlayback();
+    assert.deepEqual(playbackState.positions, []);
+    assert.equal(playbackState.playing, false);
+});
+
+test('a step that is not a legal move is not played or counted', () => {
+    const page = setupPage();
+    const far = viewer.nodes.find(node => node.depth === 3).representation;
+    playbackState.positions = [puzzle.start, far];
+    goToPlaybackIndex(1);
+    assert.equal(gameStateToString(), puzzle.start);
+    assert.equal(gameState.moveCount, 0);
+    assert.equal(gameState.history.length, 1);
+    assert.match(page.status(), /not one move away/);
+});
+
+test('a replayed move list plays to its end, stops when the board changes, and then gives way to auto-solve', () => {
+    const page = setupPage();
+    const [first] = getNeighborRepresentations(puzzle.start, puzzle.width, puzzle.height, DEFAULT_MOVE_METRIC);
+    playPositions([puzzle.start, first, puzzle.start]);
+    assert.equal(playbackState.playing, true);
+    while (playbackState.playing) {
+        playbackState.nextStepAt = 0;
+        advancePlayback();
+    }
+    assert.equal(gameStateToString(), puzzle.start);
+    assert.equal(gameState.moveCount, 2);
+    assert.equal(page.status(), 'Replayed 2 moves.');
+
+    togglePlayback();
+    assert.equal(playbackState.replay, false);
+    assert.equal(playbackState.positions.length, solutionLength() + 1);
+
+    playPositions([puzzle.start, first, puzzle.start]);
+    gameState.board = createBoard(first, puzzle.width, puzzle.height); // Undone, reset or another puzzle loaded
+    advancePlayback();
+    assert.equal(playbackState.playing, false);
+    assert.deepEqual(playbackState.positions, []);
+    assert.equal(gameStateToString(), first);
+});
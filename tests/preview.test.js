@@ -0,0 +1,87 @@
+// Unit tests for the node previews (preview.js). Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPageScripts, buildGraph } = require('./helpers.js');
+
+loadPageScripts(['engine.js', 'graph.js', 'preview.js']);
+
+/**
+ * Puts the parts of the page that preview.js works with in place: a viewer with a small
+ * graph under a pointer, and a node picker that counts its calls.
+ * @returns {{picks: number}} The number of picks so far.
+ */
+function setupPage() {
+    const page = { picks: 0 };
+    const element = () => ({ style: {}, append() {}, appendChild() {}, replaceChildren() {}, getContext: () => ({ fillRect() {} }) });
+    const tooltip = { ...element(), hidden: true, offsetWidth: 100, offsetHeight: 80, parentElement: { clientWidth: 800, clientHeight: 600 } };
+    globalThis.document = { getElementById: () => tooltip, createElement: element };
+    const graph = buildGraph([['a....', 'b....']], { 'a....': { dist: 0, solution_dist: 1 }, 'b....': { dist: 1, solution_dist: 0 } });
+    globalThis.viewer = {
+        graph,
+        nodes: graph.nodes,
+        camera: { x: 0, y: 0, targetZ: 0, z: 8, rotX: 0.2, rotY: 0 },
+        canvas: { width: 800, height: 600 },
+        pointers: new Map(),
+        layout: null
+    };
+    globalThis.gameState = { board: { width: 5, height: 1 } };
+    globalThis.filterState = { visible: null };
+    globalThis.getPieceColor = () => '#fff';
+    globalThis.pickNodeAt = () => {
+        page.picks++;
+        return viewer.nodes[0];
+    };
+    Object.assign(previewState, { pointer: { x: 10, y: 20 }, moved: true, shownKey: null, graph: null, index: -1 });
+    return page;
+}
+
+test('the hovered node is picked again only when the pointer, the view, the graph or the filters change', () => {
+    const page = setupPage();
+    updateNodePreview();
+    assert.equal(page.picks, 1);
+    assert.equal(previewState.index, 0);
+    assert.equal(document.getElementById('nodeTooltip').hidden, false);
+
+    // Frames in which nothing changed reuse the pick
+    updateNodePreview();
+    updateNodePreview();
+    assert.equal(page.picks, 1);
+    assert.equal(previewState.index, 0);
+
+    previewState.moved = true;
+    updateNodePreview();
+    assert.equal(page.picks, 2);
+
+    viewer.camera.rotY += 0.1;
+    updateNodePreview();
+    assert.equal(page.picks, 3);
+
+    viewer.layout = { iteration: 1 };
+    updateNodePreview();
+    viewer.layout.iteration++;
+    updateNodePreview();
+    assert.equal(page.picks, 5);
+
+    filterState.visible = new Uint8Array(2);
+    updateNodePreview();
+    assert.equal(page.picks, 6);
+    updateNodePreview();
+    assert.equal(page.picks, 6);
+
+    viewer.graph = buildGraph([['a....', 'b....']]);
+    viewer.nodes = viewer.graph.nodes;
+    updateNodePreview();
+    assert.equal(page.picks, 7);
+});
+
+test('a button held down hides the preview', () => {
+    const page = setupPage();
+    updateNodePreview();
+    viewer.pointers.set(1, { x: 10, y: 20 });
+    updateNodePreview();
+    assert.equal(page.picks, 1); // Nothing to pick while the button is down
+    assert.equal(previewState.index, -1);
+    assert.equal(document.getElementById('nodeTooltip').hidden, true);
+});
@@ -0,0 +1,55 @@
+// Unit tests for the play recording report (recorder.js). Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeRecording, formatDuration } = require('../recorder.js');
+
+// Positions are named by letter; their distance to a solution is looked up here
+const DISTANCES = { s: 6, a: 5, b: 6, c: 4, d: 3, e: 2, f: 1, g: 0, dead: Infinity };
+const lookup = representation => representation in DISTANCES
+    ? { key: representation, solutionDist: DISTANCES[representation] }
+    : null;
+
+function recording(steps, solvedAt = null) {
+    return { steps: steps.map(([representation, time, move]) => ({ representation, time, move })), solvedAt };
+}
+
+test('analyzeRecording counts moves against the optimal solution, with detours and revisits', () => {
+    const report = analyzeRecording(recording([
+        ['s', 0, null], ['a', 1000, 'aR'], ['b', 2000, 'bD'], ['a', 3000, 'bU'],
+        ['c', 4000, 'cL'], ['d', 5000, 'dR dR'], ['g', 9000, null]
+    ], 9000), lookup, 20000);
+    assert.equal(report.moves, 6);
+    assert.equal(report.optimal, 6);
+    assert.equal(report.jumps, 1);
+    assert.equal(report.detours, 1); // a to b
+    assert.equal(report.revisits, 1); // back to a
+    assert.equal(report.states, 6);
+    assert.equal(report.duration, 9000);
+    assert.equal(report.solved, true);
+});
+
+test('analyzeRecording splits the time and moves into phases by distance left', () => {
+    const report = analyzeRecording(recording([
+        ['s', 0, null], ['c', 3000, 'cL'], ['f', 4000, 'fU'], ['g', 10000, 'gD']
+    ], 10000), lookup, 20000);
+    assert.deepEqual(report.phases, [
+        { name: 'Opening', time: 3000, moves: 1 },
+        { name: 'Middle game', time: 1000, moves: 1 },
+        { name: 'Endgame', time: 6000, moves: 1 }
+    ]);
+});
+
+test('analyzeRecording runs an unfinished recording up to now and skips positions outside the graph', () => {
+    const report = analyzeRecording(recording([['s', 0, null], ['nowhere', 500, null], ['dead', 700, 'xL']]), lookup, 2000);
+    assert.equal(report.solved, false);
+    assert.equal(report.duration, 2000);
+    assert.equal(report.detours, 0); // Nothing to compare the position outside the graph with
+    assert.equal(report.phases[0].time, 500);
+});
+
+test('formatDuration writes minutes and seconds', () => {
+    assert.equal(formatDuration(125000), '2:05');
+    assert.equal(formatDuration(400), '0:00');
+});
@@ -0,0 +1,92 @@
+// Unit tests for the heuristic solver (solver.js).
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPageScripts } = require('./helpers.js');
+
+loadPageScripts(['engine.js', 'explorer.js', 'solver.js']);
+
+const classic = normalizePuzzleDefinition(CLASSIC_PUZZLE);
+
+function solve(puzzle, options) {
+    const search = createSolverSearch(puzzle, options);
+    while (!stepSolverSearch(search, Infinity));
+    return search.result;
+}
+
+test('estimateMovesLeft never overstates the moves to a solution', () => {
+    for (const metric of Object.keys(MOVE_METRICS)) {
+        const states = exploreStateSpace(classic.start, { puzzle: classic, metric, mergeEquivalent: true });
+        for (const { representation, solution_dist: solutionDist } of Object.values(states)) {
+            const pieces = parseRepresentation(representation, 4, 5);
+            assert.ok(estimateMovesLeft(pieces, classic.goals, classic.goalPieces, metric) <= solutionDist);
+        }
+    }
+    // The goal piece three rows up, with four pieces standing on its goal placement
+    const pieces = parseRepresentation(classic.start, 4, 5);
+    assert.equal(estimateMovesLeft(pieces, classic.goals, classic.goalPieces, 'cell'), 7);
+    assert.equal(estimateMovesLeft(pieces, classic.goals, classic.goalPieces, 'slide'), 5);
+    assert.equal(estimateMovesLeft(pieces, classic.goals, classic.goalPieces, 'piece'), 5);
+});
+
+test('listSolvedPositions lists each solved shape once, up to a limit', () => {
+    const puzzle = normalizePuzzleDefinition({ name: 'Small', width: 3, height: 2, start: 'Tab...', goalPiece: 'T', goals: [{ x: 2, y: 1 }] });
+    const positions = listSolvedPositions(puzzle.start, puzzle, 100);
+    // Two interchangeable cells, placed among the five cells left
+    assert.equal(positions.length, 10);
+    assert.ok(positions.every(position => position[5] === 'T' && isSolved(createBoard(position, 3, 2), puzzle)));
+    assert.equal(new Set(positions.map(position => getShapeKey(position, puzzle))).size, 10);
+    assert.equal(listSolvedPositions(puzzle.start, puzzle, 9), null);
+});
+
+test('the solver finds solutions as short as breadth-first search under every metric', () => {
+    for (const metric of Object.keys(MOVE_METRICS)) {
+        const shortest = solvePuzzle(classic, { metric });
+        const result = solve(classic, { metric });
+        assert.equal(result.reason, null);
+        assert.ok(result.proven && result.bidirectional);
+        assert.equal(result.moves.length, shortest.moves.length);
+        const { positions, error } = replayMoveList(classic.start, result.moves, classic, metric);
+        assert.equal(error, null);
+        assert.deepEqual(positions, result.positions);
+        assert.ok(isSolved(createBoard(positions[positions.length - 1], 4, 5), classic));
+    }
+});
+
+test('a weighted search stays within its weight, searching forward when solved positions are too many', () => {
+    const shortest = solvePuzzle(classic).moves.length;
+    const result = solve(classic, { weight: 2, maxStates: 26000 });
+    assert.equal(result.bidirectional, false);
+    assert.ok(result.proven);
+    assert.ok(result.moves.length >= shortest && result.moves.length <= 2 * shortest);
+    assert.equal(replayMoveList(classic.start, result.moves, classic, DEFAULT_MOVE_METRIC).error, null);
+});
+
+test('the solver reports unsolvable positions and the limits it ran into', () => {
+    const stuck = normalizePuzzleDefinition({ name: 'Stuck', width: 3, height: 1, start: 'T.a', goalPiece: 'T', goals: [{ x: 2, y: 0 }] });
+    const unsolvable = solve(stuck, {});
+    assert.equal(unsolvable.moves, null);
+    assert.equal(unsolvable.reason, 'unsolvable');
+
+    const solved = solve(classic, { start: 'abcdefghijklmTTn.TT.' });
+    assert.deepEqual(solved.moves, []);
+
+    const full = solve(classic, { maxStates: 8000 });
+    assert.equal(full.reason, 'states');
+    assert.equal(full.proven, false);
+
+    const search = createSolverSearch(classic, { timeLimitMs: 1 });
+    while (!stepSolverSearch(search, Infinity));
+    assert.equal(search.result.reason, 'time');
+});
+
+test('followShapeKeys gives no path when a shape key cannot be reached in one move', () => {
+    const next = getNeighborRepresentations(classic.start, 4, 5, DEFAULT_MOVE_METRIC)[0];
+    const keys = [classic.start, next].map(representation => getShapeKey(representation, classic));
+    const { positions } = followShapeKeys(classic.start, keys, classic, DEFAULT_MOVE_METRIC);
+    assert.equal(getShapeKey(positions[0], classic), keys[1]);
+    const solved = getShapeKey('abcdefghijklmTTn.TT.', classic);
+    assert.equal(followShapeKeys(classic.start, [keys[0], solved], classic, DEFAULT_MOVE_METRIC), null);
+});
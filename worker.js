@@ -0,0 +1,168 @@
+// Klotski Graph Worker
+// Builds viewer graphs away from the page's main thread (see background.js): explores
+// the state space, adapts the precomputed data to the settings, and lays graphs out,
+// posting what it has found and placed as it goes. A job runs to the end once it has
+// started; the page cancels one by terminating the worker.
+
+importScripts('engine.js', 'explorer.js', 'graph.js', 'layout.js');
+
+// --- Worker Settings ---
+
+// Upper bound on explored states. Higher than EXPLORER_MAX_STATES, which keeps the page
+// responsive when it has to explore by itself; here only memory is at stake.
+const WORKER_MAX_STATES = 50000;
+
+// How long the worker works between two posts of its progress, in milliseconds.
+const WORKER_POST_INTERVAL_MS = 200;
+
+// How far from the node it was found from a newly explored node is placed, until the
+// layout moves it.
+const WORKER_PLACEMENT_STEP = 0.3;
+
+/**
+ * Runs one job of background.js and posts `done` after it. Jobs are:
+ *   { type: 'explore', start, puzzle, metric, mergeEquivalent, algorithm }
+ *   { type: 'derive', states, merged, puzzle, metric, mergeEquivalent, algorithm }
+ *   { type: 'layout', graph: { positions, depth, solutionDist, adjacencyOffsets, adjacencyTargets }, algorithm }
+ * Along the way the worker posts:
+ *   { type: 'explored', added, expandedFrom, expanded } for the positions found since the last post
+ *   { type: 'phase', phase } when it moves on to finding the distances to a solution
+ *   { type: 'graph', states, truncated } with the finished state records, every one of them
+ *     placed, and whether the exploration stopped at the state limit
+ *   { type: 'layout', algorithm, iteration, maxIterations, done, positions } as the layout runs
+ */
+self.onmessage = event => {
+    const job = event.data;
+    if (job.type === 'explore') {
+        runExploreJob(job);
+    } else if (job.type === 'derive') {
+        runDeriveJob(job);
+    } else {
+        layOutGraph(restoreGraph(job.graph), job.algorithm);
+    }
+    self.postMessage({ type: 'done' });
+};
+
+// --- Jobs ---
+
+/**
+ * Explores from a position, posting every batch of positions found with a provisional
+ * place next to the position it was found from, then lays the finished graph out.
+ */
+function runExploreJob(job) {
+    const exploration = createExploration(job.start, {
+        puzzle: job.puzzle,
+        metric: job.metric,
+        mergeEquivalent: job.mergeEquivalent,
+        maxStates: WORKER_MAX_STATES
+    });
+    const positions = [0, 0, 0]; // Three coordinates for each position found
+    let posted = 0, postedHead = 0;
+    let done = false;
+    while (!done) {
+        done = stepExploration(exploration, WORKER_POST_INTERVAL_MS);
+        placeExploredPositions(exploration, positions, postedHead);
+        const added = [];
+        for (let i = posted; i < exploration.representations.length; i++) {
+            added.push({
+                key: exploration.keys[i],
+                representation: exploration.representations[i],
+                dist: exploration.dist[i],
+                x: positions[i * 3], y: positions[i * 3 + 1], z: positions[i * 3 + 2]
+            });
+        }
+        self.postMessage({ type: 'explored', added, expandedFrom: postedHead, expanded: exploration.adjacency.slice(postedHead) });
+        posted = exploration.representations.length;
+        postedHead = exploration.head;
+    }
+
+    self.postMessage({ type: 'phase', phase: 'distances' });
+    const states = getExploredStates(exploration);
+    exploration.keys.forEach((key, i) => {
+        states[key].x = positions[i * 3];
+        states[key].y = positions[i * 3 + 1];
+        states[key].z = positions[i * 3 + 2];
+    });
+    self.postMessage({ type: 'graph', states, truncated: exploration.truncated });
+    layOutGraph(createStateGraph(states, representation => representation), job.algorithm);
+}
+
+/**
+ * Adapts the precomputed states to the settings. They come with coordinates; any state
+ * without them is placed at random and the graph laid out.
+ */
+function runDeriveJob(job) {
+    const states = derivePrecomputedStates(job.states, job);
+    let unplaced = 0;
+    for (const record of Object.values(states)) {
+        if ([record.x, record.y, record.z].every(Number.isFinite)) continue;
+        record.x = (Math.random() - 0.5) * LAYOUT_DISPLAY_RADIUS;
+        record.y = (Math.random() - 0.5) * LAYOUT_DISPLAY_RADIUS;
+        record.z = (Math.random() - 0.5) * LAYOUT_DISPLAY_RADIUS;
+        unplaced++;
+    }
+    self.postMessage({ type: 'graph', states });
+    if (unplaced > 0) layOutGraph(createStateGraph(states, representation => representation), job.algorithm);
+}
+
+// --- Placement and Layout ---
+
+/**
+ * Places the positions found while expanding the positions from `fromHead` on, each a
+ * step in a random direction from the one it was found from.
+ * @param {Object} exploration The exploration.
+ * @param {number[]} positions The places so far, three coordinates each; extended.
+ * @param {number} fromHead The first position expanded since the last call.
+ */
+function placeExploredPositions(exploration, positions, fromHead) {
+    for (let head = fromHead; head < exploration.head; head++) {
+        for (const index of exploration.adjacency[head]) {
+            // Positions get their index when they are found, so a new one is always next in line
+            if (index * 3 !== positions.length) continue;
+            const u = Math.random() * 2 - 1;
+            const angle = Math.random() * Math.PI * 2;
+            const ring = Math.sqrt(1 - u * u);
+            positions.push(
+                positions[head * 3] + WORKER_PLACEMENT_STEP * ring * Math.cos(angle),
+                positions[head * 3 + 1] + WORKER_PLACEMENT_STEP * u,
+                positions[head * 3 + 2] + WORKER_PLACEMENT_STEP * ring * Math.sin(angle)
+            );
+        }
+    }
+}
+
+/**
+ * Runs a layout over a graph to the end, posting the positions after every stretch.
+ * @param {Object} graph The graph store.
+ * @param {string} algorithm One of the keys of LAYOUT_ALGORITHMS.
+ */
+function layOutGraph(graph, algorithm) {
+    const layout = createLayout(algorithm, graph.nodes, graph.edges);
+    do {
+        stepLayout(layout, WORKER_POST_INTERVAL_MS);
+        applyLayout(layout, graph.nodes);
+        self.postMessage({
+            type: 'layout',
+            algorithm,
+            iteration: layout.iteration,
+            maxIterations: layout.maxIterations,
+            done: layout.done,
+            positions: graph.positions
+        });
+    } while (!layout.done);
+}
+
+/**
+ * Rebuilds a graph store from the arrays of the page's one: enough for a layout.
+ */
+function restoreGraph({ positions, depth, solutionDist, adjacencyOffsets, adjacencyTargets }) {
+    const graph = { nodeCount: depth.length, nodes: [], edges: [], positions, depth, solutionDist, adjacencyOffsets, adjacencyTargets };
+    for (let index = 0; index < graph.nodeCount; index++) {
+        const node = Object.create(GRAPH_NODE_PROTOTYPE);
+        node.graph = graph;
+        node.index = index;
+        graph.nodes.push(node);
+        for (const neighbor of getNeighborIndices(graph, index)) graph.edges.push({ from: index, to: neighbor });
+    }
+    return graph;
+}